@@ -3,9 +3,15 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const { checkAddressConnection } = require("./services/bitcoinService");
+const { checkAddressConnection, checkAddressConnections } = require("./services/bitcoinService");
+const pathService = require("./services/pathService");
+const xpubService = require("./services/xpubService");
+const satoshiMovements = require("./services/satoshiMovements");
+const bitcoinRPC = require("./services/bitcoinRPC");
 const backgroundSyncService = require("./services/backgroundSyncService");
 const analyticsService = require("./services/analyticsService");
+const dbService = require("./services/dbService");
+const taintIndexes = require("./services/taintIndexes");
 const { validateAndSanitizeAddress } = require("./utils/validation");
 const logger = require("./utils/logger");
 const fs = require("fs");
@@ -14,6 +20,9 @@ const path = require("path");
 const app = express();
 const PORT = process.env.PORT || 3001;
 const isDevelopment = process.env.NODE_ENV === "development";
+// POST /api/check/batch: addresses per request, and addresses per minute and IP
+const BATCH_CHECK_MAX_ADDRESSES = parseInt(process.env.BATCH_CHECK_MAX_ADDRESSES) || 100;
+const BATCH_CHECK_RATE_LIMIT = parseInt(process.env.BATCH_CHECK_RATE_LIMIT) || 300;
 
 // Trust proxy (nginx, cloudflare, etc.) for correct IP detection in rate limiting
 app.set("trust proxy", 1);
@@ -71,6 +80,99 @@ const addressCheckLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter rate limiting for taint path searches, which fetch up to PATH_MAX_EXPANSIONS
+// transactions from the chain source each
+const pathLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.PATH_RATE_LIMIT) || 5, // 5 requests per minute
+  message: {
+    error: "Too many path requests",
+    message: "Please wait before requesting more taint paths",
+    retryAfter: "1 minute",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Rate limiting that charges a request `weight(req)` hits instead of one, for the batch
+ * check: a request with 50 addresses uses 50 of the window's `max` (fixed windows per IP).
+ * Runs after the request is validated, so the weight is what will actually be checked.
+ * A route whose cost is only known afterwards reserves more through req.weightedLimit,
+ * up to what is left of the window, and refunds what it did not use.
+ */
+function weightedRateLimit({ windowMs, max, weight, message }) {
+  const clients = new Map(); // ip -> { hits, resetTime }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, client] of clients) {
+      if (client.resetTime <= now) clients.delete(ip);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let client = clients.get(req.ip);
+    if (!client || client.resetTime <= now) {
+      client = { hits: 0, resetTime: now + windowMs };
+      clients.set(req.ip, client);
+    }
+    const cost = weight(req);
+    const resetSeconds = Math.ceil((client.resetTime - now) / 1000);
+    res.set("RateLimit-Policy", `${max};w=${windowMs / 1000}`);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    if (client.hits + cost > max) {
+      res.set("RateLimit-Remaining", String(max - client.hits));
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json(message);
+    }
+    client.hits += cost;
+    res.set("RateLimit-Remaining", String(max - client.hits));
+    req.weightedLimit = {
+      reserve: (count) => {
+        const reserved = Math.max(0, Math.min(count, max - client.hits));
+        client.hits += reserved;
+        res.set("RateLimit-Remaining", String(max - client.hits));
+        return reserved;
+      },
+      refund: (count) => {
+        client.hits = Math.max(0, client.hits - count);
+        res.set("RateLimit-Remaining", String(max - client.hits));
+      },
+    };
+    next();
+  };
+}
+
+// Batch and HD wallet checks share a limit on the number of addresses checked: the distinct
+// valid addresses of a batch (a batch of invalid addresses only still counts once), or
+// gapLimit addresses per chain of a wallet, as set by parseBatchCheck and parseXpubCheck
+// (a wallet scan then reserves the addresses it may check beyond that)
+const batchCheckLimiter = weightedRateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: BATCH_CHECK_RATE_LIMIT,
+  weight: (req) => Math.max(1, req.addressCount),
+  message: {
+    error: "Too many address check requests",
+    message: "Please wait before checking more addresses",
+    retryAfter: "1 minute",
+  },
+});
+
+// Rate limiting for listing endpoints that read pages of records
+const listingLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 requests per minute
+  message: {
+    error: "Too many listing requests",
+    message: "Please wait before requesting more pages",
+    retryAfter: "1 minute",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiting for analytics tracking (more permissive)
 const analyticsTrackLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -114,7 +216,8 @@ app.use(
   })
 );
 
-// Limit JSON body size to prevent abuse
+// Limit JSON body size to prevent abuse; the batch check gets room for its addresses
+app.use("/api/check/batch", express.json({ limit: BATCH_CHECK_MAX_ADDRESSES * 128 + 1024 }));
 app.use(express.json({ limit: "10kb" }));
 
 // Ensure data directory exists
@@ -302,6 +405,320 @@ app.get("/api/check/:address", addressCheckLimiter, async (req, res) => {
   }
 });
 
+// Validates the addresses of a batch check into req.batchCheck: { inputs, addresses, errors },
+// inputs being the { index, address } of each valid entry and addresses the distinct ones
+function parseBatchCheck(req, res, next) {
+  const addresses = req.body?.addresses;
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "Please provide a non-empty addresses array",
+    });
+  }
+  if (addresses.length > BATCH_CHECK_MAX_ADDRESSES) {
+    return res.status(400).json({
+      error: "Too many addresses",
+      message: `A batch can check up to ${BATCH_CHECK_MAX_ADDRESSES} addresses`,
+    });
+  }
+
+  // Invalid entries are reported per address, the rest are still checked (once each)
+  const errors = [];
+  const inputs = [];
+  addresses.forEach((address, index) => {
+    const sanitizedAddress = validateAndSanitizeAddress(address);
+    if (sanitizedAddress) {
+      inputs.push({ index, address: sanitizedAddress });
+    } else {
+      errors.push({
+        index,
+        address: typeof address === "string" ? address.slice(0, 100) : null,
+        error: "Invalid Bitcoin address",
+      });
+    }
+  });
+
+  req.batchCheck = { inputs, addresses: [...new Set(inputs.map(({ address }) => address))], errors };
+  req.addressCount = req.batchCheck.addresses.length;
+  next();
+}
+
+// Check several addresses in one request: { "addresses": [...] }
+app.post("/api/check/batch", parseBatchCheck, batchCheckLimiter, async (req, res) => {
+  const { inputs, addresses, errors } = req.batchCheck;
+
+  try {
+    // One result per valid entry, in request order; repeated addresses share one lookup
+    const checked = new Map();
+    (await checkAddressConnections(addresses)).forEach((result) => checked.set(result.address, result));
+    const results = inputs.map(({ index, address }) => ({ index, ...checked.get(address) }));
+    res.json({ results, errors });
+  } catch (error) {
+    logger.error("Error checking address batch", { error: error.message });
+    res.status(500).json({
+      error: "Failed to check addresses",
+      message:
+        "The server encountered an error while processing your request. Please try again.",
+    });
+  }
+});
+
+// Validates an HD wallet check into req.xpubCheck: { parsed, gapLimit, scriptType }
+function parseXpubCheck(req, res, next) {
+  const parsed = xpubService.parseExtendedKey(req.body?.xpub);
+  if (!parsed) {
+    return res.status(400).json({
+      error: "Invalid extended public key",
+      message: `Please provide a valid extended public key (${xpubService.KEY_PREFIXES.join(", ")})`,
+    });
+  }
+
+  const gapLimit = req.body.gapLimit === undefined ? xpubService.DEFAULT_GAP_LIMIT : req.body.gapLimit;
+  if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > xpubService.MAX_GAP_LIMIT) {
+    return res.status(400).json({
+      error: "Invalid gapLimit",
+      message: `gapLimit must be an integer between 1 and ${xpubService.MAX_GAP_LIMIT}`,
+    });
+  }
+  const scriptType = req.body.scriptType === undefined ? null : req.body.scriptType;
+  if (scriptType !== null && !Object.hasOwn(xpubService.SCRIPT_TYPES, scriptType)) {
+    return res.status(400).json({
+      error: "Invalid scriptType",
+      message: `scriptType must be one of ${Object.keys(xpubService.SCRIPT_TYPES).join(", ")}`,
+    });
+  }
+
+  req.xpubCheck = { parsed, gapLimit, scriptType };
+  // The fewest addresses a scan checks: one gap on each of the receive and change chains
+  req.addressCount = gapLimit * 2;
+  next();
+}
+
+// Check the addresses of an HD wallet: { "xpub": "...", "gapLimit": 20, "scriptType": "p2wpkh" }
+// (POST keeps the key out of URLs and access logs)
+app.post("/api/check/xpub", parseXpubCheck, batchCheckLimiter, async (req, res) => {
+  const { parsed, gapLimit, scriptType } = req.xpubCheck;
+  // The limiter charged the fewest addresses a scan checks; the scan may check as many more
+  // as the client has left, and the unused part is refunded
+  const reserved = req.weightedLimit.reserve(xpubService.MAX_ADDRESSES - req.addressCount);
+
+  try {
+    const result = await xpubService.scanExtendedKey(parsed, {
+      gapLimit,
+      scriptType,
+      maxAddresses: req.addressCount + reserved,
+    });
+    req.weightedLimit.refund(reserved - Math.max(0, result.summary.scannedAddresses - req.addressCount));
+    res.json(result);
+  } catch (error) {
+    req.weightedLimit.refund(reserved);
+    logger.error("Error scanning extended public key", { error: error.message });
+    res.status(500).json({
+      error: "Failed to scan wallet",
+      message:
+        "The server encountered an error while processing your request. Please try again.",
+    });
+  }
+});
+
+// Spends of Satoshi coinbase outputs, newest first
+app.get("/api/satoshi-movements", listingLimiter, async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  const beforeHeight = req.query.beforeHeight === undefined ? null : parseInt(req.query.beforeHeight, 10);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({
+      error: "Invalid limit",
+      message: "limit must be an integer between 1 and 500",
+    });
+  }
+  if (beforeHeight !== null && (!Number.isInteger(beforeHeight) || beforeHeight < 0)) {
+    return res.status(400).json({
+      error: "Invalid beforeHeight",
+      message: "beforeHeight must be a non-negative block height",
+    });
+  }
+
+  try {
+    const scanDb = await bitcoinRPC.openDatabase();
+    const movements = await satoshiMovements.getMovements(scanDb, { limit, beforeHeight });
+    res.json({ movements });
+  } catch (error) {
+    logger.error("Error reading Satoshi movements", { error: error.message });
+    res.status(500).json({ error: "Failed to get Satoshi movements" });
+  }
+});
+
+// Alternative shortest taint paths from Satoshi to an address
+app.get("/api/paths/:address", pathLimiter, async (req, res) => {
+  try {
+    const sanitizedAddress = validateAndSanitizeAddress(req.params.address);
+
+    if (!sanitizedAddress) {
+      return res.status(400).json({
+        error: "Invalid Bitcoin address",
+        message: "Please provide a valid Bitcoin address (Legacy, P2SH, or Bech32 format)",
+      });
+    }
+
+    const k = req.query.k === undefined ? pathService.DEFAULT_K : parseInt(req.query.k, 10);
+    if (!Number.isInteger(k) || k < 1 || k > pathService.MAX_K) {
+      return res.status(400).json({
+        error: "Invalid k",
+        message: `k must be an integer between 1 and ${pathService.MAX_K}`,
+      });
+    }
+
+    const result = await pathService.findTaintPaths(sanitizedAddress, {
+      k,
+      independent: req.query.independent === "true",
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Address not tainted",
+        message: "No connection to Satoshi found for this address",
+      });
+    }
+
+    if (result.paths.length === 0 && result.missingTransactions.length > 0) {
+      return res.status(503).json({
+        error: "Transactions unavailable",
+        message:
+          "The chain source could not return the transactions of this address's taint paths " +
+          "(pruned node, no txindex, or unknown to the Esplora or Electrum server)",
+        missingTransactions: result.missingTransactions,
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Error finding taint paths", { error: error.message });
+    res.status(500).json({
+      error: "Failed to find taint paths",
+      message:
+        "The server encountered an error while processing your request. Please try again.",
+    });
+  }
+});
+
+// limit and after (the `next` cursor of the previous page) of the address index listings;
+// null after an error response
+function parseIndexPage(req, res) {
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  const after = req.query.after === undefined ? null : req.query.after;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    res.status(400).json({
+      error: "Invalid limit",
+      message: "limit must be an integer between 1 and 500",
+    });
+    return null;
+  }
+  if (after !== null && (typeof after !== "string" || after.length === 0 || after.length > 200)) {
+    res.status(400).json({
+      error: "Invalid after",
+      message: "after must be the next cursor of a previous page",
+    });
+    return null;
+  }
+  return { limit, after };
+}
+
+// Tainted addresses at one degree, in address order
+app.get("/api/addresses/degree/:degree", listingLimiter, async (req, res) => {
+  const degree = Number(req.params.degree);
+  if (!Number.isInteger(degree) || degree < 0) {
+    return res.status(400).json({
+      error: "Invalid degree",
+      message: "degree must be a non-negative integer",
+    });
+  }
+  const page = parseIndexPage(req, res);
+  if (!page) return;
+
+  try {
+    const db = await dbService.init();
+    const result = await taintIndexes.listAddresses(db, "degree", { value: degree, ...page });
+    res.json({ degree, total: await taintIndexes.getCount(db, "degree", degree), ...result });
+  } catch (error) {
+    logger.error("Error listing addresses by degree", { error: error.message });
+    res.status(500).json({ error: "Failed to list addresses" });
+  }
+});
+
+// Tainted addresses whose taint comes from one Satoshi address, in address order
+app.get("/api/addresses/origin/:address", listingLimiter, async (req, res) => {
+  const origin = validateAndSanitizeAddress(req.params.address);
+  if (!origin) {
+    return res.status(400).json({
+      error: "Invalid Bitcoin address",
+      message: "Please provide a valid Bitcoin address (Legacy, P2SH, or Bech32 format)",
+    });
+  }
+  const page = parseIndexPage(req, res);
+  if (!page) return;
+
+  try {
+    const db = await dbService.init();
+    const result = await taintIndexes.listAddresses(db, "origin", { value: origin, ...page });
+    res.json({ origin, total: await taintIndexes.getCount(db, "origin", origin), ...result });
+  } catch (error) {
+    logger.error("Error listing addresses by origin", { error: error.message });
+    res.status(500).json({ error: "Failed to list addresses" });
+  }
+});
+
+// Tainted addresses first tainted in a block height range (inclusive), oldest first
+app.get("/api/addresses/height", listingLimiter, async (req, res) => {
+  const from = req.query.from === undefined ? null : Number(req.query.from);
+  const to = req.query.to === undefined ? null : Number(req.query.to);
+  if ((from !== null && (!Number.isInteger(from) || from < 0)) || (to !== null && (!Number.isInteger(to) || to < 0))) {
+    return res.status(400).json({
+      error: "Invalid height",
+      message: "from and to must be non-negative block heights",
+    });
+  }
+  if (from !== null && to !== null && from > to) {
+    return res.status(400).json({
+      error: "Invalid height range",
+      message: "from must not be above to",
+    });
+  }
+  const page = parseIndexPage(req, res);
+  if (!page) return;
+
+  try {
+    const db = await dbService.init();
+    const result = await taintIndexes.listAddresses(db, "height", { from, to, ...page });
+    res.json({ from, to, ...result });
+  } catch (error) {
+    logger.error("Error listing addresses by height", { error: error.message });
+    res.status(500).json({ error: "Failed to list addresses" });
+  }
+});
+
+// Address counts per degree, origin or first tainted height
+app.get("/api/addresses/counts/:index", listingLimiter, async (req, res) => {
+  const { index } = req.params;
+  if (!Object.hasOwn(taintIndexes.INDEXES, index)) {
+    return res.status(400).json({
+      error: "Invalid index",
+      message: `index must be one of ${Object.keys(taintIndexes.INDEXES).join(", ")}`,
+    });
+  }
+  const page = parseIndexPage(req, res);
+  if (!page) return;
+
+  try {
+    const db = await dbService.init();
+    res.json({ index, ...(await taintIndexes.listCounts(db, index, page)) });
+  } catch (error) {
+    logger.error("Error listing index counts", { error: error.message });
+    res.status(500).json({ error: "Failed to list index counts" });
+  }
+});
+
 // Global error handlers to prevent PM2 restarts
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Rejection', { reason: String(reason) });
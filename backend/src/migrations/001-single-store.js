@@ -0,0 +1,62 @@
+const { Level } = require("level");
+const fs = require("fs");
+const path = require("path");
+const { MIGRATION_BATCH_SIZE, moveRange, hasKeys } = require("./helpers");
+const logger = require("../utils/logger");
+
+/**
+ * Moves a store from the two-database layout (main keys at the root of DB_PATH, scan keys
+ * in a separate LevelDB at DB_PATH/scan_progress) into the sublevels. Each step can be
+ * repeated, so an interrupted migration resumes on the next start:
+ *   1. copy the scan DB into the scan sublevel
+ *   2. move unprefixed root keys into the main sublevel, put and del in the same batch
+ *   3. delete DB_PATH/scan_progress
+ */
+async function up({ root, main, scan, dbPath }) {
+  const legacyScanPath = path.join(dbPath, "scan_progress");
+  const hasLegacyScan = fs.existsSync(path.join(legacyScanPath, "CURRENT"));
+  // Sublevel keys start with "!", legacy main keys never do
+  const legacyRanges = [{ lt: "!" }, { gte: '"' }];
+  let hasLegacyMain = false;
+  for (const range of legacyRanges) {
+    if (await hasKeys(root, range)) hasLegacyMain = true;
+  }
+  if (!hasLegacyScan && !hasLegacyMain) {
+    return 0;
+  }
+
+  logger.info(`Migrating ${dbPath} to the single store layout...`);
+
+  if (hasLegacyScan) {
+    const legacyScan = new Level(legacyScanPath, { valueEncoding: "json" });
+    await legacyScan.open();
+    try {
+      let copied = 0;
+      let batch = scan.batch();
+      for await (const [key, value] of legacyScan.iterator()) {
+        batch.put(key, value);
+        if (++copied % MIGRATION_BATCH_SIZE === 0) {
+          await batch.write();
+          batch = scan.batch();
+        }
+      }
+      await batch.write();
+      logger.info(`  Copied ${copied.toLocaleString()} scan keys`);
+    } finally {
+      await legacyScan.close();
+    }
+  }
+
+  let moved = 0;
+  for (const range of legacyRanges) {
+    moved += await moveRange(root, root, range, (key, value) => [main, key, value], "main keys");
+  }
+  logger.info(`  Moved ${moved.toLocaleString()} main keys`);
+
+  // Only once both copies are complete
+  fs.rmSync(legacyScanPath, { recursive: true, force: true });
+  logger.info("Migration complete");
+  return moved;
+}
+
+module.exports = { version: 1, name: "single-store", up };
@@ -0,0 +1,53 @@
+const outpointEncoding = require("../services/outpointEncoding");
+const { moveRange, hasKeys } = require("./helpers");
+const logger = require("../utils/logger");
+
+/**
+ * Moves string-keyed `tainted_out:<txid>:<vout>` entries of the scan sublevel into the
+ * binary outpoints sublevel, converting both old value shapes (a bare degree, or the
+ * coinbase seed object) into one record. Undo journals are rewritten first so a rollback
+ * restores the new keys. Each batch puts the new and deletes the old keys together, so an
+ * interrupted migration resumes on the next start.
+ * @returns {Promise<number>} Outpoints moved
+ */
+async function up({ root, scan, outpoints }) {
+  const prefix = outpointEncoding.LEGACY_PREFIX;
+  const range = { gte: prefix, lt: `${prefix.slice(0, -1)};` };
+  if (!(await hasKeys(scan, range))) {
+    return 0;
+  }
+
+  logger.info("Migrating tainted outpoints to the binary encoding...");
+
+  const batch = root.batch();
+  // At most REORG_DEPTH journals
+  for (const [key, journal] of await scan.iterator({ gte: "undo:", lt: "undo;" }).all()) {
+    if (!journal.ops.some((op) => op.store === "scan" && op.key.startsWith(prefix))) {
+      continue;
+    }
+    const ops = journal.ops.map((op) =>
+      op.store === "scan" && op.key.startsWith(prefix)
+        ? {
+            store: "outpoints",
+            key: op.key.slice(prefix.length),
+            prev: op.prev === null ? null : outpointEncoding.fromLegacyValue(op.prev),
+          }
+        : op
+    );
+    batch.put(key, { ...journal, ops }, { sublevel: scan });
+  }
+  await batch.write();
+
+  const moved = await moveRange(
+    root,
+    scan,
+    range,
+    (key, value) => [outpoints, key.slice(prefix.length), outpointEncoding.fromLegacyValue(value)],
+    "outpoints"
+  );
+
+  logger.info(`Migrated ${moved.toLocaleString()} tainted outpoints`);
+  return moved;
+}
+
+module.exports = { version: 2, name: "binary-outpoints", up };
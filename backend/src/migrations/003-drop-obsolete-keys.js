@@ -0,0 +1,21 @@
+const logger = require("../utils/logger");
+
+/**
+ * Drops what nothing reads any more: the `queue:*` and `lastBlock:*` keys of the main
+ * sublevel (per-address crawl state from before the block scan) and the `transactions`
+ * map of scan_progress, which only ever held empty lists.
+ */
+async function up({ main, scan }) {
+  for (const prefix of ["queue:", "lastBlock:"]) {
+    await main.clear({ gte: prefix, lt: `${prefix.slice(0, -1)};` });
+  }
+
+  const progress = await scan.get("scan_progress");
+  if (progress && "transactions" in progress) {
+    const { transactions, ...rest } = progress;
+    await scan.put("scan_progress", rest);
+    logger.info("Removed the transactions map from scan_progress");
+  }
+}
+
+module.exports = { version: 3, name: "drop-obsolete-keys", up };
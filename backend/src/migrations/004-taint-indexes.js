@@ -0,0 +1,49 @@
+const logger = require("../utils/logger");
+const taintIndexes = require("../services/taintIndexes");
+const { MIGRATION_BATCH_SIZE } = require("./helpers");
+
+/**
+ * Builds the degree, origin and height indexes of the `tainted:*` records (see
+ * taintIndexes). Existing index keys are cleared first, so a run cut short starts over.
+ * Records written before this version have no firstTaintedHeight: the background sync
+ * backfills it from the block of their txHash once caught up (backfillTaintHeights).
+ * @returns {Promise<number>} Addresses indexed
+ */
+async function up({ main }) {
+  for (const prefix of [...Object.values(taintIndexes.INDEXES).map(({ prefix }) => prefix), taintIndexes.COUNT_PREFIX]) {
+    await main.clear({ gte: prefix, lt: `${prefix.slice(0, -1)};` });
+  }
+
+  // Only index keys are written during the walk, so one iterator reads every record
+  const counts = new Map();
+  let batch = main.batch();
+  let indexed = 0;
+  for await (const [key, record] of main.iterator({ gte: "tainted:", lt: "tainted;" })) {
+    const { puts, counts: deltas } = taintIndexes.indexChanges(key.slice("tainted:".length), null, record);
+    for (const indexKey of puts) {
+      batch.put(indexKey, taintIndexes.INDEX_VALUE);
+    }
+    taintIndexes.mergeCounts(counts, deltas);
+    indexed++;
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      await batch.write();
+      batch = main.batch();
+    }
+    if (indexed % 1000000 === 0) {
+      logger.info(`  Indexed ${indexed.toLocaleString()} tainted addresses...`);
+    }
+  }
+  for (const [key, count] of counts) {
+    batch.put(key, count);
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      await batch.write();
+      batch = main.batch();
+    }
+  }
+  await batch.write();
+
+  logger.info(`Indexed ${indexed.toLocaleString()} tainted addresses by degree, origin and height`);
+  return indexed;
+}
+
+module.exports = { version: 4, name: "taint-indexes", up };
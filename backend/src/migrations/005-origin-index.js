@@ -0,0 +1,51 @@
+const logger = require("../utils/logger");
+const taintIndexes = require("../services/taintIndexes");
+const { MIGRATION_BATCH_SIZE } = require("./helpers");
+
+/**
+ * Rebuilds the origin index from the origins of each `tainted:*` record, one key per origin,
+ * instead of its single originalSatoshiAddress. Existing origin keys and counters are
+ * cleared first, so a run cut short starts over.
+ * @returns {Promise<number>} Origin index keys written
+ */
+async function up({ main }) {
+  const { prefix } = taintIndexes.INDEXES.origin;
+  const countPrefix = `${taintIndexes.COUNT_PREFIX}origin:`;
+  for (const clearPrefix of [prefix, countPrefix]) {
+    await main.clear({ gte: clearPrefix, lt: `${clearPrefix.slice(0, -1)};` });
+  }
+
+  // Only index keys are written during the walk, so one iterator reads every record
+  const counts = new Map();
+  let batch = main.batch();
+  let written = 0;
+  let walked = 0;
+  for await (const [key, record] of main.iterator({ gte: "tainted:", lt: "tainted;" })) {
+    const { puts, counts: deltas } = taintIndexes.indexChanges(key.slice("tainted:".length), null, record, ["origin"]);
+    for (const indexKey of puts) {
+      batch.put(indexKey, taintIndexes.INDEX_VALUE);
+    }
+    taintIndexes.mergeCounts(counts, deltas);
+    written += puts.length;
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      await batch.write();
+      batch = main.batch();
+    }
+    if (++walked % 1000000 === 0) {
+      logger.info(`  Indexed the origins of ${walked.toLocaleString()} tainted addresses...`);
+    }
+  }
+  for (const [key, count] of counts) {
+    batch.put(key, count);
+    if (batch.length >= MIGRATION_BATCH_SIZE) {
+      await batch.write();
+      batch = main.batch();
+    }
+  }
+  await batch.write();
+
+  logger.info(`Indexed ${written.toLocaleString()} origins of ${walked.toLocaleString()} tainted addresses`);
+  return written;
+}
+
+module.exports = { version: 5, name: "origin-index", up };
@@ -0,0 +1,41 @@
+const { moveRange, hasKeys } = require("./helpers");
+const logger = require("../utils/logger");
+
+const LEGACY_PREFIX = "seed:";
+
+/**
+ * Moves the address records of the additional seed sets from `seed:<set>:<address>` to
+ * `tainted:<set>:<address>` in the main sublevel. Undo journals are rewritten first so a
+ * rollback restores the new keys; each batch puts the new and deletes the old keys
+ * together, so an interrupted migration resumes on the next start.
+ * @returns {Promise<number>} Records moved
+ */
+async function up({ root, main, scan }) {
+  const range = { gte: LEGACY_PREFIX, lt: `${LEGACY_PREFIX.slice(0, -1)};` };
+  if (!(await hasKeys(main, range))) {
+    return 0;
+  }
+
+  logger.info("Moving seed set records under tainted:<set>:<address>...");
+
+  const renamed = (key) => `tainted:${key.slice(LEGACY_PREFIX.length)}`;
+  const batch = root.batch();
+  // At most REORG_DEPTH journals
+  for (const [key, journal] of await scan.iterator({ gte: "undo:", lt: "undo;" }).all()) {
+    if (!journal.ops.some((op) => op.store === "main" && op.key.startsWith(LEGACY_PREFIX))) {
+      continue;
+    }
+    const ops = journal.ops.map((op) =>
+      op.store === "main" && op.key.startsWith(LEGACY_PREFIX) ? { ...op, key: renamed(op.key) } : op
+    );
+    batch.put(key, { ...journal, ops }, { sublevel: scan });
+  }
+  await batch.write();
+
+  const moved = await moveRange(root, main, range, (key, value) => [main, renamed(key), value], "seed set records");
+
+  logger.info(`Moved ${moved.toLocaleString()} seed set records`);
+  return moved;
+}
+
+module.exports = { version: 6, name: "seed-set-keys", up };
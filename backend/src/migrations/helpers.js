@@ -0,0 +1,43 @@
+const logger = require("../utils/logger");
+
+// Keys moved per atomic batch
+const MIGRATION_BATCH_SIZE = 10000;
+
+/**
+ * Moves every entry of a key range of `source` (the root or a sublevel) to the key and
+ * sublevel returned by convert(key, value) => [sublevel, key, value], putting and deleting
+ * in the same batch. Each batch is read with a fresh iterator that starts after the last
+ * moved key; deleting under an open iterator can leave deleted keys on disk.
+ * @returns {Promise<number>} Entries moved
+ */
+async function moveRange(root, source, range, convert, label) {
+  const delOptions = source === root ? undefined : { sublevel: source };
+  const { gte, ...rest } = range; // Later batches start after the last moved key
+  let moved = 0;
+  let next = range;
+  for (;;) {
+    const entries = await source.iterator({ ...next, limit: MIGRATION_BATCH_SIZE }).all();
+    if (entries.length === 0) {
+      return moved;
+    }
+    next = { ...rest, gt: entries[entries.length - 1][0] };
+    const batch = root.batch();
+    for (const [key, value] of entries) {
+      const [sublevel, newKey, newValue] = convert(key, value);
+      batch.put(newKey, newValue, { sublevel }).del(key, delOptions);
+    }
+    await batch.write();
+    moved += entries.length;
+    if (Math.floor(moved / 1000000) > Math.floor((moved - entries.length) / 1000000)) {
+      logger.info(`  Moved ${moved.toLocaleString()} ${label}...`);
+    }
+  }
+}
+
+// Whether a key range of a sublevel (or the root) holds any key
+async function hasKeys(db, range) {
+  for await (const key of db.keys({ ...range, limit: 1 })) return true;
+  return false;
+}
+
+module.exports = { MIGRATION_BATCH_SIZE, moveRange, hasKeys };
@@ -0,0 +1,21 @@
+/**
+ * Store schema migrations, in the order they apply
+ *
+ * Each migration is { version, name, up(store) } where store holds the root and the main,
+ * scan and outpoints sublevels plus dbPath. dbService.init applies the ones above the
+ * version recorded in the store, recording each version once its migration completes, so
+ * up() must be safe to run again after an interruption. A new key layout gets the next
+ * version and a new file here; released migrations never change.
+ */
+const migrations = [
+  require("./001-single-store"),
+  require("./002-binary-outpoints"),
+  require("./003-drop-obsolete-keys"),
+  require("./004-taint-indexes"),
+  require("./005-origin-index"),
+  require("./006-seed-set-keys"),
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+module.exports = { migrations, SCHEMA_VERSION };
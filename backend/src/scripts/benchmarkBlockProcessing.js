@@ -0,0 +1,198 @@
+require("dotenv").config();
+const bitcoin = require("bitcoinjs-lib");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+/**
+ * Measures initial scan throughput (blocks/s, tx/s) for several worker pool sizes
+ *
+ *   npm run benchmark-blocks -- --start=250000 --count=200 --workers=0,1,2,4
+ *   npm run benchmark-blocks -- --synthetic --count=200 --workers=0,2
+ *
+ * Blocks are loaded into memory first (from the node, BITCOIN_BLOCKS_DIR, or generated),
+ * so only preparation and the taint commit are timed. Every coinbase output in the range
+ * is seeded as tainted so the taint spreads through the blocks. Each run writes to a
+ * throwaway database under the OS temp directory.
+ */
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    return [key, value === undefined ? true : value];
+  })
+);
+
+const SYNTHETIC = Boolean(args.synthetic);
+const COUNT = parseInt(args.count) || 200;
+const START = parseInt(args.start) || 250000;
+const WORKER_COUNTS = String(args.workers || "0,1,2,4")
+  .split(",")
+  .map((n) => parseInt(n, 10));
+const SYNTHETIC_TXS = parseInt(args.txs) || 250; // Transactions per synthetic block
+
+if (SYNTHETIC) {
+  // Synthetic runs never contact the node, but the RPC client requires credentials
+  process.env.BITCOIN_RPC_USER = process.env.BITCOIN_RPC_USER || "benchmark";
+  process.env.BITCOIN_RPC_PASS = process.env.BITCOIN_RPC_PASS || "benchmark";
+}
+const bitcoinRPC = require("../services/bitcoinRPC");
+const dbService = require("../services/dbService");
+const blockFileReader = require("../services/blockFileReader");
+const { BlockPrefetcher } = require("../services/blockPrefetcher");
+
+// Blocks spending earlier outputs, paying a mix of P2PK (address derivation) and P2PKH outputs
+function generateBlocks(count) {
+  const pubkeys = Array.from({ length: 2000 }, () => {
+    const ecdh = crypto.createECDH("secp256k1");
+    ecdh.generateKeys();
+    return ecdh.getPublicKey(null, "uncompressed");
+  });
+  const outputScript = (i) =>
+    i % 2 === 0
+      ? bitcoin.payments.p2pk({ pubkey: pubkeys[i % pubkeys.length] }).output
+      : bitcoin.payments.p2pkh({ hash: crypto.createHash("sha256").update(String(i)).digest().subarray(0, 20) }).output;
+
+  const blocks = [];
+  const unspent = [];
+  let prevHash = Buffer.alloc(32);
+  let n = 0;
+  for (let height = 0; height < count; height++) {
+    const coinbase = new bitcoin.Transaction();
+    coinbase.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from(`bench${height}`));
+    coinbase.addOutput(outputScript(n++), 5000000000n);
+    const transactions = [coinbase];
+    const created = [[coinbase.getHash(), 0]];
+
+    for (let i = 0; i < SYNTHETIC_TXS && unspent.length >= 2; i++) {
+      const tx = new bitcoin.Transaction();
+      for (let j = 0; j < 2; j++) {
+        const pick = Math.floor(Math.random() * unspent.length);
+        const [hash, index] = unspent[pick];
+        unspent[pick] = unspent[unspent.length - 1];
+        unspent.pop();
+        tx.addInput(hash, index);
+      }
+      tx.addOutput(outputScript(n++), 100000n);
+      tx.addOutput(outputScript(n++), 100000n);
+      transactions.push(tx);
+      created.push([tx.getHash(), 0], [tx.getHash(), 1]);
+    }
+    unspent.push(...created);
+
+    const block = new bitcoin.Block();
+    block.version = 1;
+    block.prevHash = prevHash;
+    block.timestamp = 1231006505 + height * 600;
+    block.bits = 0x207fffff;
+    block.nonce = 0;
+    block.transactions = transactions;
+    block.merkleRoot = bitcoin.Block.calculateMerkleRoot(transactions);
+    prevHash = block.getHash();
+    blocks.push({ height, data: block.toBuffer() });
+  }
+  return blocks;
+}
+
+async function loadBlocks() {
+  if (SYNTHETIC) {
+    console.log(`Generating ${COUNT} synthetic blocks with up to ${SYNTHETIC_TXS} transactions each...`);
+    return generateBlocks(COUNT);
+  }
+
+  const heights = Array.from({ length: COUNT }, (_, i) => START + i);
+  if (blockFileReader.isEnabled()) {
+    console.log(`Reading blocks ${START}-${START + COUNT - 1} from ${blockFileReader.config.blocksDir}...`);
+    await blockFileReader.open();
+    return heights.map((height) => blockFileReader.getRawBlock(height));
+  }
+
+  console.log(`Fetching blocks ${START}-${START + COUNT - 1} over RPC...`);
+  await bitcoinRPC.initialize();
+  const blocks = [];
+  for (let i = 0; i < heights.length; i += bitcoinRPC.config.rpcBatchBlocks) {
+    const batch = heights.slice(i, i + bitcoinRPC.config.rpcBatchBlocks);
+    const raw = await bitcoinRPC.getBlocksByHeight(batch, 0);
+    raw.forEach((hex, j) => blocks.push({ height: batch[j], data: Buffer.from(hex, "hex") }));
+  }
+  return blocks;
+}
+
+async function run(blocks, workers) {
+  const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), "taint-benchmark-"));
+  dbService.dbPath = dbPath;
+  await dbService.init();
+  const db = await dbService.getScanDb();
+  const outpoints = await dbService.getOutpointDb();
+
+  // Seed every coinbase output of the range
+  const seed = outpoints.batch();
+  for (const { data } of blocks) {
+    const coinbase = bitcoin.Block.fromBuffer(data).transactions[0];
+    coinbase.outs.forEach((_, vout) => seed.put(`${coinbase.getId()}:${vout}`, 0));
+  }
+  await seed.write();
+
+  const filter = await dbService.getOutpointFilter();
+  const pool = bitcoinRPC.createWorkerPool({ scan: db, outpoints, filter }, { size: workers, dbPath });
+  bitcoinRPC.blockWorkerPool = pool;
+  const byHeight = new Map(blocks.map((block) => [block.height, block]));
+  const prefetcher = new BlockPrefetcher(
+    (heights) => Promise.all(heights.map((height) => pool.prepare(byHeight.get(height)))),
+    {
+      depth: bitcoinRPC.config.prefetchBlocks,
+      batchSize: bitcoinRPC.config.rpcBatchBlocks,
+      maxInFlight: bitcoinRPC.config.maxParallelRequests,
+      memoryThreshold: bitcoinRPC.config.memoryThreshold,
+    }
+  );
+
+  let transactions = 0;
+  let tainted = 0;
+  const startTime = process.hrtime.bigint();
+  const first = blocks[0].height;
+  for await (const prepared of prefetcher.blocks(first, first + blocks.length - 1)) {
+    transactions += prepared.block.tx.length;
+    await bitcoinRPC.processBlockTransactions(prepared.block, [], new Map(), async () => tainted++, db, null, null, null, prepared);
+  }
+  const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+  await pool.close();
+  bitcoinRPC.blockWorkerPool = null;
+  await dbService.close();
+  fs.rmSync(dbPath, { recursive: true, force: true });
+
+  return { workers, seconds, blocksPerSecond: blocks.length / seconds, txPerSecond: transactions / seconds, tainted };
+}
+
+async function main() {
+  const blocks = await loadBlocks();
+  console.log(`Loaded ${blocks.length} blocks, ${os.cpus().length} CPU(s)\n`);
+
+  const results = [];
+  for (const workers of WORKER_COUNTS) {
+    const result = await run(blocks, workers);
+    results.push(result);
+    console.log(
+      `workers=${workers}: ${result.seconds.toFixed(2)}s, ${result.blocksPerSecond.toFixed(1)} blocks/s, ` +
+        `${Math.round(result.txPerSecond).toLocaleString()} tx/s, ${result.tainted.toLocaleString()} tainted outputs`
+    );
+  }
+
+  const baseline = results[0];
+  console.log("\n| Workers | Blocks/s | Tx/s | Speedup |");
+  console.log("|---------|----------|------|---------|");
+  for (const result of results) {
+    console.log(
+      `| ${result.workers} | ${result.blocksPerSecond.toFixed(1)} | ${Math.round(result.txPerSecond)} | ` +
+        `${(result.txPerSecond / baseline.txPerSecond).toFixed(2)}x |`
+    );
+  }
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("Benchmark failed:", error);
+  process.exit(1);
+});
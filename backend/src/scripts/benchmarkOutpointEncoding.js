@@ -0,0 +1,133 @@
+require("dotenv").config();
+const { Level } = require("level");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const outpointEncoding = require("../services/outpointEncoding");
+
+/**
+ * Compares the string/JSON and the binary encoding of tainted outpoints
+ *
+ *   npm run benchmark-outpoints -- --count=1000000
+ *
+ * Writes the same synthetic outpoints (mostly propagated degrees, one in a thousand a
+ * coinbase seed) once as "tainted_out:<txid>:<vout>" JSON entries of the scan sublevel and
+ * once into the binary outpoints sublevel, each into a throwaway store under the OS temp
+ * directory, then reports the compacted size on disk and write/random read throughput.
+ */
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    return [key, value === undefined ? true : value];
+  })
+);
+
+const COUNT = parseInt(args.count) || 1000000;
+const READS = Math.min(parseInt(args.reads) || 100000, COUNT);
+const BATCH_SIZE = 10000;
+
+function generateRecords(count) {
+  const records = [];
+  let txid = null;
+  for (let i = 0; i < count; i++) {
+    // Two to three outputs per transaction
+    if (i % 3 !== 2 || txid === null) {
+      txid = crypto.randomBytes(32).toString("hex");
+    }
+    const outpoint = `${txid}:${i % 3}`;
+    if (i % 1000 === 0) {
+      records.push([outpoint, { degree: 0, coinbase: true, value: 5000000000, blockHeight: i % 60000, address: "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa" }]);
+    } else {
+      records.push([outpoint, { degree: 1 + (i % 12) }]);
+    }
+  }
+  return records;
+}
+
+const layouts = {
+  legacy: {
+    open: (root) => root.sublevel("scan", { valueEncoding: "json" }),
+    key: (outpoint) => `${outpointEncoding.LEGACY_PREFIX}${outpoint}`,
+    // The old shapes: a bare degree, or the coinbase seed object
+    value: (record, outpoint) =>
+      record.coinbase
+        ? { address: record.address, degree: 0, txHash: outpoint.split(":")[0], blockHeight: record.blockHeight, value: record.value }
+        : record.degree,
+  },
+  binary: {
+    open: (root) => root.sublevel("outpoints", outpointEncoding.sublevelOptions),
+    key: (outpoint) => outpoint,
+    value: (record) => (record.coinbase ? record : record.degree),
+  },
+};
+
+function diskSize(dir) {
+  return fs.readdirSync(dir).reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+}
+
+async function run(name, records) {
+  const layout = layouts[name];
+  const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), "outpoint-benchmark-"));
+  const root = new Level(dbPath, { valueEncoding: "json" });
+  await root.open();
+  const db = layout.open(root);
+  await db.open();
+
+  let startTime = process.hrtime.bigint();
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [outpoint, record] of records.slice(i, i + BATCH_SIZE)) {
+      batch.put(layout.key(outpoint), layout.value(record, outpoint));
+    }
+    await batch.write();
+  }
+  const writeSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+  await root.compactRange("!", "~");
+  const bytes = diskSize(dbPath);
+
+  startTime = process.hrtime.bigint();
+  for (let i = 0; i < READS; i++) {
+    const [outpoint] = records[crypto.randomInt(records.length)];
+    await db.get(layout.key(outpoint));
+  }
+  const readSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+  await root.close();
+  fs.rmSync(dbPath, { recursive: true, force: true });
+
+  return { name, bytes, writesPerSecond: records.length / writeSeconds, readsPerSecond: READS / readSeconds };
+}
+
+async function main() {
+  console.log(`Generating ${COUNT.toLocaleString()} outpoints...`);
+  const records = generateRecords(COUNT);
+
+  const results = [];
+  for (const name of Object.keys(layouts)) {
+    const result = await run(name, records);
+    results.push(result);
+    console.log(
+      `${name}: ${(result.bytes / 1024 / 1024).toFixed(1)} MB, ${Math.round(result.writesPerSecond).toLocaleString()} writes/s, ` +
+        `${Math.round(result.readsPerSecond).toLocaleString()} reads/s`
+    );
+  }
+
+  const baseline = results[0];
+  console.log("\n| Encoding | Size on disk | Bytes/outpoint | Writes/s | Reads/s |");
+  console.log("|----------|--------------|----------------|----------|---------|");
+  for (const result of results) {
+    console.log(
+      `| ${result.name} | ${(result.bytes / 1024 / 1024).toFixed(1)} MB (${((result.bytes / baseline.bytes) * 100).toFixed(0)}%) | ` +
+        `${(result.bytes / COUNT).toFixed(1)} | ${Math.round(result.writesPerSecond)} | ${Math.round(result.readsPerSecond)} |`
+    );
+  }
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("Benchmark failed:", error);
+  process.exit(1);
+});
@@ -1,9 +1,9 @@
 require("dotenv").config();
-const { Level } = require("level");
-const path = require("path");
 const fs = require("fs");
+const dbService = require("../services/dbService");
+const seedSets = require("../services/seedSets");
 
-const DB_PATH = process.env.DB_PATH || "./data";
+const DB_PATH = dbService.dbPath;
 
 async function checkSatoshiData() {
   console.log("🔍 Checking Satoshi Data Database...");
@@ -14,16 +14,13 @@ async function checkSatoshiData() {
     return;
   }
 
-  const db = new Level(DB_PATH, { valueEncoding: "json" });
-
   try {
-    await db.open();
+    const db = await dbService.init();
     console.log("✅ Database connected successfully.\n");
 
     let stats = {
       tainted: 0,
       transactions: 0,
-      queue: 0,
       other: 0,
       total: 0,
       maxDegree: 0
@@ -36,7 +33,7 @@ async function checkSatoshiData() {
     for await (const [key, value] of db.iterator()) {
       stats.total++;
 
-      if (key.startsWith("tainted:")) {
+      if (key.startsWith("tainted:") && !seedSets.isSetRecordKey(key)) {
         stats.tainted++;
         if (value.degree > stats.maxDegree) {
           stats.maxDegree = value.degree;
@@ -56,8 +53,6 @@ async function checkSatoshiData() {
 
       } else if (key.startsWith("tx:")) {
         stats.transactions++;
-      } else if (key.startsWith("queue:")) {
-        stats.queue++;
       } else {
         stats.other++;
       }
@@ -69,17 +64,10 @@ async function checkSatoshiData() {
     // Try to read scan progress
     let scanProgress = null;
     try {
-        const scanDbPath = path.join(DB_PATH, "scan_progress");
-        if (fs.existsSync(scanDbPath)) {
-            const scanDb = new Level(scanDbPath, { valueEncoding: "json" });
-            await scanDb.open();
-            try {
-                scanProgress = await scanDb.get("scan_progress");
-            } catch(e) {}
-            await scanDb.close();
-        }
+        const scanDb = await dbService.getScanDb();
+        scanProgress = await scanDb.get("scan_progress");
     } catch (e) {
-        console.log("⚠️  Could not read scan progress (DB might be locked)");
+        console.log("⚠️  Could not read scan progress");
     }
 
     console.log("\n📈 Statistics:");
@@ -87,7 +75,6 @@ async function checkSatoshiData() {
     console.log(`Total Entries:      ${stats.total.toLocaleString()}`);
     console.log(`Tainted Addresses:  ${stats.tainted.toLocaleString()}`);
     console.log(`Transactions:       ${stats.transactions.toLocaleString()}`);
-    console.log(`Queue Items:        ${stats.queue.toLocaleString()}`);
     console.log(`Other Keys:         ${stats.other.toLocaleString()}`);
     console.log(`Max Degree Found:   ${stats.maxDegree}`);
     if (scanProgress) {
@@ -112,7 +99,7 @@ async function checkSatoshiData() {
     }
   } finally {
     try {
-      await db.close();
+      await dbService.close();
     } catch (e) {}
   }
 }
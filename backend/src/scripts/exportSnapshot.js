@@ -0,0 +1,33 @@
+require("dotenv").config();
+const path = require("path");
+const dbService = require("../services/dbService");
+const snapshotService = require("../services/snapshotService");
+
+/**
+ * Writes a checksummed snapshot of the taint databases at their last processed block
+ *
+ *   npm run export-snapshot -- ./snapshots/taint-840000.ndjson.gz
+ *
+ * Stop the server (and update-satoshi-data) first; the databases are opened exclusively.
+ */
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: npm run export-snapshot -- <file>");
+    process.exit(1);
+  }
+
+  console.log(`📦 Exporting ${dbService.dbPath} to ${path.resolve(file)}...`);
+  const snapshot = await snapshotService.exportSnapshot(file);
+  console.log(`\n✅ Snapshot written: ${snapshot.records.toLocaleString()} records`);
+  console.log(`   Network:  ${snapshot.network}`);
+  console.log(`   Tip:      ${snapshot.height} (${snapshot.hash})`);
+  console.log(`   SHA-256:  ${snapshot.checksum}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("\n❌ Snapshot export failed:", error.message);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 require("dotenv").config();
 const bitcoinRPC = require("../services/bitcoinRPC");
+const { getChainSource } = require("../services/chainSource");
 
 /**
  * Extract addresses from early blocks (0-2) that are not in Patoshi list
@@ -9,15 +10,15 @@ const bitcoinRPC = require("../services/bitcoinRPC");
 async function extractEarlyBlocks() {
   console.log("🔍 Extracting addresses from early blocks (0-2)...\n");
 
-  await bitcoinRPC.initialize();
+  const chainSource = getChainSource();
+  await chainSource.initialize();
 
   const earlyBlocks = [0, 1, 2];
   const addresses = [];
 
   for (const height of earlyBlocks) {
     try {
-      const hash = await bitcoinRPC.call("getblockhash", [height]);
-      const block = await bitcoinRPC.call("getblock", [hash, 2]);
+      const block = await chainSource.getBlock(height);
 
       const coinbaseTx = block.tx[0];
 
@@ -2,7 +2,9 @@ require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const bitcoinRPC = require("../services/bitcoinRPC");
+const { getChainSource } = require("../services/chainSource");
 const { PATOSHI_BLOCKS } = require("../data/patoshiBlocks");
+const network = require("../utils/network");
 
 /**
  * Script to extract ALL coinbase addresses from Patoshi blocks
@@ -16,9 +18,14 @@ const { PATOSHI_BLOCKS } = require("../data/patoshiBlocks");
 const PROGRESS_INTERVAL = 500; // Show progress every N blocks
 
 async function extractPatoshiAddresses() {
+  if (!network.isMainnet) {
+    throw new Error(`Patoshi addresses only exist on mainnet (BITCOIN_NETWORK=${network.name})`);
+  }
+
   console.log("🔍 Extracting Patoshi coinbase addresses...\n");
 
-  await bitcoinRPC.initialize();
+  const chainSource = getChainSource();
+  await chainSource.initialize();
 
   const patoshiAddresses = new Set();
   const addressDetails = new Map(); // address -> { blockHeight, timestamp, amount }
@@ -71,8 +78,7 @@ async function extractPatoshiAddresses() {
       }
 
       // Get block
-      const hash = await bitcoinRPC.call("getblockhash", [height]);
-      const block = await bitcoinRPC.call("getblock", [hash, 2]);
+      const block = await chainSource.getBlock(height);
       lastBlock = block;
 
       // Get coinbase transaction (first transaction in block)
@@ -0,0 +1,63 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const dbService = require("../services/dbService");
+
+/**
+ * Converts the tainted outpoints of an existing store to the binary encoding
+ *
+ *   npm run migrate-outpoints
+ *
+ * Opening the store does the conversion (the server and update-satoshi-data do the same on
+ * startup); this runs it on its own, compacts the store and reports the time taken and the
+ * size on disk before and after. Stop the server first; the store is opened exclusively.
+ */
+
+function diskSize(dir) {
+  let bytes = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    bytes += entry.isDirectory() ? diskSize(file) : fs.statSync(file).size;
+  }
+  return bytes;
+}
+
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function main() {
+  if (!fs.existsSync(dbService.dbPath)) {
+    console.error(`No database found in ${dbService.dbPath}`);
+    process.exit(1);
+  }
+
+  const sizeBefore = diskSize(dbService.dbPath);
+  console.log(`🔄 Migrating tainted outpoints in ${dbService.dbPath} (${formatSize(sizeBefore)})...`);
+
+  const startTime = Date.now();
+  await dbService.init();
+  const migration = dbService.appliedMigrations.find(({ name }) => name === "binary-outpoints");
+  const moved = migration ? migration.result : 0;
+  const seconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+  if (moved === 0) {
+    console.log("\n✅ Nothing to migrate, the outpoints are already binary encoded");
+    await dbService.close();
+    process.exit(0);
+  }
+
+  // Drop the deleted string keys from disk
+  await dbService.root.compactRange("!", "~");
+  await dbService.close();
+  const sizeAfter = diskSize(dbService.dbPath);
+
+  console.log(`\n✅ Migrated ${moved.toLocaleString()} outpoints in ${seconds.toFixed(1)}s (${Math.round(moved / seconds).toLocaleString()}/s)`);
+  console.log(`   Size before: ${formatSize(sizeBefore)}`);
+  console.log(`   Size after:  ${formatSize(sizeAfter)} (compacted)`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("\n❌ Outpoint migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,769 @@
+require("dotenv").config();
+const assert = require("assert");
+const bitcoin = require("bitcoinjs-lib");
+const { Level } = require("level");
+const crypto = require("crypto");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const network = require("../utils/network");
+const blockFileReader = require("../services/blockFileReader");
+const outpointEncoding = require("../services/outpointEncoding");
+const taintIndexes = require("../services/taintIndexes");
+const dbService = require("../services/dbService");
+const zmqBlockListener = require("../services/zmqBlockListener");
+const { decodeBlock, toHex } = require("../services/blockDecoder");
+const { EsploraChainSource } = require("../services/esploraChainSource");
+const { ElectrumChainSource } = require("../services/electrumChainSource");
+const { SCHEMA_VERSION } = require("../migrations");
+
+/**
+ * Round-trips the parsers that only real node data or an old database would exercise
+ *
+ *   npm run self-check
+ *
+ *   blocks      writes a few generated blocks as XORed blk/rev files (undo data with every
+ *               compressed script type) and reads them back through blockFileReader
+ *   outpoints   encodes and decodes outpoint keys and records, including legacy values
+ *   migrations  builds a two-database store in the old layout and opens it, applying every
+ *               migration up to the current schema
+ *   chain       serves the generated blocks from local Esplora (HTTP) and Electrum (TCP)
+ *               stand-ins and reads them back through both chain sources: blocks, and the
+ *               transaction, prevout, height and UTXO lookups bitcoinRPC forwards to them
+ *   zmq         runs the ZMQ block listener against a local publisher standing in for the
+ *               node: duplicate and out-of-order notifications, the publisher going away
+ *               (the sync polls meanwhile) and coming back (skipped without zeromq)
+ *
+ * Everything is written under the OS temp directory and removed afterwards. Needs no node
+ * and never touches DB_PATH. Exits with 1 if a check fails.
+ */
+
+const SATS = 100000000;
+
+function sha256d(...buffers) {
+  const first = crypto.createHash("sha256");
+  buffers.forEach((buffer) => first.update(buffer));
+  return crypto.createHash("sha256").update(first.digest()).digest();
+}
+
+// Bitcoin Core's VARINT (serialize.h): base 128, most significant group first, minus one per continuation
+function writeCoreVarint(n) {
+  const bytes = [];
+  let rest = n;
+  for (;;) {
+    bytes.unshift((rest % 0x80) | (bytes.length ? 0x80 : 0));
+    if (rest <= 0x7f) return Buffer.from(bytes);
+    rest = Math.floor(rest / 0x80) - 1;
+  }
+}
+
+function compactSize(n) {
+  return Buffer.from([n]); // Small counts only
+}
+
+// Bitcoin Core's CompressAmount (compressor.cpp)
+function compressAmount(amount) {
+  if (amount === 0) return 0;
+  let n = amount;
+  let e = 0;
+  while (n % 10 === 0 && e < 9) {
+    n /= 10;
+    e++;
+  }
+  if (e < 9) {
+    const d = n % 10;
+    n = Math.floor(n / 10);
+    return 1 + (n * 9 + d - 1) * 10 + e;
+  }
+  return 1 + (n - 1) * 10 + 9;
+}
+
+// Bitcoin Core's CompressScript: special codes 0-5, otherwise size + 6 and the raw script
+function compressScript(script) {
+  if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 20 && script[23] === 0x88) {
+    return Buffer.concat([Buffer.from([0]), script.subarray(3, 23)]);
+  }
+  if (script.length === 23 && script[0] === 0xa9 && script[1] === 20 && script[22] === 0x87) {
+    return Buffer.concat([Buffer.from([1]), script.subarray(2, 22)]);
+  }
+  if (script.length === 35 && script[0] === 33 && script[34] === 0xac) {
+    return script.subarray(1, 34); // 02/03 prefix is the code
+  }
+  if (script.length === 67 && script[0] === 65 && script[1] === 0x04 && script[66] === 0xac) {
+    return Buffer.concat([Buffer.from([0x04 | (script[65] & 1)]), script.subarray(2, 34)]);
+  }
+  return Buffer.concat([writeCoreVarint(script.length + 6), script]);
+}
+
+// Fixed keys, the first of each y parity
+function publicKeys(compressed) {
+  const keys = {};
+  for (let i = 1; !keys.even || !keys.odd; i++) {
+    const ecdh = crypto.createECDH("secp256k1");
+    ecdh.setPrivateKey(Buffer.alloc(32, i));
+    const uncompressed = ecdh.getPublicKey();
+    const parity = uncompressed[64] & 1 ? "odd" : "even";
+    keys[parity] = keys[parity] || ecdh.getPublicKey(null, compressed ? "compressed" : "uncompressed");
+  }
+  return [keys.even, keys.odd];
+}
+
+function p2pk(pubkey) {
+  return Buffer.concat([Buffer.from([pubkey.length]), pubkey, Buffer.from([0xac])]);
+}
+
+/**
+ * Three blocks: the first pays an uncompressed P2PK output, the second spends it into every
+ * script type, the third spends those and the second block's coinbase
+ */
+function generateBlocks() {
+  const [uncompressedEven, uncompressedOdd] = publicKeys(false);
+  const [compressedEven, compressedOdd] = publicKeys(true);
+  const hash20 = (byte) => Buffer.alloc(20, byte);
+  const outputs = [
+    { script: bitcoin.payments.p2pkh({ hash: hash20(1) }).output, value: 1234567 },
+    { script: bitcoin.payments.p2sh({ hash: hash20(2) }).output, value: 20000000 },
+    { script: p2pk(compressedEven), value: 300000001 },
+    { script: p2pk(compressedOdd), value: 1 },
+    { script: p2pk(uncompressedOdd), value: 4000000000 },
+    { script: Buffer.from([0x51]), value: 0 }, // OP_TRUE
+    { script: bitcoin.payments.p2wpkh({ hash: hash20(3) }).output, value: 777 },
+  ].map(({ script, value }) => ({ script: Buffer.from(script), value }));
+
+  const coins = new Map(); // "txid:vout" -> { height, coinbase, value, script }
+  const blocks = [];
+  let prevHash = Buffer.alloc(32);
+
+  const addBlock = (height, coinbaseOutputs, spends) => {
+    const coinbase = new bitcoin.Transaction();
+    coinbase.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from(`check${height}`));
+    coinbaseOutputs.forEach(({ script, value }) => coinbase.addOutput(script, BigInt(value)));
+    const transactions = [coinbase];
+    const undo = [compactSize(spends.length)];
+
+    for (const { inputs, outs } of spends) {
+      const tx = new bitcoin.Transaction();
+      undo.push(compactSize(inputs.length));
+      for (const outpoint of inputs) {
+        const [txid, vout] = outpoint.split(":");
+        tx.addInput(Buffer.from(txid, "hex").reverse(), Number(vout));
+        const coin = coins.get(outpoint);
+        undo.push(writeCoreVarint(coin.height * 2 + (coin.coinbase ? 1 : 0)));
+        if (coin.height > 0) undo.push(writeCoreVarint(0)); // Legacy version field
+        undo.push(writeCoreVarint(compressAmount(coin.value)), compressScript(coin.script));
+      }
+      outs.forEach(({ script, value }) => tx.addOutput(script, BigInt(value)));
+      transactions.push(tx);
+    }
+
+    for (const tx of transactions) {
+      tx.outs.forEach((out, vout) =>
+        coins.set(`${tx.getId()}:${vout}`, {
+          height,
+          coinbase: tx === coinbase,
+          value: Number(out.value),
+          script: Buffer.from(out.script),
+        })
+      );
+    }
+
+    const block = new bitcoin.Block();
+    block.version = 1;
+    block.prevHash = prevHash;
+    block.timestamp = 1231006505 + height * 600;
+    block.bits = 0x207fffff;
+    block.nonce = 0;
+    block.transactions = transactions;
+    block.merkleRoot = bitcoin.Block.calculateMerkleRoot(transactions);
+    blocks.push({ height, hash: block.getId(), prevHash, data: Buffer.from(block.toBuffer()), undo: Buffer.concat(undo) });
+    prevHash = Buffer.from(block.getHash());
+    return transactions.map((tx) => tx.getId());
+  };
+
+  const [genesisCoinbase] = addBlock(0, [{ script: p2pk(uncompressedEven), value: 50 * SATS }], []);
+  const [coinbase1, spend1] = addBlock(1, [{ script: outputs[0].script, value: 50 * SATS }], [
+    { inputs: [`${genesisCoinbase}:0`], outs: outputs },
+  ]);
+  addBlock(2, [{ script: outputs[1].script, value: 50 * SATS }], [
+    { inputs: [0, 1, 2, 3].map((vout) => `${spend1}:${vout}`), outs: [outputs[0]] },
+    { inputs: [`${spend1}:4`, `${spend1}:5`, `${spend1}:6`, `${coinbase1}:0`], outs: [outputs[1]] },
+  ]);
+  return { blocks, coins };
+}
+
+// [magic][size][payload][trailer] records, XORed by file offset
+function writeRecords(file, records, xorKey) {
+  const parts = [];
+  for (const { payload, trailer } of records) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(network.magic, 0);
+    header.writeUInt32LE(payload.length, 4);
+    parts.push(header, payload, trailer || Buffer.alloc(0));
+  }
+  const data = Buffer.concat(parts);
+  for (let i = 0; i < data.length; i++) {
+    data[i] ^= xorKey[i % xorKey.length];
+  }
+  fs.writeFileSync(file, data);
+}
+
+async function checkBlockFiles(dir) {
+  const { blocks, coins } = generateBlocks();
+  const xorKey = Buffer.from("0123456789abcdef", "hex");
+  fs.writeFileSync(path.join(dir, "xor.dat"), xorKey);
+  writeRecords(
+    path.join(dir, "blk00000.dat"),
+    blocks.map(({ data }) => ({ payload: data })),
+    xorKey
+  );
+  writeRecords(
+    path.join(dir, "rev00000.dat"),
+    blocks.slice(1).map(({ prevHash, undo }) => ({ payload: undo, trailer: sha256d(prevHash, undo) })),
+    xorKey
+  );
+
+  const reader = new blockFileReader.constructor();
+  reader.config.blocksDir = dir;
+  await reader.open();
+  try {
+    assert.ok(reader.xorKey, "xor.dat key not applied");
+    assert.strictEqual(reader.getTipHeight(), blocks.length - 1, "tip height");
+
+    let checked = 0;
+    for (const { height, hash } of blocks) {
+      const block = await reader.getBlock(height);
+      assert.strictEqual(block.hash, hash, `hash of block ${height}`);
+      for (const tx of block.tx.slice(1)) {
+        for (const vin of tx.vin) {
+          const coin = coins.get(`${vin.txid}:${vin.vout}`);
+          const where = `prevout ${vin.txid}:${vin.vout}`;
+          assert.ok(vin.prevout, `${where} missing`);
+          assert.strictEqual(vin.prevout.height, coin.height, `${where} height`);
+          assert.strictEqual(vin.prevout.generated, coin.coinbase, `${where} coinbase flag`);
+          assert.strictEqual(Math.round(vin.prevout.value * SATS), coin.value, `${where} value`);
+          assert.strictEqual(vin.prevout.scriptPubKey.hex, coin.script.toString("hex"), `${where} script`);
+          checked++;
+        }
+      }
+    }
+    return `${blocks.length} blocks, ${checked} prevouts from undo data`;
+  } finally {
+    reader.close();
+  }
+}
+
+async function checkOutpointEncoding() {
+  const txid = crypto.createHash("sha256").update("self-check").digest("hex");
+  const vouts = [0, 1, 127, 128, 16383, 16384, 2 ** 31, Number.MAX_SAFE_INTEGER];
+  for (const vout of vouts) {
+    const outpoint = `${txid}:${vout}`;
+    const key = outpointEncoding.encodeKey(outpoint);
+    assert.strictEqual(outpointEncoding.decodeKey(key), outpoint, `key ${outpoint}`);
+    const range = outpointEncoding.txidRange(txid);
+    assert.ok(Buffer.compare(key, range.gte) >= 0 && Buffer.compare(key, range.lte) <= 0, `txidRange ${outpoint}`);
+  }
+  for (const invalid of [`${txid.slice(2)}:0`, `${"zz".repeat(32)}:0`, `${txid}:-1`, `${txid}:x`, txid]) {
+    assert.throws(() => outpointEncoding.encodeKey(invalid), `invalid key ${invalid} accepted`);
+  }
+
+  const records = [
+    { degree: 0 },
+    { degree: 7 },
+    { degree: 8 },
+    { degree: 1000 },
+    { degree: 0, coinbase: true, value: 50 * SATS, blockHeight: 0, address: "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa" },
+    { degree: 2, value: 21000000 * SATS },
+    { degree: 3, blockHeight: 900000 },
+  ];
+  for (const record of records) {
+    assert.deepStrictEqual(outpointEncoding.decodeValue(outpointEncoding.encodeValue(record)), record);
+  }
+  assert.strictEqual(outpointEncoding.encodeValue(7).length, 1, "propagated degree takes a single byte");
+  assert.deepStrictEqual(outpointEncoding.decodeValue(outpointEncoding.encodeValue(5)), { degree: 5 });
+  assert.throws(() => outpointEncoding.encodeValue({ degree: -1 }), "negative degree accepted");
+
+  assert.deepStrictEqual(outpointEncoding.fromLegacyValue(4), { degree: 4 });
+  const seed = { address: "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", degree: 0, txHash: txid, blockHeight: 9, value: 50 * SATS };
+  const converted = outpointEncoding.decodeValue(outpointEncoding.encodeValue(outpointEncoding.fromLegacyValue(seed)));
+  assert.deepStrictEqual(converted, {
+    degree: 0,
+    coinbase: true,
+    value: seed.value,
+    blockHeight: seed.blockHeight,
+    address: seed.address,
+  });
+  return `${vouts.length} keys, ${records.length + 2} records`;
+}
+
+async function checkMigrations(dir) {
+  const op = (n) => `${crypto.createHash("sha256").update(`migration${n}`).digest("hex")}:${n}`;
+  const tainted = {
+    degree: 1,
+    txHash: op(1).slice(0, 64),
+    amount: 0.5,
+    originalSatoshiAddress: "1SeedAddress",
+    origins: [
+      { address: "1SeedAddress", degree: 1 },
+      { address: "1OtherSeedAddress", degree: 2 },
+    ],
+  };
+  const seed = { address: "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", degree: 0, txHash: op(2).slice(0, 64), blockHeight: 0, value: 50 * SATS };
+
+  // Version 0: main keys at the root, scan keys in a LevelDB of their own
+  const root = new Level(dir, { valueEncoding: "json" });
+  await root.batch([
+    { type: "put", key: "tainted:1TaintedAddress", value: tainted },
+    { type: "put", key: "tainted:1SeedAddress", value: { degree: 0 } },
+    { type: "put", key: "seed:mtgox:1SetAddress", value: { degree: 1, txHash: op(1).slice(0, 64) } },
+    { type: "put", key: "queue:1TaintedAddress", value: 1 },
+    { type: "put", key: "lastBlock:1TaintedAddress", value: 2 },
+  ]);
+  await root.close();
+  const legacyScan = new Level(path.join(dir, "scan_progress"), { valueEncoding: "json" });
+  await legacyScan.batch([
+    { type: "put", key: "scan_progress", value: { lastBlock: 2, transactions: {} } },
+    { type: "put", key: `tainted_out:${op(1)}`, value: 1 },
+    { type: "put", key: `tainted_out:${op(2)}`, value: seed },
+    {
+      type: "put",
+      key: "undo:2",
+      value: {
+        hash: "00".repeat(32),
+        ops: [
+          { store: "scan", key: `tainted_out:${op(1)}`, prev: null },
+          { store: "scan", key: `tainted_out:${op(2)}`, prev: 3 },
+          { store: "main", key: "tainted:1TaintedAddress", prev: null },
+          { store: "main", key: "seed:mtgox:1SetAddress", prev: null },
+        ],
+      },
+    },
+  ]);
+  await legacyScan.close();
+
+  const dbPath = dbService.dbPath;
+  dbService.dbPath = dir;
+  try {
+    const main = await dbService.init();
+    const applied = dbService.appliedMigrations.map(({ version }) => version);
+    assert.deepStrictEqual(
+      applied,
+      Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1),
+      "every migration applied"
+    );
+    assert.strictEqual((await dbService.metaDb.get("schema")).version, SCHEMA_VERSION, "schema version");
+    assert.ok(!fs.existsSync(path.join(dir, "scan_progress")), "legacy scan database removed");
+
+    assert.deepStrictEqual(await main.get("tainted:1TaintedAddress"), tainted, "main key moved");
+    assert.deepStrictEqual(
+      await main.get("tainted:mtgox:1SetAddress"),
+      { degree: 1, txHash: op(1).slice(0, 64) },
+      "seed set record moved"
+    );
+    assert.strictEqual(await main.get("seed:mtgox:1SetAddress"), undefined, "legacy seed set record removed");
+    assert.strictEqual(await main.get("queue:1TaintedAddress"), undefined, "queue key dropped");
+    assert.strictEqual(await main.get("lastBlock:1TaintedAddress"), undefined, "lastBlock key dropped");
+    assert.deepStrictEqual(await dbService.scanDb.get("scan_progress"), { lastBlock: 2 }, "scan_progress");
+
+    assert.deepStrictEqual(await dbService.outpointDb.get(op(1)), { degree: 1 }, "propagated outpoint");
+    assert.deepStrictEqual(
+      await dbService.outpointDb.get(op(2)),
+      { degree: 0, coinbase: true, value: seed.value, blockHeight: 0, address: seed.address },
+      "seed outpoint"
+    );
+    assert.strictEqual(await dbService.scanDb.get(`tainted_out:${op(1)}`), undefined, "legacy outpoint removed");
+    assert.deepStrictEqual(
+      (await dbService.scanDb.get("undo:2")).ops,
+      [
+        { store: "outpoints", key: op(1), prev: null },
+        { store: "outpoints", key: op(2), prev: { degree: 3 } },
+        { store: "main", key: "tainted:1TaintedAddress", prev: null },
+        { store: "main", key: "tainted:mtgox:1SetAddress", prev: null },
+      ],
+      "undo journal rewritten"
+    );
+
+    assert.strictEqual(await taintIndexes.getCount(main, "degree", 1), 1, "degree 1 count");
+    assert.strictEqual(await taintIndexes.getCount(main, "degree", 0), 1, "degree 0 count");
+    const { addresses } = await taintIndexes.listAddresses(main, "degree", { value: 1 });
+    assert.deepStrictEqual(
+      addresses.map(({ address }) => address),
+      ["1TaintedAddress"],
+      "degree index"
+    );
+    for (const origin of ["1SeedAddress", "1OtherSeedAddress"]) {
+      const listed = await taintIndexes.listAddresses(main, "origin", { value: origin });
+      assert.ok(listed.addresses.some(({ address }) => address === "1TaintedAddress"), `origin index of ${origin}`);
+    }
+
+    // Opening again applies nothing
+    await dbService.close();
+    await dbService.init();
+    assert.deepStrictEqual(dbService.appliedMigrations, [], "second open applies no migration");
+    return `schema 0 -> ${SCHEMA_VERSION} (${applied.length} migrations)`;
+  } finally {
+    await dbService.close();
+    dbService.dbPath = dbPath;
+  }
+}
+
+// Transactions of the generated blocks by txid, with their block, and the input spending each outpoint
+function indexChain(blocks) {
+  const transactions = new Map();
+  const spentBy = new Map();
+  for (const { height, hash, data } of blocks) {
+    for (const tx of bitcoin.Block.fromBuffer(data).transactions) {
+      transactions.set(tx.getId(), { tx, height, hash });
+      if (tx.isCoinbase()) continue;
+      tx.ins.forEach((input) => spentBy.set(`${toHex(input.hash)}:${input.index}`, tx.getId()));
+    }
+  }
+  return { transactions, spentBy };
+}
+
+function startServer(server) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+// The subset of the Esplora REST API the chain source reads
+function esploraServer(blocks, { transactions, spentBy }, coins) {
+  const toJson = ({ tx, height, hash }) => ({
+    txid: tx.getId(),
+    vin: tx.ins.map((input) => {
+      if (tx.isCoinbase()) {
+        return { is_coinbase: true, scriptsig: input.script.toString("hex"), sequence: input.sequence, prevout: null };
+      }
+      const coin = coins.get(`${toHex(input.hash)}:${input.index}`);
+      return {
+        txid: toHex(input.hash),
+        vout: input.index,
+        is_coinbase: false,
+        sequence: input.sequence,
+        prevout: { scriptpubkey: coin.script.toString("hex"), value: coin.value },
+      };
+    }),
+    vout: tx.outs.map((out) => ({ scriptpubkey: Buffer.from(out.script).toString("hex"), value: Number(out.value) })),
+    status: { confirmed: true, block_height: height, block_hash: hash },
+  });
+
+  return http.createServer((req, res) => {
+    const send = (body, status = 200) => {
+      res.statusCode = status;
+      res.end(typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    };
+    let match;
+    if (req.url === "/blocks/tip/height") return send(String(blocks.length - 1));
+    if ((match = req.url.match(/^\/block-height\/(\d+)$/))) {
+      const block = blocks[match[1]];
+      return block ? send(block.hash) : send("Block not found", 404);
+    }
+    if ((match = req.url.match(/^\/block\/(\w+)\/raw$/))) {
+      const block = blocks.find(({ hash }) => hash === match[1]);
+      return block ? send(block.data) : send("Block not found", 404);
+    }
+    if ((match = req.url.match(/^\/tx\/(\w+)(\/status|\/outspend\/(\d+))?$/))) {
+      const entry = transactions.get(match[1]);
+      if (!entry) return send("Transaction not found", 404);
+      if (match[2] === "/status") return send(toJson(entry).status);
+      if (match[3] !== undefined) {
+        const spender = spentBy.get(`${match[1]}:${match[3]}`);
+        return send(spender ? { spent: true, txid: spender, status: { confirmed: true } } : { spent: false });
+      }
+      return send(toJson(entry));
+    }
+    return send("Not found", 404);
+  });
+}
+
+// The subset of the Electrum protocol the chain source reads; replies are split across writes
+function electrumServer(blocks, { transactions, spentBy }) {
+  const scriptHash = (script) => toHex(crypto.createHash("sha256").update(script).digest());
+  const history = (hash) => {
+    const entries = [];
+    for (const [txid, { tx, height }] of transactions) {
+      tx.outs.forEach((out, vout) => {
+        if (scriptHash(Buffer.from(out.script)) === hash) entries.push({ txid, vout, height, value: Number(out.value) });
+      });
+    }
+    return entries;
+  };
+  const header = (height) => Buffer.from(bitcoin.Block.fromBuffer(blocks[height].data).toBuffer(true)).toString("hex");
+  const methods = {
+    "server.version": () => ["SelfCheck 1.0", "1.4"],
+    "blockchain.headers.subscribe": () => ({ height: blocks.length - 1, hex: header(blocks.length - 1) }),
+    "blockchain.block.header": ([height]) => header(height),
+    "blockchain.transaction.id_from_pos": ([height, position]) => {
+      const tx = bitcoin.Block.fromBuffer(blocks[height].data).transactions[position];
+      if (!tx) throw new Error("no tx at position");
+      return tx.getId();
+    },
+    "blockchain.transaction.get": ([txid]) => {
+      const entry = transactions.get(txid);
+      if (!entry) throw new Error("missing transaction");
+      return entry.tx.toHex();
+    },
+    "blockchain.scripthash.get_history": ([hash]) =>
+      history(hash).map(({ txid, height }) => ({ tx_hash: txid, height })),
+    "blockchain.scripthash.listunspent": ([hash]) =>
+      history(hash)
+        .filter(({ txid, vout }) => !spentBy.has(`${txid}:${vout}`))
+        .map(({ txid, vout, height, value }) => ({ tx_hash: txid, tx_pos: vout, height, value })),
+  };
+
+  return net.createServer((socket) => {
+    let buffer = "";
+    let writes = Promise.resolve(); // One reply at a time, so split replies do not interleave
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const { id, method, params } = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+        let reply;
+        try {
+          if (!methods[method]) throw new Error(`unknown method ${method}`);
+          reply = { jsonrpc: "2.0", id, result: methods[method](params) };
+        } catch (error) {
+          reply = { jsonrpc: "2.0", id, error: { code: 1, message: error.message } };
+        }
+        const line = `${JSON.stringify(reply)}\n`;
+        writes = writes
+          .then(() => socket.write(line.slice(0, 10)))
+          .then(() => new Promise((resolve) => setImmediate(resolve)))
+          .then(() => socket.write(line.slice(10)));
+      }
+    });
+  });
+}
+
+// A chain source created with the given environment, restored afterwards
+function createWithEnv(vars, create) {
+  const saved = Object.fromEntries(Object.keys(vars).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  try {
+    return create();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+async function checkChainSources() {
+  const { blocks, coins } = generateBlocks();
+  const chain = indexChain(blocks);
+  const esplora = esploraServer(blocks, chain, coins);
+  const electrum = electrumServer(blocks, chain);
+  const sources = [];
+  try {
+    const esploraPort = await startServer(esplora);
+    const electrumPort = await startServer(electrum);
+    sources.push(
+      createWithEnv({ ESPLORA_URL: `http://127.0.0.1:${esploraPort}/` }, () => new EsploraChainSource()),
+      createWithEnv({ ELECTRUM_HOST: "127.0.0.1", ELECTRUM_PORT: String(electrumPort), ELECTRUM_TLS: "false" }, () => {
+        const source = new ElectrumChainSource();
+        source.config.batchSize = 2; // Block 2 holds three transactions: two windows of positions
+        return source;
+      })
+    );
+
+    const last = blocks[blocks.length - 1];
+    const [, spend] = Array.from(chain.transactions.values()).filter(({ height }) => height === 1);
+    const spendTxid = spend.tx.getId();
+    const unknownTxid = "ab".repeat(32);
+    for (const source of sources) {
+      const where = (what) => `${source.name} ${what}`;
+      assert.strictEqual(await source.getTipHeight(), last.height, where("tip height"));
+      for (const { height, hash } of blocks) {
+        assert.strictEqual(await source.getBlockHash(height), hash, where(`hash of block ${height}`));
+      }
+
+      const built = await source.getBlocks([1, 2]);
+      for (const [i, block] of built.entries()) {
+        const expected = decodeBlock(blocks[i + 1].data, { height: i + 1 });
+        assert.strictEqual(block.hash, expected.hash, where(`block ${i + 1} hash`));
+        assert.strictEqual(block.previousblockhash, expected.previousblockhash, where(`block ${i + 1} parent`));
+        assert.strictEqual(block.time, expected.time, where(`block ${i + 1} time`));
+        assert.deepStrictEqual(
+          block.tx.map(({ txid, vout }) => [txid, vout.map(({ value, scriptPubKey }) => [value, scriptPubKey.hex])]),
+          expected.tx.map(({ txid, vout }) => [txid, vout.map(({ value, scriptPubKey }) => [value, scriptPubKey.hex])]),
+          where(`block ${i + 1} transactions`)
+        );
+      }
+
+      const [tx] = await source.getTransactions([spendTxid]);
+      assert.deepStrictEqual(
+        tx.vin.map(({ txid, vout }) => `${txid}:${vout}`),
+        spend.tx.ins.map((input) => `${toHex(input.hash)}:${input.index}`),
+        where("transaction inputs")
+      );
+      const coin = coins.get(`${spendTxid}:0`);
+      assert.deepStrictEqual(
+        await source.getPrevout(spendTxid, 0).then(({ value, scriptPubKey }) => [value, scriptPubKey.hex]),
+        [coin.value / SATS, coin.script.toString("hex")],
+        where("prevout")
+      );
+      assert.strictEqual(await source.getPrevout(spendTxid, 99), null, where("prevout past the outputs"));
+      assert.strictEqual(await source.getTransactionHeight(spendTxid), 1, where("transaction height"));
+
+      // Outputs 0-6 of the spend are all spent in block 2, the coinbase of block 2 is not
+      const [coinbase2] = bitcoin.Block.fromBuffer(last.data).transactions;
+      const unspent = await source.getUnspentOutputs([`${spendTxid}:0`, `${coinbase2.getId()}:0`]);
+      assert.strictEqual(unspent[0], null, where("spent output"));
+      assert.strictEqual(unspent[1] && unspent[1].value, 50, where("unspent output"));
+
+      await assert.rejects(source.getTransaction(unknownTxid), where("unknown transaction"));
+    }
+    return `${sources.map(({ name }) => name).join(" and ")}: ${blocks.length} blocks, lookups and UTXOs`;
+  } finally {
+    sources.forEach((source) => source.close && source.close());
+    esplora.close();
+    electrum.close();
+  }
+}
+
+// Next `event` of an emitter, rejecting after ms
+function nextEvent(emitter, event, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const onEvent = (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const timer = setTimeout(() => {
+      emitter.off(event, onEvent);
+      reject(new Error(`no "${event}" event within ${ms} ms`));
+    }, ms);
+    emitter.once(event, onEvent);
+  });
+}
+
+async function checkZmqListener() {
+  let zmq;
+  try {
+    zmq = require("zeromq");
+  } catch (error) {
+    return "skipped, the optional zeromq package is not installed";
+  }
+
+  const hashes = ["01", "02", "03", "04", "05"].map((n) => n.repeat(32));
+  const listen = async (endpoint) => {
+    const publisher = new zmq.Publisher();
+    // The port of a closed publisher can take a moment to free up
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await publisher.bind(endpoint);
+        return publisher;
+      } catch (error) {
+        if (attempt >= 20) throw error;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+  };
+  const send = (publisher, hash, sequence) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(sequence);
+    return publisher.send(["hashblock", Buffer.from(hash, "hex"), buffer]);
+  };
+  // A new subscription reaches the publisher asynchronously: repeat until one gets through
+  const sendUntilReceived = async (publisher, listener, hash, sequence) => {
+    for (let attempt = 1; ; attempt++) {
+      const received = nextEvent(listener, "block", 200).catch(() => null);
+      await send(publisher, hash, sequence);
+      const block = await received;
+      if (block) return block;
+      assert.ok(attempt < 25, "no notification reached the subscriber");
+    }
+  };
+  const sendAndReceive = async (publisher, listener, hash, sequence) => {
+    const received = nextEvent(listener, "block");
+    await send(publisher, hash, sequence);
+    return received;
+  };
+
+  let publisher = await listen("tcp://127.0.0.1:*");
+  const endpoint = publisher.lastEndpoint;
+  const listener = new zmqBlockListener.constructor();
+  Object.assign(listener.config, { endpoint, topic: "hashblock", reconnectInterval: 100 });
+  try {
+    const connected = nextEvent(listener, "connected");
+    await listener.start();
+    await connected;
+    assert.deepStrictEqual(await sendUntilReceived(publisher, listener, hashes[0], 1), { hash: hashes[0], sequence: 1 });
+
+    // Duplicates and out-of-order notifications are passed on as they come: they only
+    // trigger a sync, which reads the tip from the chain source
+    const received = [];
+    for (const [hash, sequence] of [[hashes[1], 2], [hashes[1], 2], [hashes[3], 4], [hashes[2], 3]]) {
+      received.push(await sendAndReceive(publisher, listener, hash, sequence));
+    }
+    assert.deepStrictEqual(
+      received.map(({ hash, sequence }) => [hash, sequence]),
+      [[hashes[1], 2], [hashes[1], 2], [hashes[3], 4], [hashes[2], 3]],
+      "notifications passed on"
+    );
+
+    // The node goes away: the listener reports it, and the sync polls until it is back
+    const disconnected = nextEvent(listener, "disconnected");
+    publisher.close();
+    await disconnected;
+    assert.strictEqual(listener.getStatus().connected, false, "connected while the publisher is down");
+    assert.strictEqual(listener.getStatus().disconnects, 1, "disconnects");
+
+    const reconnected = nextEvent(listener, "connected");
+    publisher = await listen(endpoint);
+    await reconnected;
+    assert.deepStrictEqual(await sendUntilReceived(publisher, listener, hashes[4], 5), { hash: hashes[4], sequence: 5 });
+    assert.strictEqual(listener.getStatus().notifications, 6, "notifications");
+  } finally {
+    listener.stop();
+    publisher.close();
+  }
+
+  // A topic the listener cannot read fails start(), and the sync keeps polling only
+  const unsupported = new zmqBlockListener.constructor();
+  Object.assign(unsupported.config, { endpoint, topic: "sequence" });
+  await assert.rejects(unsupported.start(), /Unsupported ZMQ topic/);
+  assert.strictEqual(unsupported.getStatus().connected, false, "connected with an unsupported topic");
+
+  return "duplicate, out-of-order and resumed notifications after a reconnect";
+}
+
+const CHECKS = [
+  { name: "blocks", run: checkBlockFiles },
+  { name: "outpoints", run: checkOutpointEncoding },
+  { name: "migrations", run: checkMigrations },
+  { name: "chain", run: checkChainSources },
+  { name: "zmq", run: checkZmqListener },
+];
+
+async function main() {
+  let failed = 0;
+  for (const { name, run } of CHECKS) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `tbs-check-${name}-`));
+    try {
+      console.log(`✓ ${name}: ${await run(dir)}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${name}: ${error.message}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n${failed} of ${CHECKS.length} checks failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${CHECKS.length} checks passed`);
+}
+
+main().catch((error) => {
+  console.error("Self-check failed:", error);
+  process.exit(1);
+});
@@ -1,5 +1,4 @@
 require("dotenv").config();
-const { Level } = require("level");
 const {
   Worker,
   isMainThread,
@@ -8,22 +7,25 @@ const {
 } = require("worker_threads");
 const path = require("path");
 const bitcoinRPC = require("../services/bitcoinRPC");
+const dbService = require("../services/dbService");
+const { getChainSource } = require("../services/chainSource");
+const taintAccounting = require("../services/taintAccounting");
+const seedSets = require("../services/seedSets");
+const taintOrigins = require("../services/taintOrigins");
+const { TaintedUtxoTracker, BACKFILL_KEY } = require("../services/taintedUtxos");
+const upstreamTaint = require("../services/upstreamTaint");
+const taintIndexes = require("../services/taintIndexes");
+const network = require("../utils/network");
 const fs = require("fs");
 
-const DB_PATH = process.env.DB_PATH || "./data";
 const FETCH_TIMEOUT = 300000; // 5 minutes
 const BLOCK_FETCH_TIMEOUT = 600000; // 10 minutes for initial block fetch
 const RETRY_ATTEMPTS = 3;
 const RETRY_DELAY = 30000; // 30 seconds
 
 // Load Satoshi addresses if available (needed by processAddress)
-let SATOSHI_ADDRESSES = [];
-try {
-  const satoshiData = require("../../data/satoshiAddresses");
-  SATOSHI_ADDRESSES = satoshiData.SATOSHI_ADDRESSES || [];
-} catch (err) {
-  // File doesn't exist yet - will be loaded later in updateSatoshiTransactions
-}
+// Reloaded in updateSatoshiTransactions once the file exists
+let SATOSHI_ADDRESSES = seedSets.registry.getDefaultSet().addressList;
 
 // Ensure the database directory exists
 const dataDir = path.join(
@@ -107,50 +109,76 @@ const scanStats = {
   newInThisScan: 0,
 };
 
-// Batch configuration
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 1000;
-const BATCH_FLUSH_INTERVAL = parseInt(process.env.BATCH_FLUSH_INTERVAL) || 5000;
+// Writes a tainted:<address> record together with its index keys (see taintIndexes)
+async function putTainted(address, existing, record, db, batchContext) {
+  const key = `tainted:${address}`;
+  if (batchContext && batchContext.batch) {
+    // Another transaction of this block may have written the address since it was read
+    const previous = batchContext.pending.has(key) ? batchContext.pending.get(key) : existing;
+    const { puts, dels, counts } = taintIndexes.indexChanges(address, previous, record);
+    batchContext.batch.put(key, record);
+    for (const indexKey of dels) batchContext.batch.del(indexKey);
+    for (const indexKey of puts) batchContext.batch.put(indexKey, taintIndexes.INDEX_VALUE);
+    batchContext.pending.set(key, record);
+    taintIndexes.mergeCounts(batchContext.indexCounts, counts);
+  } else {
+    const batch = db.batch();
+    batch.put(key, record);
+    await taintIndexes.applyChanges(db, batch, [taintIndexes.indexChanges(address, existing, record)]);
+    await batch.write();
+  }
+
+  // Keep cached parents current, origin-only updates included
+  if (parentTaintingCache.has(address) || parentTaintingCache.size <= 10000) {
+    parentTaintingCache.set(address, record);
+  }
+}
+
+// Record of a tainted input address: written earlier in this block, cached, or stored
+async function readParentRecord(address, db, batchContext) {
+  const key = `tainted:${address}`;
+  if (batchContext && batchContext.pending.has(key)) {
+    return batchContext.pending.get(key);
+  }
+  let record = parentTaintingCache.get(address);
+  if (!record) {
+    record = await db.get(key);
+    if (record) {
+      // Cache it for future use (limit cache size)
+      if (parentTaintingCache.size > 10000) {
+        const firstKey = parentTaintingCache.keys().next().value;
+        parentTaintingCache.delete(firstKey);
+      }
+      parentTaintingCache.set(address, record);
+    }
+  }
+  return record || null;
+}
 
+/**
+ * @param {Array<string>} inputAddresses - Tainted input addresses of the transaction, the
+ *   address inherits the origins of each
+ */
 async function processAddress(
   address,
   currentDegree,
   db,
   transaction,
   sourceAddress = null,
-  batchContext = null
+  batchContext = null,
+  inputAddresses = []
 ) {
   try {
     const tx = transaction;
 
-    // Check if we already have a shorter path for this address
-    try {
-      const existing = await db.get(`tainted:${address}`);
-      if (existing.degree <= currentDegree) {
-        return; // Skip if we already have a shorter or equal path
-      }
-    } catch (err) {
-      // Address not yet tainted, proceed
-    }
+    const existing = await db.get(`tainted:${address}`);
 
     let path = [];
     let originalSatoshiAddress = address;
+    let parentTinting = null;
 
     if (sourceAddress) {
-      // Try cache first, then DB
-      let parentTinting = parentTaintingCache.get(sourceAddress);
-      if (!parentTinting) {
-        try {
-          parentTinting = await db.get(`tainted:${sourceAddress}`);
-          // Cache it for future use (limit cache size)
-          if (parentTaintingCache.size > 10000) {
-            const firstKey = parentTaintingCache.keys().next().value;
-            parentTaintingCache.delete(firstKey);
-          }
-          parentTaintingCache.set(sourceAddress, parentTinting);
-        } catch (err) {
-          // Parent not found (shouldn't happen with chronological scan)
-        }
-      }
+      parentTinting = await readParentRecord(sourceAddress, db, batchContext);
 
       if (parentTinting) {
         originalSatoshiAddress = parentTinting.originalSatoshiAddress;
@@ -176,6 +204,36 @@ async function processAddress(
       }
     }
 
+    // Satoshi addresses this transaction carries taint from: the best degree of each origin
+    // over all tainted inputs (mergeOrigins keeps the lowest)
+    let incomingOrigins = [];
+    const parents = new Set(inputAddresses);
+    if (sourceAddress) parents.add(sourceAddress);
+    for (const inputAddress of parents) {
+      const parent = inputAddress === sourceAddress ? parentTinting : await readParentRecord(inputAddress, db, batchContext);
+      if (parent) {
+        incomingOrigins.push(...taintOrigins.inheritOrigins(parent, currentDegree));
+      }
+    }
+    if (incomingOrigins.length === 0 && SATOSHI_ADDRESSES && SATOSHI_ADDRESSES.includes(address)) {
+      incomingOrigins = [{ address, degree: 0 }];
+    }
+    const merged = taintOrigins.mergeOrigins(existing, incomingOrigins);
+
+    // A shorter or equal path is already known; only record new origins
+    if (existing && existing.degree <= currentDegree) {
+      if (merged.changed) {
+        const updated = {
+          ...existing,
+          origins: merged.origins,
+          originsTruncated: merged.originsTruncated,
+          lastUpdated: Date.now(),
+        };
+        await putTainted(address, existing, updated, db, batchContext);
+      }
+      return;
+    }
+
     // Store the transaction if not already stored
     const txKey = `tx:${tx.hash}`;
     let txExists = false;
@@ -193,6 +251,9 @@ async function processAddress(
       amount: tx.out.find((o) => o.addr === address)?.value || 0,
       degree: currentDegree,
       path,
+      origins: merged.origins,
+      originsTruncated: merged.originsTruncated,
+      firstTaintedHeight: existing ? existing.firstTaintedHeight : batchContext?.height,
       lastUpdated: Date.now(),
     };
 
@@ -207,18 +268,6 @@ async function processAddress(
           outputs: tx.out,
           degree: currentDegree,
         });
-        batchContext.count++;
-      }
-      batchContext.batch.put(`tainted:${address}`, taintData);
-      batchContext.count++;
-
-      // Flush batch if it reaches size limit or time limit
-      if (batchContext.count >= BATCH_SIZE || 
-          (Date.now() - batchContext.lastFlush) >= BATCH_FLUSH_INTERVAL) {
-        await batchContext.batch.write();
-        batchContext.batch = db.batch();
-        batchContext.count = 0;
-        batchContext.lastFlush = Date.now();
       }
     } else {
       // Fallback to individual writes (for backward compatibility)
@@ -231,8 +280,8 @@ async function processAddress(
           degree: currentDegree,
         });
       }
-      await db.put(`tainted:${address}`, taintData);
     }
+    await putTainted(address, existing, taintData, db, batchContext);
 
     // Update statistics
     scanStats.totalTainted++;
@@ -240,13 +289,65 @@ async function processAddress(
     if (currentDegree === 1) scanStats.degree1++;
     else if (currentDegree === 2) scanStats.degree2++;
     else if (currentDegree >= 3) scanStats.degree3plus++;
+  } catch (error) {
+    console.error(`Error processing address ${address}:`, error);
+  }
+}
 
-    // Update cache
-    if (parentTaintingCache.size <= 10000) {
-      parentTaintingCache.set(address, taintData);
+// Add an output to the address total of a value-weighted taint model
+async function processValueTaint(model, address, value, tainted, db, batchContext) {
+  try {
+    const key = taintAccounting.addressKey(model, address);
+
+    // Totals written earlier in this block are only in the pending map
+    let account = batchContext.pending.get(key);
+    if (!account) {
+      account = await db.get(key);
     }
+
+    const updated = taintAccounting.addToAccount(account, value, tainted);
+    batchContext.pending.set(key, updated);
+    batchContext.batch.put(key, updated);
   } catch (error) {
-    console.error(`Error processing address ${address}:`, error);
+    console.error(`Error updating ${model} taint for ${address}:`, error);
+  }
+}
+
+// Record the degree of an address for an additional seed set, keeping the shortest path
+async function processSeedSetTaint(setName, address, degree, txHash, db, batchContext) {
+  try {
+    const key = seedSets.addressKey(setName, address);
+
+    let existing = batchContext.pending.get(key);
+    if (!existing) {
+      existing = await db.get(key);
+    }
+
+    const record = seedSets.mergeAddressRecord(existing, degree, txHash);
+    if (record) {
+      batchContext.pending.set(key, record);
+      batchContext.batch.put(key, record);
+    }
+  } catch (error) {
+    console.error(`Error updating seed set ${setName} for ${address}:`, error);
+  }
+}
+
+// Record the payers of a transaction to a Satoshi or upstream address as funders
+async function processUpstreamTransaction(tx, db, batchContext) {
+  try {
+    const updates = await upstreamTaint.index.processTransaction(tx, {
+      getAddress: (scriptPubKey) => bitcoinRPC.getAddressFromScript(scriptPubKey),
+      resolveInputAddress: (txid, vout) => bitcoinRPC.getOutputAddress(txid, vout),
+      readRecord: async (key) => batchContext.pending.get(key) || (await db.get(key)),
+    });
+
+    for (const { key, record } of updates) {
+      batchContext.pending.set(key, record);
+      batchContext.batch.put(key, record);
+    }
+  } catch (error) {
+    console.error(`Error recording funders of ${tx.txid || tx.hash}:`, error);
   }
 }
 
@@ -430,8 +531,8 @@ async function updateSatoshiTransactions() {
     let ADDRESS_METADATA = {};
     let showPatoshiInfo = false;
 
-    // Check if addresses file exists
-    if (!fs.existsSync(satoshiAddressesPath)) {
+    // Check if addresses file exists (Patoshi blocks are mainnet only)
+    if (network.isMainnet && !fs.existsSync(satoshiAddressesPath)) {
       showPatoshiInfo = true;
       console.log("\n⚠️  Patoshi addresses not found.");
       console.log(
@@ -444,17 +545,22 @@ async function updateSatoshiTransactions() {
       console.log(`\n✅ Extracted ${result.count} addresses`);
       console.log(`✓ Continuing with blockchain scan...\n`);
 
-      // Clear require cache so we can load the new file
-      delete require.cache[require.resolve(satoshiAddressesPath)];
     }
 
-    // Load the addresses (either existing or just created)
-    const satoshiData = require(satoshiAddressesPath);
-    SATOSHI_ADDRESSES = satoshiData.SATOSHI_ADDRESSES || [];
-    ADDRESS_METADATA = satoshiData.ADDRESS_METADATA || {};
-
-    // Verify we have addresses
-    if (SATOSHI_ADDRESSES.length === 0) {
+    // Load the addresses (either existing or just created) and any additional seed sets
+    seedSets.registry.load();
+    const satoshiSet = seedSets.registry.getDefaultSet();
+    SATOSHI_ADDRESSES = satoshiSet.addressList;
+    ADDRESS_METADATA = satoshiSet.metadata;
+    const customSets = seedSets.registry.getCustomSets();
+
+    // Verify we have something to trace
+    if (!network.isMainnet && customSets.length === 0) {
+      console.error(`\n❌ ERROR: No seed sets found in SEED_SETS_DIR for ${network.name}.`);
+      console.log("   The Satoshi dataset is mainnet only; add a seed set file to trace on this network.\n");
+      process.exit(1);
+    }
+    if (network.isMainnet && SATOSHI_ADDRESSES.length === 0) {
       console.error(
         "\n❌ ERROR: satoshiAddresses.js exists but contains no addresses!"
       );
@@ -462,29 +568,55 @@ async function updateSatoshiTransactions() {
       process.exit(1);
     }
 
-    await bitcoinRPC.initialize();
+    const chainSource = getChainSource();
+    await chainSource.initialize();
 
     // Get initial blockchain info
-    const { blocks: totalBlocks } = await bitcoinRPC.getBlockchainInfo();
+    const totalBlocks = await chainSource.getTipHeight();
 
-    db = new Level(DB_PATH, { valueEncoding: "json" });
-    await db.open();
+    db = await dbService.init();
     console.log("Database connection established");
 
     // Initialize taint data for Satoshi addresses
     const taintedBatch = db.batch();
-    for (const address of SATOSHI_ADDRESSES) {
-      taintedBatch.put(`tainted:${address}`, {
+    const existingSeeds =
+      SATOSHI_ADDRESSES.length > 0 ? await db.getMany(SATOSHI_ADDRESSES.map((address) => `tainted:${address}`)) : [];
+    const seedChanges = [];
+    SATOSHI_ADDRESSES.forEach((address, i) => {
+      const record = {
         txHash: null,
         originalSatoshiAddress: address,
         amount: 0, // Will be updated when processing transactions
         degree: 0,
         path: [],
+        origins: [{ address, degree: 0 }],
         lastUpdated: Date.now(),
-      });
-    }
+      };
+      taintedBatch.put(`tainted:${address}`, record);
+      seedChanges.push(taintIndexes.indexChanges(address, existingSeeds[i], record));
+    });
+    await taintIndexes.applyChanges(db, taintedBatch, seedChanges);
     await taintedBatch.write();
 
+    const upstreamCount = await upstreamTaint.index.load(db);
+    console.log(`Loaded ${upstreamCount.toLocaleString()} upstream (sent to Satoshi) addresses`);
+
+    // Degree 0 addresses of additional seed sets
+    for (const set of customSets) {
+      const seedBatch = db.batch();
+      for (const address of set.addressList) {
+        seedBatch.put(seedSets.addressKey(set.name, address), {
+          txHash: null,
+          degree: 0,
+          lastUpdated: Date.now(),
+        });
+      }
+      await seedBatch.write();
+      console.log(
+        `Seed set "${set.name}": ${set.addressList.length} addresses, ${set.outpoints.length} outpoints`
+      );
+    }
+
     // Initialize stats by counting existing tainted addresses in database
     console.log("Counting existing tainted addresses...");
     let existingCount = 0;
@@ -499,6 +631,7 @@ async function updateSatoshiTransactions() {
       });
 
       for await (const [key, value] of iterator) {
+        if (seedSets.isSetRecordKey(key)) continue;
         existingCount++;
         if (value.degree === 1) existingDegree1++;
         else if (value.degree === 2) existingDegree2++;
@@ -517,20 +650,11 @@ async function updateSatoshiTransactions() {
     scanStats.degree3plus = existingDegree3plus;
     scanStats.newInThisScan = 0;
 
-    // Initialize Satoshi coinbase outputs as tainted in scan progress DB
-    const scanDb = new Level(path.join(DB_PATH, "scan_progress"), {
-      valueEncoding: "json",
-      createIfMissing: true,
-    });
-    await scanDb.open();
+    // Initialize Satoshi coinbase outputs as tainted in the scan sublevel
+    const scanDb = await dbService.getScanDb();
 
     // Check if already initialized
-    let needsInit = false;
-    try {
-      await scanDb.get("satoshi_coinbase_initialized");
-    } catch (err) {
-      needsInit = true;
-    }
+    const needsInit = (await scanDb.get("satoshi_coinbase_initialized")) === undefined;
 
     if (needsInit) {
       showPatoshiInfo = true;
@@ -544,13 +668,12 @@ async function updateSatoshiTransactions() {
         `   https://bitslog.com/2013/04/17/the-well-deserved-fortune-of-satoshi-nakamoto/`
       );
       console.log("\nScanning Patoshi blocks to extract coinbase outputs...");
-      const { PATOSHI_BLOCKS } = require("../data/patoshiBlocks");
-      const coinbaseBatch = scanDb.batch();
+      const coinbaseBatch = dbService.batch();
+      const utxoTracker = new TaintedUtxoTracker(scanDb, coinbaseBatch.scan, null);
       let initCount = 0;
 
-      // Add genesis and early blocks
-      const EARLY_BLOCKS = [0, 1, 2];
-      const allBlocks = [...EARLY_BLOCKS, ...PATOSHI_BLOCKS];
+      // Genesis, early blocks and Patoshi blocks
+      const allBlocks = satoshiSet.coinbaseBlocks;
 
       for (let i = 0; i < allBlocks.length; i++) {
         const height = allBlocks[i];
@@ -565,8 +688,7 @@ async function updateSatoshiTransactions() {
         }
 
         try {
-          const hash = await bitcoinRPC.call("getblockhash", [height]);
-          const block = await bitcoinRPC.call("getblock", [hash, 2]);
+          const block = await getChainSource().getBlock(height);
           const coinbaseTx = block.tx[0];
 
           // Mark each coinbase output as tainted
@@ -579,12 +701,16 @@ async function updateSatoshiTransactions() {
             const address = bitcoinRPC.getAddressFromScript(vout.scriptPubKey);
             const outpoint = `${coinbaseTx.txid}:${voutIndex}`;
 
-            coinbaseBatch.put(`tainted_out:${outpoint}`, {
-              address: address || null,
+            coinbaseBatch.outpoints.put(outpoint, {
               degree: 0,
-              txHash: coinbaseTx.txid,
+              coinbase: true,
+              value: Math.round(vout.value * 100000000),
               blockHeight: height,
+              address: address || undefined,
             });
+            if (address) {
+              await utxoTracker.add(outpoint, address, Math.round(vout.value * 100000000), 0);
+            }
             initCount++;
           }
         } catch (error) {
@@ -592,6 +718,10 @@ async function updateSatoshiTransactions() {
         }
       }
 
+      // No block scanned yet: every tainted output is tracked from the start
+      if ((await scanDb.get("scan_progress")) === undefined) {
+        coinbaseBatch.scan.put(BACKFILL_KEY, { done: true, updatedAt: Date.now() });
+      }
       await coinbaseBatch.write();
       await scanDb.put("satoshi_coinbase_initialized", {
         initialized: true,
@@ -604,18 +734,32 @@ async function updateSatoshiTransactions() {
       );
     }
 
-    await scanDb.close();
+    // Degree 0 outpoints of additional seed sets; a resumed scan covers them from where it resumes
+    const savedProgress = await scanDb.get("scan_progress");
+    for (const set of customSets) {
+      const outpointBatch = scanDb.batch();
+      for (const outpoint of set.outpoints) {
+        outpointBatch.put(seedSets.outpointKey(set.name, outpoint), 0);
+      }
+      const marker = await scanDb.get(seedSets.markerKey(set.name));
+      outpointBatch.put(
+        seedSets.markerKey(set.name),
+        seedSets.initializationMarker(set, marker, savedProgress ? savedProgress.lastBlock + 1 : 0)
+      );
+      await outpointBatch.write();
+    }
 
     // Single pass chronological scan
     // Add separator and buffer lines so node status stays visible above
     console.log("════════════════════════════════════════════════════════════");
     console.log();
     
-    // Initialize batch context for processAddress
+    // Address writes go into the main side of each block's store batch (set by onBlockBatch)
     const batchContext = {
-      batch: db.batch(),
-      count: 0,
-      lastFlush: Date.now(),
+      batch: null,
+      height: undefined,
+      pending: new Map(), // Records written earlier in the current block
+      indexCounts: new Map(), // Index counter deltas of the current block
     };
 
     await timeoutPromise(
@@ -631,27 +775,49 @@ async function updateSatoshiTransactions() {
               scanStats
             );
           },
-          async (address, transaction, degree, sourceAddress) => {
+          async (address, transaction, degree, sourceAddress, inputAddresses) => {
             await processAddress(
               address,
               degree,
               db,
               transaction,
               sourceAddress,
-              batchContext
+              batchContext,
+              inputAddresses
             );
+          },
+          async (model, address, value, tainted) => {
+            await processValueTaint(model, address, value, tainted, db, batchContext);
+          },
+          async (setName, address, degree, txHash) => {
+            await processSeedSetTaint(setName, address, degree, txHash, db, batchContext);
+          },
+          async (tx) => {
+            await processUpstreamTransaction(tx, db, batchContext);
+          },
+          (blockBatch, height) => {
+            batchContext.batch = blockBatch.main;
+            batchContext.height = height;
+            batchContext.pending.clear();
+            // Counters are read-modify-write: added once the block's address writes are in
+            const indexCounts = new Map();
+            batchContext.indexCounts = indexCounts;
+            blockBatch.beforeWrite(async () => {
+              const writes = await taintIndexes.countWrites(indexCounts, (key) => db.get(key));
+              for (const { key, count } of writes) {
+                if (count === null) {
+                  blockBatch.main.del(key);
+                } else {
+                  blockBatch.main.put(key, count);
+                }
+              }
+            });
           }
         ),
       BLOCK_FETCH_TIMEOUT * 10, // Very long timeout for the whole scan
       1
     );
 
-    // Flush any remaining batch operations
-    if (batchContext.count > 0) {
-      await batchContext.batch.write();
-      console.log("Final batch write completed");
-    }
-
     console.log("Successfully updated Satoshi transactions database");
   } catch (error) {
     console.error("\nError updating Satoshi transactions:", error);
@@ -659,7 +825,7 @@ async function updateSatoshiTransactions() {
   } finally {
     if (db) {
       try {
-        await db.close();
+        await dbService.close();
         console.log("\nDatabase connection closed");
       } catch (error) {
         console.error("\nError closing database:", error);
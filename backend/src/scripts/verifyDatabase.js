@@ -0,0 +1,86 @@
+// With --json stdout only carries the report, log lines go to stderr
+if (process.argv.includes("--json")) {
+  console.log = console.error;
+}
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const dbService = require("../services/dbService");
+const integrityVerifier = require("../services/integrityVerifier");
+
+/**
+ * Checks the taint records of DB_PATH against each other and prints a report
+ *
+ *   npm run verify-db [-- --json] [--output=report.json] [--repair] [--max-samples=100]
+ *
+ * --json prints the report as JSON instead of the summary, --output also writes it to a
+ * file and --repair deletes orphan addresses and transactions, and the degree 0 records of
+ * payments to Satoshi left by older versions (see integrityVerifier).
+ * Exits with 0 when every check passes, 2 when some fail and 1 on errors. Stop the server
+ * first; the store is opened exclusively.
+ */
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    return [key, value === undefined ? true : value];
+  })
+);
+
+function printSummary(report) {
+  console.log(`\n📋 ${report.database} (${report.network}, schema ${report.schemaVersion}, last block ${report.lastBlock})`);
+  console.log("----------------------------------------");
+  console.log(`Tainted Addresses:  ${report.counts.taintedAddresses.toLocaleString()} (${report.counts.seeds.toLocaleString()} seeds, ${report.counts.withoutPath.toLocaleString()} without path)`);
+  console.log(`Path Hops:          ${report.counts.pathHops.toLocaleString()}`);
+  console.log(`Transactions:       ${report.counts.transactions.toLocaleString()}`);
+  console.log("----------------------------------------");
+  for (const [name, check] of Object.entries(report.checks)) {
+    const status = check.failures === 0 ? "✅" : "❌";
+    console.log(`${status} ${name.padEnd(15)} ${check.failures.toLocaleString().padStart(10)}  ${check.description}`);
+    for (const sample of check.samples.slice(0, 3)) {
+      console.log(`     ${JSON.stringify(sample)}`);
+    }
+  }
+  console.log("----------------------------------------");
+  if (report.repair.enabled) {
+    console.log(`🔧 Deleted ${report.repair.deletedAddresses.toLocaleString()} orphan or donor addresses, ${report.repair.deletedTransactions.toLocaleString()} orphan or donor transactions and ${report.repair.deletedOutpoints.toLocaleString()} donor outpoints`);
+  } else if (Object.values(report.repair).some((count) => count > 0)) {
+    console.log("🔧 Run with --repair to delete the orphan and donor addresses and transactions");
+  }
+  if (report.rescanRequired) {
+    console.log("⚠️  Payments to Satoshi were stored as degree 0 taint: addresses tainted through them need a rescan");
+  }
+  console.log(report.ok ? "\n✅ All checks passed" : `\n❌ ${report.failures.toLocaleString()} failure(s)`);
+}
+
+async function main() {
+  if (!fs.existsSync(dbService.dbPath)) {
+    console.error(`No database found in ${dbService.dbPath}`);
+    process.exit(1);
+  }
+
+  const report = await integrityVerifier.verify({
+    repair: Boolean(args.repair),
+    maxSamples: parseInt(args["max-samples"]) || 100,
+  });
+
+  if (typeof args.output === "string") {
+    fs.writeFileSync(args.output, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  const exitCode = report.ok ? 0 : 2;
+  if (args.json) {
+    // Exit once a piped report is flushed
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`, () => process.exit(exitCode));
+    return;
+  }
+  printSummary(report);
+  if (typeof args.output === "string") {
+    console.log(`   Report written to ${path.resolve(args.output)}`);
+  }
+  process.exit(exitCode);
+}
+
+main().catch((error) => {
+  console.error("\n❌ Verification failed:", error.message);
+  process.exit(1);
+});
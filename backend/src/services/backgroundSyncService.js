@@ -1,20 +1,27 @@
 require("dotenv").config();
 const dbService = require("./dbService");
 const bitcoinRPC = require("./bitcoinRPC");
+const { getChainSource } = require("./chainSource");
+const zmqBlockListener = require("./zmqBlockListener");
+const mempoolWatcher = require("./mempoolWatcher");
+const taintAccounting = require("./taintAccounting");
+const seedSets = require("./seedSets");
+const taintOrigins = require("./taintOrigins");
+const taintedUtxos = require("./taintedUtxos");
+const satoshiMovements = require("./satoshiMovements");
+const upstreamTaint = require("./upstreamTaint");
+const taintIndexes = require("./taintIndexes");
 const logger = require("../utils/logger");
+const network = require("../utils/network");
 const path = require("path");
 const fs = require("fs");
 
-// Load Satoshi addresses
-let SATOSHI_ADDRESSES = [];
-function loadSatoshiAddresses() {
-  try {
-    const satoshiData = require("../../data/satoshiAddresses");
-    SATOSHI_ADDRESSES = satoshiData.SATOSHI_ADDRESSES || [];
-    return SATOSHI_ADDRESSES.length > 0;
-  } catch (err) {
-    return false;
-  }
+// Satoshi addresses come from the default seed set
+// Progress of backfillTaintHeights in the main sublevel
+const HEIGHT_BACKFILL_KEY = "index_backfill:height";
+
+function satoshiAddresses() {
+  return seedSets.registry.getDefaultSet().addresses;
 }
 
 class BackgroundSyncService {
@@ -22,6 +29,9 @@ class BackgroundSyncService {
     this.isRunning = false;
     this.isSyncing = false;
     this.syncInterval = null;
+    this.syncLoop = null;
+    this.syncLoopActive = false;
+    this.syncRequested = false;
     this.lastProcessedBlock = null;
     this.currentHeight = null;
     this.syncStats = {
@@ -29,24 +39,45 @@ class BackgroundSyncService {
       blocksProcessed: 0,
       addressesUpdated: 0,
       errors: 0,
+      reorgs: 0,
+      blocksRolledBack: 0,
     };
 
     // Configuration from environment
     this.config = {
       syncInterval: parseInt(process.env.SYNC_INTERVAL) || 10 * 60 * 1000, // 10 minutes default
       enabled: process.env.SYNC_ENABLED !== "false", // default true
-      batchSize: parseInt(process.env.BATCH_SIZE) || 1000,
-      batchFlushInterval: parseInt(process.env.BATCH_FLUSH_INTERVAL) || 5000,
       chunkSize: parseInt(process.env.CHUNK_SIZE) || 100, // Process 100 blocks per chunk
+      reorgDepth: parseInt(process.env.REORG_DEPTH) || 100, // Keep undo journals for the last 100 blocks
+      heightBackfillBatch: parseInt(process.env.HEIGHT_BACKFILL_BATCH) || 500, // Records per backfill chunk
+      utxoBackfillBatch: parseInt(process.env.UTXO_BACKFILL_BATCH) || 1000, // Outpoints per backfill chunk
+      backfillTimeLimit: parseInt(process.env.BACKFILL_TIME_LIMIT) || 60 * 1000, // Backfill time per idle sync check
     };
 
-    // Batch management
+    // Main side of the store batch of the block currently being processed
     this.mainBatch = null;
-    this.batchCount = 0;
-    this.lastBatchFlush = Date.now();
     this.parentTaintingCache = new Map();
-    this.batchIsValid = false;
-    this.mainDb = null;
+
+    // Main DB writes of the current block that are not yet written (key -> value)
+    this.pendingWrites = new Map();
+
+    // Undo journal of the block currently being processed
+    this.undoJournal = null;
+
+    // Index counter deltas of the current block (see taintIndexes)
+    this.indexCounts = new Map();
+
+    // Worker pool preparing synced blocks (see BlockWorkerPool), created on first use
+    this.workerPool = null;
+    // Pre-read keys written by the current block, handed to the pool once it is committed
+    this.preparedWrites = new Map(); // scan key -> value
+    this.preparedOutpointWrites = new Map(); // outpoint -> taint record
+
+    // Value-weighted accounting models run alongside the poison model (TAINT_MODELS)
+    this.taintModels = taintAccounting.getEnabledModels();
+
+    // Additional seed sets (SEED_SETS_DIR) propagated next to the Satoshi set
+    this.seedSets = seedSets.registry.getCustomSets();
 
     // Database ready flag
     this.dbReady = false;
@@ -66,11 +97,17 @@ class BackgroundSyncService {
     this.isRunning = true;
     logger.info("Background sync service initializing...");
 
-    // Initialize Bitcoin RPC connection
+    // Initialize the chain source (CHAIN_SOURCE)
+    const chainSource = getChainSource();
+    if (!chainSource.servesBlocks) {
+      logger.error(`Background sync needs full blocks, which the ${chainSource.name} chain source cannot provide`);
+      this.isRunning = false;
+      return;
+    }
     try {
-      await bitcoinRPC.initialize();
+      await chainSource.initialize();
     } catch (error) {
-      logger.error("Failed to initialize Bitcoin RPC:", error.message);
+      logger.error(`Failed to initialize ${chainSource.name} chain source:`, error.message);
       this.isRunning = false;
       return;
     }
@@ -104,6 +141,22 @@ class BackgroundSyncService {
 
     // Start continuous sync loop
     this.startSyncLoop();
+
+    // Sync as soon as the node announces a block; polling stays on as fallback
+    if (zmqBlockListener.isEnabled()) {
+      zmqBlockListener.on("block", ({ hash }) => {
+        logger.debug(`[Background Sync] ZMQ block notification: ${hash}`);
+        this.triggerSync();
+      });
+      try {
+        await zmqBlockListener.start();
+      } catch (error) {
+        logger.error("Failed to start ZMQ listener, using polling only:", error.message);
+      }
+    }
+
+    // Provisional taint of unconfirmed transactions, cleared as blocks are committed
+    mempoolWatcher.start();
   }
 
   async initializeCoinbaseOutputs() {
@@ -111,20 +164,22 @@ class BackgroundSyncService {
     const scanDb = await bitcoinRPC.openDatabase();
 
     try {
+      // No block scanned yet: every tainted output is tracked from the start
+      const freshScan = (await scanDb.get("scan_progress")) === undefined;
+
       logger.info("🔍 Initializing Satoshi coinbase outputs as tainted...");
-      logger.info(`Using ${SATOSHI_ADDRESSES.length.toLocaleString()} Patoshi addresses`);
+      logger.info(`Using ${satoshiAddresses().size.toLocaleString()} Patoshi addresses`);
       logger.info(`📚 Source: https://github.com/bensig/patoshi-addresses`);
       logger.info(`   Patoshi Pattern Analysis by Sergio Demian Lerner`);
       logger.info(`   https://bitslog.com/2013/04/17/the-well-deserved-fortune-of-satoshi-nakamoto/`);
       logger.info("\nScanning Patoshi blocks to extract coinbase outputs...");
 
-      const { PATOSHI_BLOCKS } = require("../../data/patoshiBlocks");
-      const coinbaseBatch = scanDb.batch();
+      const coinbaseBatch = dbService.batch();
+      const utxoTracker = new taintedUtxos.TaintedUtxoTracker(scanDb, coinbaseBatch.scan, null);
       let initCount = 0;
 
-      // Add genesis and early blocks
-      const EARLY_BLOCKS = [0, 1, 2];
-      const allBlocks = [...EARLY_BLOCKS, ...PATOSHI_BLOCKS];
+      // Genesis, early blocks and Patoshi blocks
+      const allBlocks = seedSets.registry.getDefaultSet().coinbaseBlocks;
 
       for (let i = 0; i < allBlocks.length; i++) {
         const height = allBlocks[i];
@@ -136,8 +191,7 @@ class BackgroundSyncService {
         }
 
         try {
-          const hash = await bitcoinRPC.call("getblockhash", [height]);
-          const block = await bitcoinRPC.call("getblock", [hash, 2]);
+          const block = await getChainSource().getBlock(height);
           const coinbaseTx = block.tx[0];
 
           // Mark each coinbase output as tainted
@@ -146,12 +200,16 @@ class BackgroundSyncService {
             const address = bitcoinRPC.getAddressFromScript(vout.scriptPubKey);
             const outpoint = `${coinbaseTx.txid}:${voutIndex}`;
 
-            coinbaseBatch.put(`tainted_out:${outpoint}`, {
-              address: address || null,
+            coinbaseBatch.outpoints.put(outpoint, {
               degree: 0,
-              txHash: coinbaseTx.txid,
+              coinbase: true,
+              value: Math.round(vout.value * 100000000),
               blockHeight: height,
+              address: address || undefined,
             });
+            if (address) {
+              await utxoTracker.add(outpoint, address, Math.round(vout.value * 100000000), 0);
+            }
             initCount++;
           }
         } catch (error) {
@@ -159,6 +217,9 @@ class BackgroundSyncService {
         }
       }
 
+      if (freshScan) {
+        coinbaseBatch.scan.put(taintedUtxos.BACKFILL_KEY, { done: true, updatedAt: Date.now() });
+      }
       await coinbaseBatch.write();
       await scanDb.put("satoshi_coinbase_initialized", {
         initialized: true,
@@ -171,7 +232,55 @@ class BackgroundSyncService {
       logger.error("Failed to initialize coinbase outputs:", error.message);
       throw error;
     }
-    // Don't close scanDb - it's a shared instance managed by bitcoinRPC
+    // Don't close scanDb - it's a sublevel of the shared store managed by dbService
+  }
+
+  // Write the degree 0 seeds of every additional seed set that is new or changed since last run
+  async initializeSeedSets() {
+    const db = await dbService.init();
+    const scanDb = await bitcoinRPC.openDatabase();
+    const progress = await scanDb.get("scan_progress");
+    const nextHeight = progress ? progress.lastBlock + 1 : 0;
+
+    for (const set of this.seedSets) {
+      const checksum = seedSets.registry.getChecksum(set);
+      const marker = await scanDb.get(seedSets.markerKey(set.name));
+      if (marker && marker.checksum === checksum) {
+        continue;
+      }
+      if (marker) {
+        logger.warn(
+          `[Seed Sets] Seed set "${set.name}" changed since it was initialized; ` +
+            `new seeds only apply to blocks from ${nextHeight} on (reported in address checks)`
+        );
+      } else if (nextHeight > 0) {
+        logger.warn(
+          `[Seed Sets] Seed set "${set.name}" is new; it only covers blocks from ${nextHeight} on ` +
+            "(reported in address checks); rebuild the database with update-satoshi-data to cover earlier blocks"
+        );
+      }
+
+      const seedBatch = db.batch();
+      for (const address of set.addressList) {
+        seedBatch.put(seedSets.addressKey(set.name, address), {
+          txHash: null,
+          degree: 0,
+          lastUpdated: Date.now(),
+        });
+      }
+      await seedBatch.write();
+
+      const outpointBatch = scanDb.batch();
+      for (const outpoint of set.outpoints) {
+        outpointBatch.put(seedSets.outpointKey(set.name, outpoint), 0);
+      }
+      outpointBatch.put(seedSets.markerKey(set.name), seedSets.initializationMarker(set, marker, nextHeight));
+      await outpointBatch.write();
+
+      logger.info(
+        `[Seed Sets] Initialized "${set.name}" with ${set.addressList.length} addresses and ${set.outpoints.length} outpoints`
+      );
+    }
   }
 
   startSyncLoop() {
@@ -180,12 +289,15 @@ class BackgroundSyncService {
         return; // Stop loop if service is stopped
       }
 
+      this.syncLoopActive = true;
+      this.syncRequested = false;
       try {
         await this.checkAndSync();
       } catch (err) {
         logger.error("Error in sync loop:", err.message);
         this.syncStats.errors++;
       }
+      this.syncLoopActive = false;
 
       // Adaptive interval: faster when catching up, slower when synced
       let nextInterval;
@@ -210,14 +322,38 @@ class BackgroundSyncService {
         nextInterval = 30000;
       }
 
+      // A block notification arrived while syncing: go again right away
+      if (this.syncRequested) {
+        nextInterval = 0;
+      }
+
       // Schedule next sync
       this.syncInterval = setTimeout(syncLoop, nextInterval);
     };
 
     // Start the loop
+    this.syncLoop = syncLoop;
     syncLoop();
   }
 
+  // Run the sync loop now instead of waiting for the next scheduled check
+  triggerSync() {
+    if (!this.isRunning || !this.syncLoop) {
+      return;
+    }
+
+    if (this.syncLoopActive) {
+      this.syncRequested = true; // Picked up when the current pass finishes
+      return;
+    }
+
+    if (this.syncInterval) {
+      clearTimeout(this.syncInterval);
+      this.syncInterval = null;
+    }
+    this.syncLoop();
+  }
+
   async ensureInitialized() {
     try {
       logger.info("[Init] Step 1: Checking data directory...");
@@ -229,8 +365,8 @@ class BackgroundSyncService {
         fs.mkdirSync(DB_PATH, { recursive: true });
       }
 
-      // Step 1: Check and extract Patoshi addresses if needed
-      if (!fs.existsSync(satoshiAddressesPath)) {
+      // Step 1: Check and extract Patoshi addresses if needed (mainnet only)
+      if (network.isMainnet && !fs.existsSync(satoshiAddressesPath)) {
         logger.info("\n⚠️  Patoshi addresses not found.");
         logger.info("📥 This will be extracted in background. Server will continue serving requests.\n");
 
@@ -241,7 +377,7 @@ class BackgroundSyncService {
             await extractPatoshiAddresses();
             logger.info("✓ Patoshi addresses extracted successfully");
             // Trigger a reload of the sync service
-            loadSatoshiAddresses();
+            seedSets.registry.load();
           } catch (err) {
             logger.error("Failed to extract Patoshi addresses:", err.message);
           }
@@ -254,14 +390,22 @@ class BackgroundSyncService {
 
       logger.info("[Init] Step 2: Loading Satoshi addresses...");
       // Load addresses
-      if (!loadSatoshiAddresses()) {
-        throw new Error("Failed to load Satoshi addresses");
-      }
+      seedSets.registry.load();
+      this.seedSets = seedSets.registry.getCustomSets();
 
-      if (SATOSHI_ADDRESSES.length === 0) {
+      if (!network.isMainnet) {
+        if (this.seedSets.length === 0) {
+          throw new Error(`No seed sets found in SEED_SETS_DIR (the Satoshi dataset is mainnet only, network: ${network.name})`);
+        }
+      } else if (satoshiAddresses().size === 0) {
         throw new Error("No Satoshi addresses found in satoshiAddresses.js");
       }
-      logger.info(`[Init] Loaded ${SATOSHI_ADDRESSES.length.toLocaleString()} Satoshi addresses`);
+      logger.info(`[Init] Loaded ${satoshiAddresses().size.toLocaleString()} Satoshi addresses`);
+      for (const set of this.seedSets) {
+        logger.info(
+          `[Init] Loaded seed set "${set.name}" (${set.addressList.length} addresses, ${set.outpoints.length} outpoints)`
+        );
+      }
 
       logger.info("[Init] Step 3: Initializing main database...");
       // Step 2: Initialize main database and Satoshi addresses
@@ -269,37 +413,44 @@ class BackgroundSyncService {
       this.dbReady = true;
       logger.info("[Init] Main database ready");
 
+      const upstreamCount = await upstreamTaint.index.load(db);
+      logger.info(`[Init] Loaded ${upstreamCount.toLocaleString()} upstream (sent to Satoshi) addresses`);
+
       logger.info("[Init] Step 4: Scheduling address initialization check...");
       // Check and initialize addresses in background (don't block)
       setImmediate(async () => {
         try {
           const db = await dbService.init();
           // Quick check if addresses need initialization
-          let needsInit = false;
-          try {
-            const testAddress = SATOSHI_ADDRESSES[0];
-            await db.get(`tainted:${testAddress}`);
+          const testAddress = satoshiAddresses().values().next().value;
+          const needsInit = (await db.get(`tainted:${testAddress}`)) === undefined;
+          if (!needsInit) {
             logger.info("[Init] Satoshi addresses already initialized");
-          } catch (err) {
-            needsInit = true;
           }
 
           if (needsInit) {
             logger.info("[Init] Initializing Satoshi addresses...");
             const taintedBatch = db.batch();
-            for (const address of SATOSHI_ADDRESSES) {
-              taintedBatch.put(`tainted:${address}`, {
+            const changes = [];
+            for (const address of satoshiAddresses()) {
+              const record = {
                 txHash: null,
                 originalSatoshiAddress: address,
                 amount: 0,
                 degree: 0,
                 path: [],
+                origins: [{ address, degree: 0 }],
                 lastUpdated: Date.now(),
-              });
+              };
+              taintedBatch.put(`tainted:${address}`, record);
+              changes.push(taintIndexes.indexChanges(address, await db.get(`tainted:${address}`), record));
             }
+            await taintIndexes.applyChanges(db, taintedBatch, changes);
             await taintedBatch.write();
-            logger.info(`✓ Initialized ${SATOSHI_ADDRESSES.length.toLocaleString()} Satoshi addresses`);
+            logger.info(`✓ Initialized ${satoshiAddresses().size.toLocaleString()} Satoshi addresses`);
           }
+
+          await this.initializeSeedSets();
         } catch (err) {
           logger.error("Failed to initialize Satoshi addresses:", err.message);
         }
@@ -312,13 +463,11 @@ class BackgroundSyncService {
           // Use shared database instance to avoid locking conflicts
           const scanDb = await bitcoinRPC.openDatabase();
 
-          let needsCoinbaseInit = false;
-          try {
-            await scanDb.get("satoshi_coinbase_initialized");
-            logger.info("[Init] Coinbase outputs already initialized");
-          } catch (err) {
-            needsCoinbaseInit = true;
+          const needsCoinbaseInit = (await scanDb.get("satoshi_coinbase_initialized")) === undefined;
+          if (needsCoinbaseInit) {
             logger.info("[Init] Coinbase outputs need initialization");
+          } else {
+            logger.info("[Init] Coinbase outputs already initialized");
           }
 
           // Don't close scanDb - it's a shared instance
@@ -354,11 +503,13 @@ class BackgroundSyncService {
       clearTimeout(this.syncInterval);
       this.syncInterval = null;
     }
+    zmqBlockListener.stop();
+    mempoolWatcher.stop();
+    if (this.workerPool) {
+      await this.workerPool.close();
+      this.workerPool = null;
+    }
 
-    // Flush any pending batch
-    await this.flushBatch();
-    this.batchIsValid = false;
-    this.mainDb = null;
     this.dbReady = false;
 
     logger.info("Background sync service stopped");
@@ -379,8 +530,7 @@ class BackgroundSyncService {
       this.isSyncing = true;
 
       // Get current blockchain height
-      const blockchainInfo = await bitcoinRPC.getBlockchainInfo();
-      this.currentHeight = blockchainInfo.blocks;
+      this.currentHeight = await getChainSource().getTipHeight();
 
       // Get last processed block from scan_progress DB
       const scanDb = await bitcoinRPC.openDatabase();
@@ -388,12 +538,17 @@ class BackgroundSyncService {
 
       try {
         const progress = await scanDb.get("scan_progress");
-        lastProcessedBlock = progress.lastBlock || -1;
+        lastProcessedBlock = progress?.lastBlock ?? -1;
       } catch (err) {
         // No progress saved, start from beginning
         lastProcessedBlock = -1;
       }
 
+      // Roll back any processed blocks that are no longer on the active chain
+      if (lastProcessedBlock >= 0) {
+        lastProcessedBlock = await this.handleReorg(lastProcessedBlock, scanDb);
+      }
+
       this.lastProcessedBlock = lastProcessedBlock;
 
       // Check if there are blocks to process
@@ -411,6 +566,7 @@ class BackgroundSyncService {
       } else {
         // No new blocks, just update stats
         this.syncStats.lastSyncTime = new Date().toISOString();
+        await this.runBackfills(scanDb);
       }
     } catch (error) {
       logger.error("[Background Sync] Error during sync check:", error.message);
@@ -422,81 +578,147 @@ class BackgroundSyncService {
 
   async syncNewBlocks(startBlock, endBlock, scanDb) {
     const db = await dbService.init();
-    this.mainDb = db;
     let processedBlocks = 0;
 
-    // Initialize batch for main DB
-    this.resetBatch();
+    // Hash of the last processed block, used to detect a reorg mid-chunk
+    let prevHash = startBlock > 0 ? await scanDb.get(`block_hash:${startBlock - 1}`) : null;
+
+    // As in the initial scan, upcoming blocks are downloaded and prepared in the worker pool
+    // while the current one is committed
+    const workerPool = await this.getWorkerPool(scanDb);
+    const blocks = bitcoinRPC.createBlockPrefetcher({ workerPool }).blocks(startBlock, endBlock);
 
     try {
       for (let height = startBlock; height <= endBlock; height++) {
+        let prepared;
         try {
-          // Get block hash
-          const hash = await bitcoinRPC.call("getblockhash", [height]);
-
-          // Get full block data
-          const block = await bitcoinRPC.call("getblock", [hash, 2]);
-
-          // Process the block
-          await this.processBlock(block, db, scanDb);
-
-          processedBlocks++;
-          this.syncStats.blocksProcessed++;
+          ({ value: prepared } = await blocks.next());
+        } catch (error) {
+          // Nothing past this height was processed; the next sync check resumes here
+          logger.error(`[Background Sync] Error fetching block ${height}:`, error.message);
+          this.syncStats.errors++;
+          break;
+        }
 
-          // Flush batch periodically or when it reaches size limit
-          if (this.batchCount >= this.config.batchSize ||
-              Date.now() - this.lastBatchFlush >= this.config.batchFlushInterval) {
-            await this.flushBatch();
-            this.resetBatch();
+        try {
+          const { block } = prepared;
+          const hash = block.hash;
+
+          // Stop the chunk if the block does not build on what we processed;
+          // the next sync check will roll back the orphaned blocks
+          if (prevHash && block.previousblockhash !== prevHash) {
+            logger.warn(`[Background Sync] Block ${height} does not extend processed chain, stopping chunk`);
+            break;
           }
-
-          // Update scan_progress after each block
-          await scanDb.put("scan_progress", {
+          prevHash = hash;
+
+          // Process the block, journaling every write so it can be undone
+          const batch = dbService.batch();
+          const scanBatch = batch.scan;
+          this.mainBatch = batch.main;
+          this.undoJournal = { hash, ops: [], seen: new Set() };
+          const movements = await this.processBlock(block, db, scanDb, batch, prepared);
+
+          // Commit addresses, tainted outputs, undo journal and progress together
+          scanBatch.put(`undo:${height}`, { hash, ops: this.undoJournal.ops });
+          scanBatch.put(`block_hash:${height}`, hash);
+          scanBatch.put("scan_progress", {
             lastBlock: height,
-            transactions: {}, // Not needed for incremental sync
+            lastBlockHash: hash,
             lastUpdated: Date.now(),
           });
+          if (height >= this.config.reorgDepth) {
+            scanBatch.del(`undo:${height - this.config.reorgDepth}`);
+            scanBatch.del(`block_hash:${height - this.config.reorgDepth}`);
+          }
+          await batch.write();
+          upstreamTaint.index.commit();
+          // Only after the write: blocks prepared from now on read these keys from the DB
+          workerPool.commit(prepared, this.preparedWrites, this.preparedOutpointWrites);
+          this.discardBlockWrites();
+          mempoolWatcher.confirmBlock(block);
+
+          if (movements.length > 0) {
+            await satoshiMovements.notify(movements);
+          }
 
+          processedBlocks++;
+          this.syncStats.blocksProcessed++;
         } catch (error) {
           logger.error(`[Background Sync] Error processing block ${height}:`, error.message);
           this.syncStats.errors++;
-
-          // If batch became invalid due to IO error, reset it for next block
-          if (!this.batchIsValid) {
-            logger.info("[Background Sync] Resetting batch after error");
-            this.resetBatch();
-          }
-          // Continue with next block instead of retrying
+          // Nothing of the block was written; the next sync check retries it
+          this.discardBlockWrites();
+          upstreamTaint.index.discard();
+          this.parentTaintingCache.clear();
+          break;
         }
       }
 
-      // Final batch flush
-      await this.flushBatch();
+      await blocks.return();
 
       this.syncStats.lastSyncTime = new Date().toISOString();
       logger.info(`[Background Sync] Processed ${processedBlocks} blocks successfully`);
     } catch (error) {
       logger.error("[Background Sync] Error in syncNewBlocks:", error.message);
-      this.batchIsValid = false;
       // Don't throw - allow sync loop to continue
     } finally {
-      this.mainDb = null;
+      this.discardBlockWrites();
     }
   }
 
-  async processBlock(block, db, scanDb) {
-    const taintedOutBatch = scanDb.batch();
+  // Blocks the worker pool prepared get the pool's view of their pre-read keys (see BlockWorkerPool)
+  async getWorkerPool(scanDb) {
+    if (!this.workerPool) {
+      this.workerPool = bitcoinRPC.createWorkerPool({
+        scan: scanDb,
+        outpoints: await dbService.getOutpointDb(),
+        filter: await dbService.getOutpointFilter(),
+      });
+      logger.info(`[Background Sync] Preparing blocks with ${this.workerPool.size || "no"} worker thread(s)`);
+    }
+    return this.workerPool;
+  }
+
+  async processBlock(block, db, scanDb, storeBatch = null, prepared = null) {
+    // Tainted outputs go into the caller's batch when given, so they commit with the block
+    const blockBatch = storeBatch || dbService.batch();
+    const taintedOutBatch = blockBatch.scan;
+    // Outpoint state as of the previous block; pre-read by the worker pool when prepared
+    const scanReader = prepared ? this.workerPool.reader(prepared) : scanDb;
+    const outpointDb = prepared ? this.workerPool.outpointReader(prepared) : await dbService.getOutpointReader();
     const callbackPromises = [];
     let taintedOutCount = 0;
     const blockTaintedOutpoints = new Map();
+    // Per accounting model: outpoint -> { value, tainted } created in this block
+    const blockValueTaint = new Map(this.taintModels.map((model) => [model, new Map()]));
+    // Per additional seed set: outpoint -> degree created in this block
+    const blockSeedSetTaint = new Map(this.seedSets.map((set) => [set.name, new Map()]));
+    // Spent markers and current tainted balances
+    const utxoTracker = new taintedUtxos.TaintedUtxoTracker(scanDb, taintedOutBatch, block.height, (key, prev) =>
+      this.recordUndo("scan", key, prev)
+    );
+    // Spends of Satoshi coinbase outputs
+    const movements = [];
 
     for (const tx of block.tx) {
       const txid = tx.txid || tx.hash;
       let isTaintSpreading = false;
       let minDegree = Infinity;
+      // Addresses and degrees of the tainted inputs
+      const taintedInputs = [];
+      let spendsBlockTaint = false;
+
+      for (const model of this.taintModels) {
+        await this.processValueTaint(model, tx, db, scanReader, outpointDb, taintedOutBatch, blockValueTaint.get(model));
+      }
+
+      for (const set of this.seedSets) {
+        await this.processSeedSetTaint(set, tx, db, scanReader, taintedOutBatch, blockSeedSetTaint.get(set.name));
+      }
 
       // 1. Check if any input spends a tainted output
-      for (const vin of tx.vin) {
+      for (const [inputIndex, vin] of tx.vin.entries()) {
         if (vin.coinbase) continue;
         const outpoint = `${vin.txid}:${vin.vout}`;
 
@@ -504,18 +726,33 @@ class BackgroundSyncService {
         if (blockTaintedOutpoints.has(outpoint)) {
           const degree = blockTaintedOutpoints.get(outpoint);
           isTaintSpreading = true;
+          spendsBlockTaint = true;
           if (degree < minDegree) {
             minDegree = degree;
           }
+          const utxo = await utxoTracker.spend(outpoint, txid);
+          this.addTaintedInput(taintedInputs, vin, utxo, degree);
         } else {
           // Check DB for tainted outpoint
           try {
-            const degree = await scanDb.get(`tainted_out:${outpoint}`);
-            if (degree !== undefined && degree !== null) {
+            const stored = await outpointDb.get(outpoint);
+            const degree = seedSets.outpointDegree(stored);
+            if (degree !== null) {
               isTaintSpreading = true;
               if (degree < minDegree) {
                 minDegree = degree;
               }
+              const utxo = await utxoTracker.spend(outpoint, txid);
+              this.addTaintedInput(taintedInputs, vin, utxo, degree);
+            }
+            if (satoshiMovements.isCoinbaseSeed(stored)) {
+              const event = satoshiMovements.createEvent(block, tx, inputIndex, stored, (script) =>
+                bitcoinRPC.getAddressFromScript(script)
+              );
+              const key = satoshiMovements.eventKey(event, inputIndex);
+              taintedOutBatch.put(key, event);
+              this.recordUndo("scan", key, null);
+              movements.push(event);
             }
           } catch (e) {
             // Not tainted, continue
@@ -523,61 +760,21 @@ class BackgroundSyncService {
         }
       }
 
-      // 2. Check if any output goes to a known Satoshi address
-      const outputs = tx.vout
-        .map((vout, index) => ({
-          index,
-          address: bitcoinRPC.getAddressFromScript(vout.scriptPubKey),
-          value: vout.value,
-        }))
-        .filter((o) => o.address);
-
-      const goesToSatoshi = outputs.some((o) =>
-        SATOSHI_ADDRESSES.includes(o.address)
-      );
-      if (goesToSatoshi) {
-        isTaintSpreading = true;
-        minDegree = -1; // Use -1 so that currentDegree = 0 (seed)
-      }
+      // 2. Payments to Satoshi (or to his funders) make the payers upstream, not tainted
+      await this.processUpstreamTaint(tx, db);
 
       if (isTaintSpreading) {
         const currentDegree = minDegree + 1;
         const formattedTx = bitcoinRPC.formatTransaction(tx);
 
-        // Find source address from tainted inputs
-        let sourceAddress = null;
-        for (const vin of tx.vin) {
-          if (vin.coinbase) continue;
-          const outpoint = `${vin.txid}:${vin.vout}`;
-          
-          // Check if this input is tainted
-          let inputDegree = null;
-          if (blockTaintedOutpoints.has(outpoint)) {
-            inputDegree = blockTaintedOutpoints.get(outpoint);
-          } else {
-            try {
-              inputDegree = await scanDb.get(`tainted_out:${outpoint}`);
-            } catch (e) {
-              // Not tainted
-            }
-          }
+        // The path continues from a tainted input of minimum degree; origins come from all of them
+        const source = taintedInputs.find((input) => input.degree === minDegree);
+        const sourceAddress = source ? source.address : null;
+        const inputAddresses = [...new Set(taintedInputs.map((input) => input.address))];
 
-          // If this input is tainted and has the minimum degree, use it as source
-          if (inputDegree !== null && inputDegree === minDegree) {
-            // Try to get address from prevout
-            if (vin.prevout && vin.prevout.scriptPubKey) {
-              sourceAddress = bitcoinRPC.getAddressFromScript(vin.prevout.scriptPubKey);
-            } else if (formattedTx.inputs && formattedTx.inputs.length > 0) {
-              // Fallback to formatted transaction inputs
-              const input = formattedTx.inputs.find(
-                (inp) => inp.prev_out && inp.prev_out.addr
-              );
-              if (input) {
-                sourceAddress = input.prev_out.addr;
-              }
-            }
-            if (sourceAddress) break; // Found source, stop looking
-          }
+        // Their records may still be being written by an earlier transaction of this block
+        if (spendsBlockTaint) {
+          await Promise.all(callbackPromises);
         }
 
         // Process ALL outputs
@@ -590,7 +787,7 @@ class BackgroundSyncService {
 
           if (!alreadyTainted) {
             try {
-              const degree = await scanDb.get(`tainted_out:${outpoint}`);
+              const degree = await outpointDb.get(outpoint);
               if (degree !== undefined && degree !== null) {
                 alreadyTainted = true;
               }
@@ -603,19 +800,24 @@ class BackgroundSyncService {
             const address = bitcoinRPC.getAddressFromScript(vout.scriptPubKey);
 
             // Store tainted outpoint in batch
-            taintedOutBatch.put(`tainted_out:${outpoint}`, currentDegree);
+            blockBatch.outpoints.put(outpoint, currentDegree);
+            this.preparedOutpointWrites.set(outpoint, { degree: currentDegree });
+            this.recordUndo("outpoints", outpoint, null);
             taintedOutCount++;
             blockTaintedOutpoints.set(outpoint, currentDegree);
 
             // Process address if we have one
             if (address) {
+              await utxoTracker.add(outpoint, address, Math.round(vout.value * 100000000), currentDegree);
               callbackPromises.push(
                 this.processAddressInBatch(
                   address,
                   currentDegree,
                   formattedTx,
                   db,
-                  sourceAddress
+                  sourceAddress,
+                  block.height,
+                  inputAddresses
                 )
               );
             }
@@ -624,50 +826,302 @@ class BackgroundSyncService {
       }
     }
 
-    // Write tainted outputs batch
-    if (taintedOutCount > 0) {
-      await taintedOutBatch.write();
+    // Write tainted outputs batch (unless the caller commits it)
+    if (!storeBatch && (taintedOutCount > 0 || utxoTracker.pending.size > 0 || movements.length > 0)) {
+      await blockBatch.write();
     }
 
     // Execute address processing callbacks
     if (callbackPromises.length > 0) {
       await Promise.all(callbackPromises);
     }
+    await this.writeIndexCounts(db);
+
+    return movements;
+  }
+
+  // One-off passes over data written before later features, chunk by chunk while caught up
+  async runBackfills(scanDb) {
+    const deadline = Date.now() + this.config.backfillTimeLimit;
+    const db = await dbService.init();
+
+    let done = false;
+    while (!done && Date.now() < deadline) {
+      done = await this.backfillTaintHeights(db);
+    }
+    done = false;
+    while (!done && Date.now() < deadline) {
+      done = await this.backfillTaintedUtxos(scanDb);
+    }
   }
 
-  async processAddressInBatch(address, currentDegree, transaction, db, sourceAddress = null) {
-    try {
-      // Check if we already have a shorter path
+  /**
+   * Gives records written before the height index (see taintIndexes) a firstTaintedHeight:
+   * the block of the transaction in their txHash, from the chain source. Resumes after the
+   * last key done; records whose transaction cannot be found stay out of the height index.
+   * @returns {Promise<boolean>} true once every record has been through the pass
+   */
+  async backfillTaintHeights(db) {
+    const state = await db.get(HEIGHT_BACKFILL_KEY);
+    if (state && state.done) {
+      return true;
+    }
+
+    const entries = await db
+      .iterator({ gt: state ? state.after : "tainted:", lt: "tainted;", limit: this.config.heightBackfillBatch })
+      .all();
+    if (entries.length === 0) {
+      await db.put(HEIGHT_BACKFILL_KEY, { done: true, updatedAt: Date.now() });
+      logger.info("[Background Sync] Height index backfill complete");
+      return true;
+    }
+
+    const chainSource = getChainSource();
+    const tipHeight = await chainSource.getTipHeight();
+    const heights = new Map();
+    const missing = entries.filter(
+      ([key, record]) => !seedSets.isSetRecordKey(key) && !Number.isInteger(record.firstTaintedHeight) && record.txHash
+    );
+    for (const txHash of new Set(missing.map(([, record]) => record.txHash))) {
       try {
-        const existing = await db.get(`tainted:${address}`);
-        if (existing.degree <= currentDegree) {
-          return; // Skip if we already have a shorter or equal path
+        heights.set(txHash, await chainSource.getTransactionHeight(txHash, tipHeight));
+      } catch (error) {
+        logger.debug(`[Background Sync] No height for ${txHash}: ${error.message}`);
+      }
+    }
+
+    const batch = db.batch();
+    const changes = [];
+    for (const [key, record] of missing) {
+      const height = heights.get(record.txHash);
+      if (!Number.isInteger(height)) continue;
+      const updated = { ...record, firstTaintedHeight: height };
+      batch.put(key, updated);
+      changes.push(taintIndexes.indexChanges(key.slice("tainted:".length), record, updated));
+    }
+    await taintIndexes.applyChanges(db, batch, changes);
+    batch.put(HEIGHT_BACKFILL_KEY, { done: false, after: entries[entries.length - 1][0], updatedAt: Date.now() });
+    await batch.write();
+    if (changes.length > 0) {
+      logger.info(`[Background Sync] Backfilled the first tainted height of ${changes.length.toLocaleString()} addresses`);
+    }
+    return false;
+  }
+
+  /**
+   * Tracks the outpoints tainted before tainted UTXO tracking existed (see taintedUtxos):
+   * outpoints with neither an unspent nor a spent entry are looked up in the chain source's
+   * UTXO set, unspent ones with an address are added to the balance of that address and
+   * spent ones recorded as spent, with no spending transaction. Resumes after the last
+   * outpoint done; balances are reported once the last chunk is written.
+   * @returns {Promise<boolean>} true once every outpoint has been through the pass
+   */
+  async backfillTaintedUtxos(scanDb) {
+    const state = await scanDb.get(taintedUtxos.BACKFILL_KEY);
+    if (state && state.done) {
+      return true;
+    }
+
+    const outpointDb = await dbService.getOutpointDb();
+    const range = { limit: this.config.utxoBackfillBatch };
+    if (state) {
+      range.gt = state.after;
+    }
+    const entries = await outpointDb.iterator(range).all();
+    if (entries.length === 0) {
+      await scanDb.put(taintedUtxos.BACKFILL_KEY, { done: true, updatedAt: Date.now() });
+      logger.info("[Background Sync] Tainted UTXO backfill complete, balances are now reported");
+      return true;
+    }
+
+    const outpoints = entries.map(([outpoint]) => outpoint);
+    const tracked = await scanDb.getMany(
+      outpoints.flatMap((outpoint) => [taintedUtxos.utxoKey(outpoint), taintedUtxos.spentKey(outpoint)])
+    );
+    const untracked = entries.filter((entry, i) => tracked[i * 2] === undefined && tracked[i * 2 + 1] === undefined);
+    const outputs = await getChainSource().getUnspentOutputs(untracked.map(([outpoint]) => outpoint));
+
+    const batch = scanDb.batch();
+    const tracker = new taintedUtxos.TaintedUtxoTracker(scanDb, batch, null);
+    let added = 0;
+    for (let i = 0; i < untracked.length; i++) {
+      const [outpoint, record] = untracked[i];
+      const output = outputs[i];
+      if (!output) {
+        batch.put(taintedUtxos.spentKey(outpoint), { txid: null, height: null });
+        continue;
+      }
+      const address = record.address || bitcoinRPC.getAddressFromScript(output.scriptPubKey);
+      if (address) {
+        await tracker.add(outpoint, address, Math.round(output.value * 100000000), record.degree);
+        added++;
+      }
+    }
+    batch.put(taintedUtxos.BACKFILL_KEY, { done: false, after: outpoints[outpoints.length - 1], updatedAt: Date.now() });
+    await batch.write();
+    if (added > 0) {
+      logger.info(`[Background Sync] Backfilled ${added.toLocaleString()} tainted UTXOs`);
+    }
+    return false;
+  }
+
+  // Index counters touched by the block, once its address callbacks are done
+  async writeIndexCounts(db) {
+    const writes = await taintIndexes.countWrites(this.indexCounts, (key) => this.readMain(db, key));
+    for (const { key, count, previous } of writes) {
+      this.recordUndo("main", key, previous);
+      if (count === null) {
+        this.safeBatchDel(key);
+      } else {
+        this.safeBatchPut(key, count);
+      }
+    }
+    this.indexCounts.clear();
+  }
+
+  // Index keys for a change of an address record, in the block batch
+  updateIndexes(address, previous, record) {
+    const { puts, dels, counts } = taintIndexes.indexChanges(address, previous, record);
+    for (const key of dels) {
+      this.recordUndo("main", key, taintIndexes.INDEX_VALUE);
+      this.safeBatchDel(key);
+    }
+    for (const key of puts) {
+      this.recordUndo("main", key, null);
+      this.safeBatchPut(key, taintIndexes.INDEX_VALUE);
+    }
+    taintIndexes.mergeCounts(this.indexCounts, counts);
+  }
+
+  // Propagate tainted satoshis through one transaction for a value-weighted model
+  async processValueTaint(model, tx, db, scanDb, outpointDb, batch, blockRecords) {
+    const taintedOutputs = await taintAccounting.computeTransactionTaint(model, tx, {
+      db: scanDb,
+      outpoints: outpointDb,
+      blockRecords,
+      resolveOutputValue: (txid, vout) => bitcoinRPC.getOutputValue(txid, vout),
+    });
+
+    for (const { index, outpoint, key, value, tainted } of taintedOutputs) {
+      batch.put(key, { value, tainted });
+      this.preparedWrites.set(key, { value, tainted });
+      this.recordUndo("scan", key, null);
+      blockRecords.set(outpoint, { value, tainted });
+
+      const address = bitcoinRPC.getAddressFromScript(tx.vout[index].scriptPubKey);
+      if (address) {
+        const accountKey = taintAccounting.addressKey(model, address);
+        const account = await this.readMain(db, accountKey);
+        this.recordUndo("main", accountKey, account);
+        this.safeBatchPut(accountKey, taintAccounting.addToAccount(account, value, tainted));
+      }
+    }
+  }
+
+  // Record the input addresses of a transaction paying a Satoshi or upstream address as funders
+  async processUpstreamTaint(tx, db) {
+    const updates = await upstreamTaint.index.processTransaction(tx, {
+      getAddress: (scriptPubKey) => bitcoinRPC.getAddressFromScript(scriptPubKey),
+      resolveInputAddress: (txid, vout) => bitcoinRPC.getOutputAddress(txid, vout),
+      readRecord: (key) => this.readMain(db, key),
+    });
+
+    for (const { key, previous, record } of updates) {
+      this.recordUndo("main", key, previous);
+      this.safeBatchPut(key, record);
+    }
+  }
+
+  // Propagate the degree of an additional seed set through one transaction
+  async processSeedSetTaint(set, tx, db, scanDb, batch, blockRecords) {
+    const taintedOutputs = await seedSets.computeTransactionTaint(set, tx, {
+      db: scanDb,
+      blockRecords,
+      getAddress: (scriptPubKey) => bitcoinRPC.getAddressFromScript(scriptPubKey),
+    });
+
+    for (const { outpoint, key, degree, address } of taintedOutputs) {
+      batch.put(key, degree);
+      this.preparedWrites.set(key, degree);
+      this.recordUndo("scan", key, null);
+      blockRecords.set(outpoint, degree);
+
+      if (address) {
+        const recordKey = seedSets.addressKey(set.name, address);
+        const existing = await this.readMain(db, recordKey);
+        const record = seedSets.mergeAddressRecord(existing, degree, tx.txid || tx.hash);
+        if (record) {
+          this.recordUndo("main", recordKey, existing);
+          this.safeBatchPut(recordKey, record);
         }
-      } catch (err) {
-        // Address not yet tainted, proceed
       }
+    }
+  }
+
+  // Address of a tainted input, from the tainted UTXO record or the prevout of the input
+  addTaintedInput(taintedInputs, vin, utxo, degree) {
+    const address = utxo ? utxo.address : bitcoinRPC.getAddressFromScript(vin.prevout?.scriptPubKey);
+    if (address) {
+      taintedInputs.push({ address, degree });
+    }
+  }
+
+  // Record of a tainted input address, through the parent cache
+  async readParentRecord(db, address) {
+    let record = this.parentTaintingCache.get(address);
+    if (!record) {
+      record = await this.readMain(db, `tainted:${address}`);
+      if (record) {
+        if (this.parentTaintingCache.size > 10000) {
+          const firstKey = this.parentTaintingCache.keys().next().value;
+          this.parentTaintingCache.delete(firstKey);
+        }
+        this.parentTaintingCache.set(address, record);
+      }
+    }
+    return record || null;
+  }
+
+  /**
+   * @param {string|null} sourceAddress - Tainted input of minimum degree, the path continues from it
+   * @param {Array<string>} inputAddresses - All tainted input addresses, origins are inherited from each
+   */
+  async processAddressInBatch(address, currentDegree, transaction, db, sourceAddress = null, height = null, inputAddresses = []) {
+    try {
+      const existing = await this.readMain(db, `tainted:${address}`);
 
       let path = [];
       let originalSatoshiAddress = address;
 
-      // Try to get parent tainting info from sourceAddress
-      let parentTinting = null;
-      if (sourceAddress) {
-        // Try cache first
-        parentTinting = this.parentTaintingCache.get(sourceAddress);
-        if (!parentTinting) {
-          try {
-            parentTinting = await db.get(`tainted:${sourceAddress}`);
-            // Cache it
-            if (this.parentTaintingCache.size > 10000) {
-              const firstKey = this.parentTaintingCache.keys().next().value;
-              this.parentTaintingCache.delete(firstKey);
-            }
-            this.parentTaintingCache.set(sourceAddress, parentTinting);
-          } catch (err) {
-            // Parent not found
-          }
+      const parentTinting = sourceAddress ? await this.readParentRecord(db, sourceAddress) : null;
+
+      // Satoshi addresses this transaction carries taint from: the best degree of each origin
+      // over all tainted inputs (mergeOrigins keeps the lowest)
+      let incomingOrigins = [];
+      for (const inputAddress of inputAddresses) {
+        const parent = inputAddress === sourceAddress ? parentTinting : await this.readParentRecord(db, inputAddress);
+        if (parent) {
+          incomingOrigins.push(...taintOrigins.inheritOrigins(parent, currentDegree));
+        }
+      }
+      if (incomingOrigins.length === 0 && satoshiAddresses().has(address)) {
+        incomingOrigins = [{ address, degree: 0 }];
+      }
+
+      // A shorter or equal path is already known; only record new origins
+      if (existing && existing.degree <= currentDegree) {
+        const merged = taintOrigins.mergeOrigins(existing, incomingOrigins);
+        if (merged.changed) {
+          this.recordUndo("main", `tainted:${address}`, existing);
+          this.safeBatchPut(`tainted:${address}`, {
+            ...existing,
+            origins: merged.origins,
+            originsTruncated: merged.originsTruncated,
+            lastUpdated: Date.now(),
+          });
+          this.parentTaintingCache.delete(address);
         }
+        return;
       }
 
       if (parentTinting) {
@@ -683,15 +1137,14 @@ class BackgroundSyncService {
             amount: amount,
           },
         ];
-      } else if (SATOSHI_ADDRESSES.includes(address)) {
+      } else if (satoshiAddresses().has(address)) {
         originalSatoshiAddress = address;
       }
 
       // Store transaction in batch (if not already stored)
       const txKey = `tx:${transaction.hash}`;
-      try {
-        await db.get(txKey);
-      } catch (err) {
+      if (!(await this.readMain(db, txKey))) {
+        this.recordUndo("main", txKey, null);
         this.safeBatchPut(txKey, {
           hash: transaction.hash,
           time: transaction.time,
@@ -701,18 +1154,28 @@ class BackgroundSyncService {
         });
       }
 
-      // Store tainting information in batch
+      // Store tainting information in batch, keeping origins reached over earlier paths
+      const merged = taintOrigins.mergeOrigins(existing, incomingOrigins);
       const taintData = {
         txHash: transaction.hash,
         originalSatoshiAddress,
         amount: transaction.out.find((o) => o.addr === address)?.value || 0,
         degree: currentDegree,
         path,
+        origins: merged.origins,
+        originsTruncated: merged.originsTruncated,
+        // Unknown for addresses tainted before the height index existed
+        firstTaintedHeight: existing ? existing.firstTaintedHeight : height ?? undefined,
         lastUpdated: Date.now(),
       };
 
-      if (this.safeBatchPut(`tainted:${address}`, taintData)) {
+      // Another transaction of this block may have written the address since it was read
+      const key = `tainted:${address}`;
+      const indexed = this.pendingWrites.has(key) ? this.pendingWrites.get(key) : existing;
+      this.recordUndo("main", key, existing);
+      if (this.safeBatchPut(key, taintData)) {
         this.syncStats.addressesUpdated++;
+        this.updateIndexes(address, indexed, taintData);
       }
 
       // Update cache
@@ -729,44 +1192,136 @@ class BackgroundSyncService {
     }
   }
 
-  resetBatch() {
-    if (this.mainDb) {
-      this.mainBatch = this.mainDb.batch();
-      this.batchCount = 0;
-      this.lastBatchFlush = Date.now();
-      this.batchIsValid = true;
+  // Add a main DB write to the current block's store batch
+  safeBatchPut(key, value) {
+    if (!this.mainBatch) {
+      // Not inside a block, skip this operation
+      return false;
     }
+    this.mainBatch.put(key, value);
+    this.pendingWrites.set(key, value);
+    return true;
   }
 
-  safeBatchPut(key, value) {
-    if (!this.batchIsValid || !this.mainBatch) {
-      // Batch is invalid, skip this operation
+  // Delete a main DB key in the current block's store batch
+  safeBatchDel(key) {
+    if (!this.mainBatch) {
       return false;
     }
+    this.mainBatch.del(key);
+    this.pendingWrites.set(key, null);
+    return true;
+  }
+
+  // Forget the current block's batch once it is written or abandoned
+  discardBlockWrites() {
+    this.mainBatch = null;
+    this.pendingWrites.clear();
+    // New maps: the pool keeps the committed ones as overlays
+    this.preparedWrites = new Map();
+    this.preparedOutpointWrites = new Map();
+    this.undoJournal = null;
+    this.indexCounts.clear();
+  }
+
+  // Read a main DB key, seeing writes of the current block that are not yet written
+  async readMain(db, key) {
+    if (this.pendingWrites.has(key)) {
+      return this.pendingWrites.get(key);
+    }
     try {
-      this.mainBatch.put(key, value);
-      this.batchCount++;
-      return true;
-    } catch (error) {
-      // Batch became invalid (closed/written)
-      logger.error("[Background Sync] Batch operation failed, marking batch as invalid:", error.message);
-      this.batchIsValid = false;
-      return false;
+      const value = await db.get(key);
+      return value === undefined ? null : value;
+    } catch (err) {
+      if (err.code === "LEVEL_NOT_FOUND") {
+        return null;
+      }
+      throw err;
     }
   }
 
-  async flushBatch() {
-    if (this.mainBatch && this.batchCount > 0 && this.batchIsValid) {
-      try {
-        await this.mainBatch.write();
-        this.batchCount = 0;
-        this.batchIsValid = false; // Batch is consumed after write
-      } catch (error) {
-        logger.error("[Background Sync] Error flushing batch:", error.message);
-        this.batchIsValid = false;
-        // Don't throw - let the caller handle recovery
+  // Remember the value a key had before the current block wrote it (null = key did not exist)
+  recordUndo(store, key, previousValue) {
+    if (!this.undoJournal) {
+      return;
+    }
+    const id = `${store}:${key}`;
+    if (this.undoJournal.seen.has(id)) {
+      return; // Only the value from before the block matters
+    }
+    this.undoJournal.seen.add(id);
+    this.undoJournal.ops.push({ store, key, prev: previousValue ?? null });
+  }
+
+  // Walk back from the last processed block until our recorded hash matches the node's chain
+  async handleReorg(lastProcessedBlock, scanDb) {
+    let height = lastProcessedBlock;
+
+    while (height >= 0) {
+      const storedHash = await scanDb.get(`block_hash:${height}`);
+      if (!storedHash) {
+        break; // Processed before hashes were recorded, nothing to compare against
+      }
+
+      let chainHash = null;
+      if (height <= this.currentHeight) {
+        chainHash = await getChainSource().getBlockHash(height);
+      }
+      if (chainHash === storedHash) {
+        break;
+      }
+
+      await this.rollbackBlock(height, scanDb);
+      height--;
+    }
+
+    if (height < lastProcessedBlock) {
+      const rolledBack = lastProcessedBlock - height;
+      logger.warn(`[Background Sync] Chain reorganization detected: rolled back ${rolledBack} block(s) to height ${height}`);
+      this.syncStats.reorgs++;
+      this.syncStats.blocksRolledBack += rolledBack;
+      this.parentTaintingCache.clear();
+      await upstreamTaint.index.load(await dbService.init());
+    }
+
+    return height;
+  }
+
+  // Undo every write of an orphaned block using its journal
+  async rollbackBlock(height, scanDb) {
+    const journal = await scanDb.get(`undo:${height}`);
+    if (!journal) {
+      throw new Error(
+        `No undo journal for block ${height}; reorg is deeper than REORG_DEPTH (${this.config.reorgDepth}), a rescan is required`
+      );
+    }
+
+    // The restored values, the journal removal and the progress marker commit together
+    await dbService.init();
+    const batch = dbService.batch();
+
+    // Restore in reverse order of writing
+    for (const op of [...journal.ops].reverse()) {
+      const target = batch[op.store];
+      if (op.prev === null) {
+        target.del(op.key);
+      } else {
+        target.put(op.key, op.prev);
       }
     }
+
+    const previousHash = height > 0 ? await scanDb.get(`block_hash:${height - 1}`) : null;
+    batch.scan
+      .del(`undo:${height}`)
+      .del(`block_hash:${height}`)
+      .put("scan_progress", {
+        lastBlock: height - 1,
+        lastBlockHash: previousHash || null,
+        lastUpdated: Date.now(),
+      });
+    await batch.write();
+
+    logger.info(`[Background Sync] Rolled back block ${height} (${journal.hash})`);
   }
 
   getStatus() {
@@ -786,12 +1341,19 @@ class BackgroundSyncService {
       blocksBehind,
       progress: progress !== null ? `${progress}%` : null,
       stats: this.syncStats,
+      zmq: zmqBlockListener.getStatus(),
+      mempool: mempoolWatcher.getStatus(),
+      satoshiMovements: satoshiMovements.getStatus(),
+      outpointFilter: dbService.getOutpointFilterStatus(),
       config: {
         syncInterval: this.config.syncInterval,
         enabled: this.config.enabled,
-        batchSize: this.config.batchSize,
-        batchFlushInterval: this.config.batchFlushInterval,
         chunkSize: this.config.chunkSize,
+        reorgDepth: this.config.reorgDepth,
+        network: network.name,
+        chainSource: getChainSource().name,
+        taintModels: ["poison", ...this.taintModels],
+        seedSets: [seedSets.DEFAULT_SET, ...this.seedSets.map((set) => set.name)],
       },
     };
   }
@@ -1,29 +1,30 @@
 const axios = require("axios");
-const bitcoin = require("bitcoinjs-lib");
-const { Level } = require("level");
 const fs = require("fs");
 const path = require("path");
 const dbService = require("./dbService");
+const taintAccounting = require("./taintAccounting");
+const seedSets = require("./seedSets");
+const { TaintedUtxoTracker } = require("./taintedUtxos");
+const satoshiMovements = require("./satoshiMovements");
+const upstreamTaint = require("./upstreamTaint");
+const blockFileReader = require("./blockFileReader");
+const { BlockPrefetcher } = require("./blockPrefetcher");
+const { addressFromScriptPubKey } = require("./blockDecoder");
+const { BlockWorkerPool } = require("./blockWorkerPool");
+// Required lazily: the RPC chain source is built on this module
+const chainSource = () => require("./chainSource").getChainSource();
 const logger = require("../utils/logger");
-const DB_PATH = process.env.DB_PATH || path.join(__dirname, "../../data");
-const { Worker } = require("worker_threads");
+const network = require("../utils/network");
 const os = require("os");
 
-// Load Satoshi addresses if available (generated by extract-patoshi-addresses)
-let SATOSHI_ADDRESSES = [];
-try {
-  const satoshiData = require("../../data/satoshiAddresses");
-  SATOSHI_ADDRESSES = satoshiData.SATOSHI_ADDRESSES || [];
-} catch (err) {
-  // File doesn't exist yet - will be created by extract-patoshi-addresses
+// Satoshi addresses come from the default seed set (generated by extract-patoshi-addresses)
+if (network.isMainnet && seedSets.registry.getDefaultSet().addresses.size === 0) {
   logger.info("Note: satoshiAddresses.js not found. Run 'npm run extract-patoshi-addresses' first.");
 }
 
-const MAX_PARALLEL_REQUESTS = 16; // Increase from 5 to 16
 const BASE_DELAY = 500; // Decrease from 1000 to 500ms
 const MAX_RETRIES = 5; // Increase from 3 to 5
 const MEMORY_CHECK_INTERVAL = 1000; // Check memory every 1000 blocks
-const MEMORY_THRESHOLD = 0.85; // 85% memory usage threshold
 const BLOCK_BATCH_SIZE = 1000; // Process 1000 blocks at a time
 
 async function withBackoff(fn, maxRetries = 5) {
@@ -56,7 +57,8 @@ class BitcoinRPC {
     this.addressCache = new Map(); // Cache for P2PK -> Address conversion
     this.taintedOutpoints = new Set(); // Set of TXID:VOUT that are tainted
 
-    if (!this.user || !this.pass) {
+    // Other chain sources (CHAIN_SOURCE) run without a node
+    if ((!this.user || !this.pass) && (process.env.CHAIN_SOURCE || "rpc") === "rpc") {
       throw new Error("Bitcoin RPC credentials not configured");
     }
 
@@ -86,6 +88,12 @@ class BitcoinRPC {
     this.config = {
       batchSize: parseInt(process.env.BITCOIN_BATCH_SIZE) || 100,
       maxParallelRequests: parseInt(process.env.BITCOIN_MAX_PARALLEL) || 16,
+      prefetchBlocks: parseInt(process.env.BITCOIN_PREFETCH_BLOCKS) || 16, // Blocks downloaded ahead of processing
+      rpcBatchBlocks: parseInt(process.env.BITCOIN_RPC_BATCH_BLOCKS) || 4, // Blocks per JSON-RPC batch request
+      // Block decoding and outpoint lookups; 0 prepares blocks on the main thread
+      workers: process.env.BITCOIN_WORKERS !== undefined
+        ? parseInt(process.env.BITCOIN_WORKERS) || 0
+        : Math.max(1, Math.min(os.cpus().length - 1, 4)), // Use up to 4 cores
       cacheSize: parseInt(process.env.BITCOIN_CACHE_SIZE) || 10000,
       retryDelay: parseInt(process.env.BITCOIN_RETRY_DELAY) || 500,
       maxRetries: parseInt(process.env.BITCOIN_MAX_RETRIES) || 5,
@@ -95,19 +103,8 @@ class BitcoinRPC {
         parseInt(process.env.BITCOIN_BLOCK_BATCH_SIZE) || BLOCK_BATCH_SIZE,
     };
 
-    // Add database state tracking
-    this.dbStatus = {
-      isOpen: false,
-      instance: null,
-      opening: null, // Promise to prevent concurrent open attempts
-    };
-
-    // Initialize worker pool
-    this.workerPool = {
-      size: Math.max(1, Math.min(os.cpus().length - 1, 4)), // Use up to 4 cores
-      workers: [],
-      busy: new Set(),
-    };
+    // Block worker pool of the running initial scan
+    this.blockWorkerPool = null;
 
     // Add status line tracking
     this.lastLines = 0;
@@ -148,6 +145,7 @@ class BitcoinRPC {
       }
 
       const info = response.data.result;
+      network.checkChain(info.chain);
       logger.info("\n=== Bitcoin Node Status ===");
       logger.info("------------------------");
       logger.info(`Network:     ${info.chain}`);
@@ -225,13 +223,24 @@ ${error.message}
   async getAddressTransactions(
     addresses,
     progressCallback,
-    onTransactionFound
+    onTransactionFound,
+    onValueTaint,
+    onSeedSetTaint,
+    onUpstreamTransaction,
+    onBlockBatch = null
   ) {
     try {
-      await this.initialize();
-
-      const blockchainInfo = await this.getBlockchainInfo();
-      const currentHeight = blockchainInfo.blocks;
+      await chainSource().initialize();
+
+      // Read blocks from blk*.dat/rev*.dat when BITCOIN_BLOCKS_DIR is set, the chain source otherwise
+      const useBlockFiles = blockFileReader.isEnabled();
+      let currentHeight;
+      if (useBlockFiles) {
+        await blockFileReader.open();
+        currentHeight = blockFileReader.getTipHeight();
+      } else {
+        currentHeight = await chainSource().getTipHeight();
+      }
       this.totalBlocks = currentHeight;
       this.startTime = Date.now();
 
@@ -239,23 +248,15 @@ ${error.message}
       const db = await this.openDatabase();
 
       let startBlock = 0;
-      let transactionsByAddress;
+      const transactionsByAddress = new Map(
+        addresses.map((addr) => [addr, new Set()])
+      );
 
-      try {
-        const savedProgress = await db.get("scan_progress");
+      const savedProgress = await db.get("scan_progress");
+      if (savedProgress) {
         startBlock = savedProgress.lastBlock + 1;
-        transactionsByAddress = new Map(
-          Object.entries(savedProgress.transactions).map(([addr, txs]) => [
-            addr,
-            new Set(txs),
-          ])
-        );
         logger.info(`Resuming scan from block ${startBlock}`);
-      } catch (err) {
-        // No saved progress, start fresh
-        transactionsByAddress = new Map(
-          addresses.map((addr) => [addr, new Set()])
-        );
+      } else {
         logger.info("Starting fresh scan");
       }
 
@@ -267,62 +268,61 @@ ${error.message}
       this.taintedOutpoints.clear();
       this.useDbOnly = true; // Flag to indicate we're using DB-only mode
 
-      // Process one block at a time
-      for (let height = startBlock; height < currentHeight; height++) {
+      // Blocks are downloaded ahead by the prefetcher and prepared in the worker pool,
+      // then committed one at a time, in order
+      this.blockWorkerPool = this.createWorkerPool({
+        scan: db,
+        outpoints: await dbService.getOutpointDb(),
+        filter: await dbService.getOutpointFilter(),
+      });
+      logger.info(`Preparing blocks with ${this.blockWorkerPool.size || "no"} worker thread(s)`);
+      const prefetcher = this.createBlockPrefetcher({ useBlockFiles, workerPool: this.blockWorkerPool });
+      let height = startBlock;
+      while (height < currentHeight) {
         try {
-          // Update progress through callback
-          if (progressCallback) {
-            progressCallback(height);
-          }
-
-          // Get block hash
-          const hash = await this.call("getblockhash", [height]);
-
-          // Get full block data
-          const block = await this.call("getblock", [hash, 2]);
-
-          // Process the block
-          await this.processBlockTransactions(
-            block,
-            addresses,
-            transactionsByAddress,
-            onTransactionFound,
-            db
-          );
+          for await (const prepared of prefetcher.blocks(height, currentHeight - 1)) {
+            // Update progress through callback
+            if (progressCallback) {
+              progressCallback(height);
+            }
 
-          // Save progress every block
-          if (this.dbStatus.isOpen) {
-            await db.put("scan_progress", {
+            // The block's outpoints, the callbacks' address writes and the progress marker
+            // commit in one batch, so progress never runs ahead of (or behind) the taint
+            const batch = dbService.batch();
+            batch.scan.put("scan_progress", {
               lastBlock: height,
-              transactions: Object.fromEntries(
-                Array.from(transactionsByAddress.entries()).map(
-                  ([addr, txs]) => [addr, Array.from(txs)]
-                )
-              ),
               lastUpdated: Date.now(),
             });
+            if (onBlockBatch) {
+              onBlockBatch(batch, height);
+            }
+
+            // Process the block
+            await this.processBlockTransactions(
+              prepared.block,
+              addresses,
+              transactionsByAddress,
+              onTransactionFound,
+              db,
+              onValueTaint,
+              onSeedSetTaint,
+              onUpstreamTransaction,
+              prepared,
+              batch
+            );
+            height++;
           }
         } catch (error) {
           logger.error(`\nError processing block ${height}:`, error.message);
-          // Save progress before retrying
-          if (this.dbStatus.isOpen) {
-            await db.put("scan_progress", {
-              lastBlock: height - 1,
-              transactions: Object.fromEntries(
-                Array.from(transactionsByAddress.entries()).map(
-                  ([addr, txs]) => [addr, Array.from(txs)]
-                )
-              ),
-              lastUpdated: Date.now(),
-            });
-          }
+          // Nothing of the failed block was written, scan_progress still points at the one before
+          upstreamTaint.index.discard();
 
-          // Wait a bit before retrying
+          // Wait a bit before retrying this block with a fresh pipeline
           await new Promise((resolve) => setTimeout(resolve, 5000));
-          height--; // Retry this block
-          continue;
         }
       }
+      await this.blockWorkerPool.close();
+      this.blockWorkerPool = null;
 
       return Object.fromEntries(
         Array.from(transactionsByAddress.entries()).map(([addr, txs]) => [
@@ -338,41 +338,15 @@ ${error.message}
 
   // Helper to get address from scriptPubKey
   getAddressFromScript(scriptPubKey) {
-    if (!scriptPubKey) return null;
-
-    // Case 1: Standard address field (P2PKH, P2SH, Bech32)
-    if (scriptPubKey.address) return scriptPubKey.address;
-    if (scriptPubKey.addresses && scriptPubKey.addresses.length > 0)
-      return scriptPubKey.addresses[0];
-
-    // Case 2: P2PK (Pay to Public Key) - Common in early blocks
-    if (scriptPubKey.type === "pubkey" && scriptPubKey.asm) {
-      try {
-        // Extract pubkey from ASM (it's the first part before OP_CHECKSIG)
-        const parts = scriptPubKey.asm.split(" ");
-        if (parts.length > 0) {
-          const pubkeyHex = parts[0];
-
-          // Check cache first
-          if (this.addressCache.has(pubkeyHex)) {
-            return this.addressCache.get(pubkeyHex);
-          }
-
-          const pubkey = Buffer.from(pubkeyHex, "hex");
-          const { address } = bitcoin.payments.p2pkh({ pubkey });
-
-          // Cache the result
-          if (this.addressCache.size > 10000) this.addressCache.clear();
-          this.addressCache.set(pubkeyHex, address);
+    return addressFromScriptPubKey(scriptPubKey, this.addressCache);
+  }
 
-          return address;
-        }
-      } catch (e) {
-        // Ignore conversion errors
-      }
+  // Address of a tainted input: from its tracked UTXO, or the prevout when the tracker has none
+  addInputAddress(inputAddresses, vin, utxo) {
+    const address = utxo ? utxo.address : this.getAddressFromScript(vin.prevout?.scriptPubKey);
+    if (address) {
+      inputAddresses.add(address);
     }
-
-    return null;
   }
 
   async processBlockTransactions(
@@ -380,21 +354,92 @@ ${error.message}
     addresses,
     transactionsByAddress,
     onTransactionFound,
-    db
+    db,
+    onValueTaint = null,
+    onSeedSetTaint = null,
+    onUpstreamTransaction = null,
+    prepared = null,
+    storeBatch = null
   ) {
-    const batch = db.batch();
+    // The callbacks add their writes to the store batch and the whole block is written at the end
+    const blockBatch = storeBatch || dbService.batch();
+    const batch = blockBatch.scan;
+    // Outpoint state as of the previous block; pre-read by the worker pool when prepared
+    const reader = prepared ? this.blockWorkerPool.reader(prepared) : db;
+    const taint = prepared ? this.blockWorkerPool.outpointReader(prepared) : await dbService.getOutpointReader();
+    // Pre-read keys written by this block, for blocks the pool prepared before it was committed
+    const blockWrites = new Map();
+    const outpointWrites = new Map();
     const callbackPromises = [];
-    let batchCount = 0;
     // Track outpoints added in this block to handle intra-block taint propagation
     const blockTaintedOutpoints = new Map();
 
+    // Value-weighted accounting models (TAINT_MODELS) run alongside the poison model
+    const valueModels = taintAccounting.getEnabledModels();
+    const blockValueTaint = new Map(valueModels.map((model) => [model, new Map()]));
+    // Address totals are read-modify-write, so they are applied in order after the batch
+    const valueTaintUpdates = [];
+
+    // Additional seed sets (SEED_SETS_DIR) propagate their own degrees
+    const customSets = seedSets.registry.getCustomSets();
+    const blockSeedSetTaint = new Map(customSets.map((set) => [set.name, new Map()]));
+    const seedSetUpdates = [];
+
+    // Spent markers and current tainted balances
+    const utxoTracker = new TaintedUtxoTracker(db, batch, block.height);
+    // Transactions paying Satoshi or upstream addresses, handed to onUpstreamTransaction in order
+    const upstreamTransactions = [];
+
     for (const tx of block.tx) {
       const txid = tx.txid || tx.hash;
       let isTaintSpreading = false;
       let minDegree = Infinity;
+      // Addresses of the tainted inputs, the outputs inherit their origins
+      const inputAddresses = new Set();
+      let spendsBlockTaint = false;
+
+      for (const model of valueModels) {
+        const blockRecords = blockValueTaint.get(model);
+        const taintedOutputs = await taintAccounting.computeTransactionTaint(model, tx, {
+          db: reader,
+          outpoints: taint,
+          blockRecords,
+          resolveOutputValue: (prevTxid, vout) => this.getOutputValue(prevTxid, vout),
+        });
+
+        for (const { index, outpoint, key, value, tainted } of taintedOutputs) {
+          batch.put(key, { value, tainted });
+          blockWrites.set(key, { value, tainted });
+          blockRecords.set(outpoint, { value, tainted });
+
+          const address = this.getAddressFromScript(tx.vout[index].scriptPubKey);
+          if (address && onValueTaint) {
+            valueTaintUpdates.push([model, address, value, tainted]);
+          }
+        }
+      }
+
+      for (const set of customSets) {
+        const blockRecords = blockSeedSetTaint.get(set.name);
+        const taintedOutputs = await seedSets.computeTransactionTaint(set, tx, {
+          db: reader,
+          blockRecords,
+          getAddress: (scriptPubKey) => this.getAddressFromScript(scriptPubKey),
+        });
+
+        for (const { outpoint, key, degree, address } of taintedOutputs) {
+          batch.put(key, degree);
+          blockWrites.set(key, degree);
+          blockRecords.set(outpoint, degree);
+
+          if (address && onSeedSetTaint) {
+            seedSetUpdates.push([set.name, address, degree, txid]);
+          }
+        }
+      }
 
       // 1. Check if any input spends a tainted output
-      for (const vin of tx.vin) {
+      for (const [inputIndex, vin] of tx.vin.entries()) {
         if (vin.coinbase) continue;
         const outpoint = `${vin.txid}:${vin.vout}`;
 
@@ -402,18 +447,29 @@ ${error.message}
         if (blockTaintedOutpoints.has(outpoint)) {
           const degree = blockTaintedOutpoints.get(outpoint);
           isTaintSpreading = true;
+          spendsBlockTaint = true;
           if (degree < minDegree) {
             minDegree = degree;
           }
+          this.addInputAddress(inputAddresses, vin, await utxoTracker.spend(outpoint, txid));
         } else {
           // Check DB for tainted outpoint
           try {
-            const degree = await db.get(`tainted_out:${outpoint}`);
-            if (degree !== undefined && degree !== null) {
+            const stored = await taint.get(outpoint);
+            const degree = seedSets.outpointDegree(stored);
+            if (degree !== null) {
               isTaintSpreading = true;
               if (degree < minDegree) {
                 minDegree = degree;
               }
+              this.addInputAddress(inputAddresses, vin, await utxoTracker.spend(outpoint, txid));
+            }
+            // Historical spends of Satoshi coinbase outputs go to the event log (no webhook)
+            if (satoshiMovements.isCoinbaseSeed(stored)) {
+              const event = satoshiMovements.createEvent(block, tx, inputIndex, stored, (script) =>
+                this.getAddressFromScript(script)
+              );
+              batch.put(satoshiMovements.eventKey(event, inputIndex), event);
             }
           } catch (e) {
             // Not tainted, continue
@@ -421,27 +477,24 @@ ${error.message}
         }
       }
 
-      // 2. Check if any output goes to a known Satoshi address
-      const outputs = tx.vout
-        .map((vout, index) => ({
-          index,
-          address: this.getAddressFromScript(vout.scriptPubKey),
-          value: vout.value,
-        }))
-        .filter((o) => o.address);
-
-      const goesToSatoshi = outputs.some((o) =>
-        SATOSHI_ADDRESSES.includes(o.address)
-      );
-      if (goesToSatoshi) {
-        isTaintSpreading = true;
-        minDegree = -1; // Use -1 so that currentDegree = 0 (seed)
+      // 2. Payments to Satoshi (or to his funders) make the payers upstream, not tainted
+      if (
+        onUpstreamTransaction &&
+        upstreamTaint.index.findTarget(tx, (scriptPubKey) => this.getAddressFromScript(scriptPubKey))
+      ) {
+        upstreamTransactions.push(tx);
       }
 
       if (isTaintSpreading) {
         const currentDegree = minDegree + 1;
         const formattedTx = this.formatTransaction(tx);
 
+        // The callbacks read the records of the input addresses, which an earlier transaction
+        // of this block may still be writing
+        if (spendsBlockTaint) {
+          await Promise.all(callbackPromises);
+        }
+
         // Process ALL outputs, not just those with addresses
         // This is critical: outputs without addresses still need to be marked as tainted
         for (let index = 0; index < tx.vout.length; index++) {
@@ -453,8 +506,8 @@ ${error.message}
 
           if (!alreadyTainted) {
             try {
-              const degree = await db.get(`tainted_out:${outpoint}`);
-              if (degree !== undefined && degree !== null) {
+              const stored = await taint.get(outpoint);
+              if (stored !== undefined && stored !== null) {
                 alreadyTainted = true;
               } else {
                 alreadyTainted = false;
@@ -469,13 +522,17 @@ ${error.message}
             // Try to get address from this output
             const address = this.getAddressFromScript(vout.scriptPubKey);
 
-            // Store only the degree (saves massive amounts of space)
-            batch.put(`tainted_out:${outpoint}`, currentDegree);
-            batchCount++;
+            // Store only the degree (one byte for degrees below 8)
+            blockBatch.outpoints.put(outpoint, currentDegree);
+            outpointWrites.set(outpoint, { degree: currentDegree });
 
             // Also add to block map for intra-block lookups
             blockTaintedOutpoints.set(outpoint, currentDegree);
 
+            if (address) {
+              await utxoTracker.add(outpoint, address, Math.round(vout.value * 100000000), currentDegree);
+            }
+
             // Only trigger callback if we have an address
             if (address && onTransactionFound) {
               callbackPromises.push(
@@ -483,7 +540,8 @@ ${error.message}
                   address,
                   formattedTx,
                   currentDegree,
-                  null // sourceAddress not tracked to save space
+                  null, // sourceAddress not tracked to save space
+                  [...inputAddresses]
                 )
               );
             }
@@ -492,15 +550,30 @@ ${error.message}
       }
     }
 
-    // Write all tainted outputs in one batch operation
-    if (batchCount > 0) {
-      await batch.write();
-    }
-
     // Execute all callbacks in parallel
     if (callbackPromises.length > 0) {
       await Promise.all(callbackPromises);
     }
+
+    for (const update of valueTaintUpdates) {
+      await onValueTaint(...update);
+    }
+
+    for (const update of seedSetUpdates) {
+      await onSeedSetTaint(...update);
+    }
+
+    for (const tx of upstreamTransactions) {
+      await onUpstreamTransaction(tx);
+    }
+
+    // Write all tainted outputs in one batch operation
+    await blockBatch.write();
+    upstreamTaint.index.commit();
+    // Only after the write: blocks prepared from now on read these keys from the DB
+    if (prepared) {
+      this.blockWorkerPool.commit(prepared, blockWrites, outpointWrites);
+    }
   }
 
   // Helper method to format results consistently
@@ -515,30 +588,6 @@ ${error.message}
         );
   }
 
-  async getAddressScanProgress(address) {
-    try {
-      const info = await this.getBlockchainInfo();
-      const currentHeight = info.blocks;
-
-      try {
-        const lastProcessed = await dbService.getLastProcessedBlock(address);
-        return {
-          lastProcessed,
-          currentHeight,
-          progress: (lastProcessed / currentHeight) * 100,
-        };
-      } catch (err) {
-        return {
-          lastProcessed: 0,
-          currentHeight,
-          progress: 0,
-        };
-      }
-    } catch (error) {
-      throw new Error(`Unable to get scan progress: ${error.message}`);
-    }
-  }
-
   // Format transaction to match our expected structure
   formatTransaction(tx) {
     const txid = tx.txid || tx.hash;
@@ -625,6 +674,20 @@ ${error.message}
     }
   }
 
+  // Value of a single transaction output in satoshis (over RPC this requires txindex)
+  async getOutputValue(txid, vout) {
+    const output = await chainSource().getPrevout(txid, vout);
+    if (!output) {
+      throw new Error(`Output ${txid}:${vout} not found`);
+    }
+    return Math.round(output.value * 100000000);
+  }
+
+  async getOutputAddress(txid, vout) {
+    const output = await chainSource().getPrevout(txid, vout);
+    return output ? this.getAddressFromScript(output.scriptPubKey) : null;
+  }
+
   async getRawMemPool() {
     return this.call("getrawmempool");
   }
@@ -649,27 +712,83 @@ ${error.message}
     }
   }
 
+  /**
+   * Sends several calls as one JSON-RPC batch request
+   * @param {Array<[string, Array]>} requests - [method, params] pairs
+   * @returns {Promise<Array>} Results in request order; throws if any call failed
+   */
+  async callBatch(requests, client = this.client) {
+    if (requests.length === 0) return [];
+
+    try {
+      const response = await client.post(
+        "/",
+        requests.map(([method, params = []], id) => ({ jsonrpc: "1.0", id, method, params }))
+      );
+
+      // Bitcoin Core may answer batch entries in any order
+      const results = new Array(requests.length);
+      for (const entry of response.data) {
+        if (entry.error) {
+          throw new Error(`RPC Error: ${entry.error.message}`);
+        }
+        results[entry.id] = entry.result;
+      }
+      return results;
+    } catch (error) {
+      logger.error(`Bitcoin RPC batch error (${requests[0][0]} x${requests.length}):`, error.message);
+      throw error;
+    }
+  }
+
+  // Full blocks at several heights with two batch requests: hashes, then blocks
+  async getBlocksByHeight(heights, verbosity = 2) {
+    const hashes = await this.callBatch(heights.map((height) => ["getblockhash", [height]]));
+    return this.callBatch(hashes.map((hash) => ["getblock", [hash, verbosity]]));
+  }
+
+  /**
+   * Prefetch pipeline over block heights, reading block files when BITCOIN_BLOCKS_DIR is set
+   * and the chain source otherwise. With a worker pool, the pipeline yields prepared blocks
+   * ({ block, values, snapshot }) instead of blocks; over RPC they are fetched serialized.
+   */
+  createBlockPrefetcher({ useBlockFiles = false, workerPool = null } = {}) {
+    const source = chainSource();
+    let fetchBlocks;
+    if (workerPool && useBlockFiles) {
+      fetchBlocks = (heights) =>
+        Promise.all(heights.map((height) => workerPool.prepare(blockFileReader.getRawBlock(height))));
+    } else if (workerPool && source.name === "rpc") {
+      fetchBlocks = async (heights) => {
+        const raw = await this.getBlocksByHeight(heights, 0);
+        return Promise.all(
+          raw.map((hex, i) => workerPool.prepare({ data: Buffer.from(hex, "hex"), height: heights[i] }))
+        );
+      };
+    } else if (workerPool) {
+      fetchBlocks = async (heights) =>
+        Promise.all((await source.getBlocks(heights)).map((block) => workerPool.prepare({ block })));
+    } else if (useBlockFiles) {
+      fetchBlocks = (heights) => Promise.all(heights.map((height) => blockFileReader.getBlock(height)));
+    } else {
+      fetchBlocks = (heights) => source.getBlocks(heights);
+    }
+
+    return new BlockPrefetcher(fetchBlocks, {
+      depth: this.config.prefetchBlocks,
+      batchSize: this.config.rpcBatchBlocks,
+      maxInFlight: this.config.maxParallelRequests,
+      memoryThreshold: this.config.memoryThreshold,
+    });
+  }
+
   async getTransaction(txid) {
     try {
-      // First try getrawtransaction
-      const tx = await this.call("getrawtransaction", [txid, true]);
+      const tx = await chainSource().getTransaction(txid);
       return this.formatTransaction(tx);
     } catch (error) {
-      // If getrawtransaction fails, try gettransaction as fallback
-      try {
-        const tx = await this.call("gettransaction", [txid, true]);
-        return this.formatTransaction({
-          ...tx,
-          txid: tx.txid || txid,
-          vin: tx.vin || [],
-          vout: tx.vout || [],
-        });
-      } catch (fallbackError) {
-        logger.error("Failed to get transaction:", fallbackError);
-        throw new Error(
-          "Unable to fetch transaction. Make sure -txindex is enabled or the transaction is in the wallet."
-        );
-      }
+      logger.error("Failed to get transaction:", error.message);
+      throw new Error("Unable to fetch transaction. Over RPC, make sure -txindex is enabled.");
     }
   }
 
@@ -688,7 +807,7 @@ ${error.message}
       );
 
       const batchHashes = await Promise.all(
-        batch.map((height) => this.call("getblockhash", [height]))
+        batch.map((height) => chainSource().getBlockHash(height))
       );
       hashes.push(...batchHashes);
     }
@@ -704,68 +823,31 @@ ${error.message}
     this.addressIndex.get(address).add(blockHeight);
   }
 
-  // Add database management methods
+  // Scan sublevel of the store (tainted outpoints, balances, undo journals, scan_progress)
   async openDatabase() {
-    // If already open, return the instance
-    if (this.dbStatus.isOpen && this.dbStatus.instance) {
-      return this.dbStatus.instance;
-    }
-
-    // If another call is already opening the database, wait for it
-    if (this.dbStatus.opening) {
-      return this.dbStatus.opening;
+    try {
+      return await dbService.getScanDb();
+    } catch (err) {
+      throw new Error(`Database failed to open: ${err.message}`);
     }
-
-    // Start opening the database
-    this.dbStatus.opening = (async () => {
-      try {
-        const dbPath = path.join(DB_PATH, "scan_progress");
-        this.dbStatus.instance = new Level(dbPath, {
-          valueEncoding: "json",
-          createIfMissing: true,
-        });
-        await this.dbStatus.instance.open();
-        this.dbStatus.isOpen = true;
-        return this.dbStatus.instance;
-      } catch (err) {
-        // Clean up on error
-        this.dbStatus.instance = null;
-        this.dbStatus.isOpen = false;
-        throw new Error(`Database failed to open: ${err.message}`);
-      } finally {
-        this.dbStatus.opening = null;
-      }
-    })();
-
-    return this.dbStatus.opening;
   }
 
   async closeDatabase() {
-    if (this.dbStatus.isOpen && this.dbStatus.instance) {
-      await this.dbStatus.instance.close();
-      this.dbStatus.isOpen = false;
-      this.dbStatus.instance = null;
-    }
+    await dbService.close();
   }
 
-  async initWorkerPool() {
-    for (let i = 0; i < this.workerPool.size; i++) {
-      const worker = new Worker(
-        path.join(__dirname, "../workers/blockProcessor.js")
-      );
-      this.workerPool.workers.push(worker);
-    }
-  }
-
-  async getAvailableWorker() {
-    const worker = this.workerPool.workers.find(
-      (w) => !this.workerPool.busy.has(w)
-    );
-    if (worker) {
-      this.workerPool.busy.add(worker);
-      return worker;
-    }
-    return null;
+  /**
+   * Worker pool preparing blocks for processBlockTransactions. Every outpoint the scan reads
+   * (poison model taint, value model and custom seed set keys) is pre-read in the workers.
+   * @param {Object} stores - { scan, outpoints } sublevels of the open store, plus the outpoint
+   *   filter to skip untainted outpoints with
+   */
+  createWorkerPool(stores, { size = this.config.workers, dbPath = dbService.dbPath } = {}) {
+    const prefixes = [
+      ...taintAccounting.getEnabledModels().map((model) => taintAccounting.outpointKey(model, "")),
+      ...seedSets.registry.getCustomSets().map((set) => seedSets.outpointKey(set.name, "")),
+    ];
+    return new BlockWorkerPool({ size, stores, dbPath, prefixes });
   }
 
   // Helper function to format time
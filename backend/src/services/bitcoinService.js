@@ -1,33 +1,68 @@
 const dbService = require("./dbService");
+const bitcoinRPC = require("./bitcoinRPC");
+const taintAccounting = require("./taintAccounting");
+const seedSets = require("./seedSets");
+const taintOrigins = require("./taintOrigins");
+const taintedUtxos = require("./taintedUtxos");
+const upstreamTaint = require("./upstreamTaint");
+const mempoolWatcher = require("./mempoolWatcher");
 const logger = require("../utils/logger");
+const network = require("../utils/network");
 
-// Load Satoshi addresses with error handling
-let SATOSHI_ADDRESSES = [];
-let SATOSHI_NOTES = {};
-try {
-  const satoshiData = require("../../data/satoshiAddresses");
-  SATOSHI_ADDRESSES = satoshiData.SATOSHI_ADDRESSES || [];
-  SATOSHI_NOTES = satoshiData.SATOSHI_NOTES || {};
-} catch (err) {
+// Satoshi addresses are the default seed set
+if (network.isMainnet && seedSets.registry.getDefaultSet().addresses.size === 0) {
   // File doesn't exist yet - will be created by initialization
   logger.warn("Note: satoshiAddresses.js not found. Run initialization first.");
 }
 
+// Degree of the address in every additional seed set that reaches it
+async function getSeedSetConnections(db, address) {
+  const connections = {};
+  for (const set of seedSets.registry.getCustomSets()) {
+    const record = await db.get(seedSets.addressKey(set.name, address)).catch(() => null);
+    if (record) {
+      connections[set.name] = {
+        description: set.description,
+        degree: record.degree,
+        txHash: record.txHash,
+      };
+    }
+  }
+  return connections;
+}
+
+// Which way the address is related to Satoshi: received from him (downstream), funded him (upstream)
+function getDirection(isDownstream, upstream) {
+  if (isDownstream && upstream) return "both";
+  if (isDownstream) return "downstream";
+  if (upstream) return "upstream";
+  return "none";
+}
+
 async function checkAddressConnection(address) {
   let db = null;
 
   try {
     db = await dbService.init();
+    const scanDb = await bitcoinRPC.openDatabase();
+    const satoshiSet = seedSets.registry.getDefaultSet();
 
     // Quick check for Satoshi's addresses
-    if (SATOSHI_ADDRESSES.includes(address)) {
+    if (satoshiSet.addresses.has(address)) {
       return {
         isConnected: true,
         isSatoshiAddress: true,
+        direction: "satoshi",
         degree: 0,
-        note: SATOSHI_NOTES[address] || "Known Satoshi address",
+        note: satoshiSet.notes[address] || "Known Satoshi address",
+        origins: taintOrigins.describeOrigins({ origins: [{ address, degree: 0 }] }, satoshiSet.metadata),
+        originsTruncated: false,
+        currentBalance: await taintedUtxos.getBalance(scanDb, address),
         connectionPath: [],
         transactions: [],
+        seedSets: await getSeedSetConnections(db, address),
+        incompleteSeedSets: await seedSets.getIncompleteSets(scanDb),
+        pending: mempoolWatcher.getPendingExposure(address, 0),
       };
     }
 
@@ -39,13 +74,23 @@ async function checkAddressConnection(address) {
       ),
     ]);
 
+    const upstream = upstreamTaint.summarize(
+      await db.get(upstreamTaint.recordKey(address)).catch(() => null)
+    );
+
     if (!taintedInfo) {
       return {
         isConnected: false,
         isSatoshiAddress: false,
+        direction: getDirection(false, upstream),
+        upstream,
         degree: 0,
+        currentBalance: await taintedUtxos.getBalance(scanDb, address),
         connectionPath: [],
         transactions: [],
+        seedSets: await getSeedSetConnections(db, address),
+        incompleteSeedSets: await seedSets.getIncompleteSets(scanDb),
+        pending: mempoolWatcher.getPendingExposure(address),
       };
     }
 
@@ -70,12 +115,35 @@ async function checkAddressConnection(address) {
       })
     );
 
+    // Tainted satoshi amounts for every enabled value-weighted model
+    const accounting = {};
+    for (const model of taintAccounting.getEnabledModels()) {
+      const account = await db
+        .get(taintAccounting.addressKey(model, address))
+        .catch(() => null);
+      accounting[model] = taintAccounting.summarizeAccount(account);
+    }
+    // Top-level amounts come from the haircut model
+    const haircut = accounting.haircut || null;
+
     return {
       isConnected: true,
       isSatoshiAddress: false,
+      direction: getDirection(true, upstream),
+      upstream,
       degree: taintedInfo.degree,
+      taintedAmount: haircut ? haircut.taintedAmount : null,
+      receivedAmount: haircut ? haircut.receivedAmount : null,
+      taintedPercentage: haircut ? haircut.taintedPercentage : null,
+      accounting,
+      origins: taintOrigins.describeOrigins(taintedInfo, satoshiSet.metadata),
+      originsTruncated: Boolean(taintedInfo.originsTruncated),
+      currentBalance: await taintedUtxos.getBalance(scanDb, address),
       connectionPath: taintedInfo.path,
       transactions,
+      seedSets: await getSeedSetConnections(db, address),
+      incompleteSeedSets: await seedSets.getIncompleteSets(scanDb),
+      pending: mempoolWatcher.getPendingExposure(address, taintedInfo.degree),
     };
   } catch (error) {
     logger.error("Database error:", error);
@@ -83,7 +151,61 @@ async function checkAddressConnection(address) {
   }
 }
 
+/**
+ * Summary check of several addresses: the tainted and upstream records of all of them come
+ * from one multi-get, without the transaction details, balances and pending taint of
+ * checkAddressConnection
+ * @param {Array<string>} addresses - Validated addresses
+ * @returns {Promise<Array<Object>>} One result per address, in order
+ */
+async function checkAddressConnections(addresses) {
+  const db = await dbService.init();
+  const satoshiSet = seedSets.registry.getDefaultSet();
+
+  const keys = addresses.flatMap((address) => [`tainted:${address}`, upstreamTaint.recordKey(address)]);
+  const records = keys.length > 0 ? await db.getMany(keys) : [];
+
+  return addresses.map((address, i) => {
+    const taintedInfo = records[2 * i] || null;
+    const upstream = upstreamTaint.summarize(records[2 * i + 1] || null);
+
+    if (satoshiSet.addresses.has(address)) {
+      return {
+        address,
+        isConnected: true,
+        isSatoshiAddress: true,
+        direction: "satoshi",
+        degree: 0,
+        origins: taintOrigins.describeOrigins({ origins: [{ address, degree: 0 }] }, satoshiSet.metadata),
+        originsTruncated: false,
+      };
+    }
+    if (!taintedInfo) {
+      return {
+        address,
+        isConnected: false,
+        isSatoshiAddress: false,
+        direction: getDirection(false, upstream),
+        upstream,
+        degree: 0,
+      };
+    }
+    return {
+      address,
+      isConnected: true,
+      isSatoshiAddress: false,
+      direction: getDirection(true, upstream),
+      upstream,
+      degree: taintedInfo.degree,
+      origins: taintOrigins.describeOrigins(taintedInfo, satoshiSet.metadata),
+      originsTruncated: Boolean(taintedInfo.originsTruncated),
+      txHash: taintedInfo.txHash,
+    };
+  });
+}
+
 module.exports = {
   checkAddressConnection,
-  SATOSHI_ADDRESSES,
+  checkAddressConnections,
+  SATOSHI_ADDRESSES: seedSets.registry.getDefaultSet().addressList,
 };
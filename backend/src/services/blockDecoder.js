@@ -0,0 +1,298 @@
+const bitcoin = require("bitcoinjs-lib");
+const logger = require("../utils/logger");
+const network = require("../utils/network");
+
+/**
+ * Raw block decoding shared by the block file reader, the block worker pool and the chain sources
+ *
+ * decodeBlock turns a serialized block (plus, for block files, its undo data) into the
+ * shape of `getblock <hash> 2`, or `getblock <hash> 3` when undo data supplies the spent
+ * outputs; decodeTransaction does the same for a single transaction. addressFromScriptPubKey
+ * is the address derivation used everywhere, including the P2PKH address of P2PK outputs.
+ */
+
+// Internal byte order -> RPC hex
+function toHex(hash) {
+  return Buffer.from(hash).reverse().toString("hex");
+}
+
+class BufferCursor {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  readBytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error("Unexpected end of undo data");
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readCompactSize() {
+    const first = this.readBytes(1)[0];
+    if (first < 0xfd) return first;
+    if (first === 0xfd) return this.readBytes(2).readUInt16LE(0);
+    if (first === 0xfe) return this.readBytes(4).readUInt32LE(0);
+    return Number(this.readBytes(8).readBigUInt64LE(0));
+  }
+
+  // Bitcoin Core's VARINT (MSB base-128 with an offset per continuation byte)
+  readVarInt() {
+    let n = 0;
+    for (;;) {
+      const byte = this.readBytes(1)[0];
+      n = n * 128 + (byte & 0x7f);
+      if (byte & 0x80) {
+        n++;
+      } else {
+        return n;
+      }
+    }
+  }
+}
+
+function decompressAmount(x) {
+  if (x === 0) return 0;
+  x--;
+  let e = x % 10;
+  x = Math.floor(x / 10);
+  let n;
+  if (e < 9) {
+    const d = (x % 9) + 1;
+    x = Math.floor(x / 9);
+    n = x * 10 + d;
+  } else {
+    n = x + 1;
+  }
+  while (e > 0) {
+    n *= 10;
+    e--;
+  }
+  return n;
+}
+
+// Recover the y coordinate of a secp256k1 point (p = 3 mod 4, so y = (x^3 + 7)^((p + 1) / 4))
+const SECP256K1_P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function decompressPubKey(prefix, x) {
+  const xValue = BigInt(`0x${x.toString("hex")}`);
+  let y = modPow((xValue ** 3n + 7n) % SECP256K1_P, (SECP256K1_P + 1n) / 4n, SECP256K1_P);
+  if ((y & 1n) !== BigInt(prefix & 1)) {
+    y = SECP256K1_P - y;
+  }
+  return Buffer.concat([Buffer.from([0x04]), x, Buffer.from(y.toString(16).padStart(64, "0"), "hex")]);
+}
+
+// Script compression used for the coins in undo data
+function readCompressedScript(cursor) {
+  const size = cursor.readVarInt();
+  switch (size) {
+    case 0:
+      return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), cursor.readBytes(20), Buffer.from([0x88, 0xac])]);
+    case 1:
+      return Buffer.concat([Buffer.from([0xa9, 0x14]), cursor.readBytes(20), Buffer.from([0x87])]);
+    case 2:
+    case 3:
+      return Buffer.concat([Buffer.from([0x21, size]), cursor.readBytes(32), Buffer.from([0xac])]);
+    case 4:
+    case 5:
+      return Buffer.concat([Buffer.from([0x41]), decompressPubKey(size - 2, cursor.readBytes(32)), Buffer.from([0xac])]);
+    default:
+      return Buffer.from(cursor.readBytes(size - 6));
+  }
+}
+
+/**
+ * Parses CBlockUndo: for every non-coinbase transaction, the coins its inputs spent
+ * @returns {Array<Array<{value: number, height: number, coinbase: boolean, script: Buffer}>>}
+ */
+function parseBlockUndo(buffer) {
+  const cursor = new BufferCursor(buffer);
+  const txUndos = [];
+  const txCount = cursor.readCompactSize();
+  for (let i = 0; i < txCount; i++) {
+    const coins = [];
+    const coinCount = cursor.readCompactSize();
+    for (let j = 0; j < coinCount; j++) {
+      const code = cursor.readVarInt();
+      const height = Math.floor(code / 2);
+      if (height > 0) {
+        cursor.readVarInt(); // Legacy transaction version, unused
+      }
+      const value = decompressAmount(cursor.readVarInt());
+      const script = readCompressedScript(cursor);
+      coins.push({ value, height, coinbase: code % 2 === 1, script });
+    }
+    txUndos.push(coins);
+  }
+  return txUndos;
+}
+
+function describeScript(script) {
+  const hex = script.toString("hex");
+  const scriptPubKey = { hex, type: "nonstandard" };
+
+  // P2PK has no address of its own, addressFromScriptPubKey derives the P2PKH address from asm
+  if ((script.length === 35 || script.length === 67) && script[0] === script.length - 2 && script[script.length - 1] === 0xac) {
+    scriptPubKey.type = "pubkey";
+    scriptPubKey.asm = `${script.subarray(1, script.length - 1).toString("hex")} OP_CHECKSIG`;
+    return scriptPubKey;
+  }
+  if (script[0] === 0x6a) {
+    scriptPubKey.type = "nulldata";
+    return scriptPubKey;
+  }
+
+  try {
+    scriptPubKey.address = bitcoin.address.fromOutputScript(script, network.params);
+    if (script.length === 25) scriptPubKey.type = "pubkeyhash";
+    else if (script.length === 23) scriptPubKey.type = "scripthash";
+    else if (script[0] === 0x00 && script.length === 22) scriptPubKey.type = "witness_v0_keyhash";
+    else if (script[0] === 0x00) scriptPubKey.type = "witness_v0_scripthash";
+    else if (script[0] === 0x51) scriptPubKey.type = "witness_v1_taproot";
+    else scriptPubKey.type = "witness_unknown";
+  } catch (err) {
+    // Not a standard output script
+  }
+  return scriptPubKey;
+}
+
+/**
+ * Decodes a serialized block
+ * @param {Buffer} data - Serialized block
+ * @param {Object} options - { height, undos } undos are candidate undo records (block files only)
+ * @returns {Object} Block in the shape of `getblock <hash> 2`, with prevout on inputs when undo data fits
+ */
+function decodeBlock(data, { height, undos = null }) {
+  const block = bitcoin.Block.fromBuffer(Buffer.from(data));
+  const hash = block.getId();
+
+  // Spent coins per input; several candidates exist when a stale sibling's undo matched too
+  let txUndos = null;
+  for (const undo of undos || []) {
+    const parsed = parseBlockUndo(Buffer.from(undo));
+    const fits =
+      parsed.length === block.transactions.length - 1 &&
+      parsed.every((coins, i) => coins.length === block.transactions[i + 1].ins.length);
+    if (fits) {
+      txUndos = parsed;
+      break;
+    }
+  }
+  if (undos && height > 0 && !txUndos && block.transactions.length > 1) {
+    logger.warn(`[Block Files] No undo data for block ${height} (${hash}), inputs have no prevout`);
+  }
+
+  return {
+    hash,
+    height,
+    previousblockhash: height > 0 ? toHex(block.prevHash) : undefined,
+    time: block.timestamp,
+    tx: block.transactions.map((tx, txIndex) =>
+      transactionToJson(tx, txIndex === 0, txUndos ? txUndos[txIndex - 1] : null)
+    ),
+  };
+}
+
+// bitcoinjs transaction -> `getrawtransaction <txid> true` shape
+function transactionToJson(tx, isCoinbase, coins = null) {
+  return {
+    txid: tx.getId(),
+    hash: toHex(tx.getHash(true)),
+    vin: tx.ins.map((input, inputIndex) => {
+      if (isCoinbase) {
+        return { coinbase: Buffer.from(input.script).toString("hex"), sequence: input.sequence };
+      }
+      const vin = { txid: toHex(input.hash), vout: input.index, sequence: input.sequence };
+      const coin = coins ? coins[inputIndex] : null;
+      if (coin) {
+        vin.prevout = {
+          generated: coin.coinbase,
+          height: coin.height,
+          value: coin.value / 100000000,
+          scriptPubKey: describeScript(coin.script),
+        };
+      }
+      return vin;
+    }),
+    vout: tx.outs.map((output, n) => ({
+      value: Number(output.value) / 100000000,
+      n,
+      scriptPubKey: describeScript(Buffer.from(output.script)),
+    })),
+  };
+}
+
+/**
+ * Decodes a serialized transaction, without prevout on its inputs
+ */
+function decodeTransaction(data) {
+  const tx = bitcoin.Transaction.fromBuffer(Buffer.from(data));
+  return transactionToJson(tx, tx.isCoinbase());
+}
+
+/**
+ * Address of an output script as returned by RPC or decodeBlock
+ * @param {Map} [cache] - pubkey hex -> address, for repeated P2PK keys
+ */
+function addressFromScriptPubKey(scriptPubKey, cache = null) {
+  if (!scriptPubKey) return null;
+
+  // Case 1: Standard address field (P2PKH, P2SH, Bech32)
+  if (scriptPubKey.address) return scriptPubKey.address;
+  if (scriptPubKey.addresses && scriptPubKey.addresses.length > 0)
+    return scriptPubKey.addresses[0];
+
+  // Case 2: P2PK (Pay to Public Key) - Common in early blocks
+  if (scriptPubKey.type === "pubkey" && scriptPubKey.asm) {
+    try {
+      // Extract pubkey from ASM (it's the first part before OP_CHECKSIG)
+      const parts = scriptPubKey.asm.split(" ");
+      if (parts.length > 0) {
+        const pubkeyHex = parts[0];
+
+        // Check cache first
+        if (cache && cache.has(pubkeyHex)) {
+          return cache.get(pubkeyHex);
+        }
+
+        const pubkey = Buffer.from(pubkeyHex, "hex");
+        const { address } = bitcoin.payments.p2pkh({ pubkey, network: network.params });
+
+        // Cache the result
+        if (cache) {
+          if (cache.size > 10000) cache.clear();
+          cache.set(pubkeyHex, address);
+        }
+
+        return address;
+      }
+    } catch (e) {
+      // Ignore conversion errors
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  toHex,
+  parseBlockUndo,
+  describeScript,
+  decodeBlock,
+  decodeTransaction,
+  addressFromScriptPubKey,
+};
@@ -0,0 +1,282 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const network = require("../utils/network");
+const { toHex, decodeBlock } = require("./blockDecoder");
+
+/**
+ * Reads blocks straight from Bitcoin Core's blocks directory instead of JSON-RPC
+ *
+ * blk*.dat files hold [magic][size][block] records in download order, rev*.dat files
+ * hold [magic][size][undo data][checksum] records with the spent outputs of each block.
+ * Since Bitcoin Core 28 both are XORed with the 8 byte key in xor.dat.
+ *
+ * open() reads every block header once and picks the chain with the most work; getBlock(height)
+ * then returns blocks in chain order, shaped like `getblock <hash> 3` (inputs carry prevout).
+ */
+
+const HEADER_SIZE = 80;
+const RECORD_HEADER_SIZE = 8; // magic + size
+const UNDO_CHECKSUM_SIZE = 32; // Follows each undo record, not counted in its size
+const MAX_OPEN_UNDO_FILES = 4;
+const UNDO_LOOKBACK = 16; // Blocks before the first unmatched one that an undo record may still belong to
+
+function sha256d(...buffers) {
+  const first = crypto.createHash("sha256");
+  buffers.forEach((buffer) => first.update(buffer));
+  return crypto.createHash("sha256").update(first.digest()).digest();
+}
+
+// Work represented by the compact difficulty target of a header
+function blockWork(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  const target = exponent <= 3 ? mantissa >> BigInt(8 * (3 - exponent)) : mantissa << BigInt(8 * (exponent - 3));
+  return target > 0n ? (1n << 256n) / (target + 1n) : 0n;
+}
+
+class BlockFileReader {
+  constructor() {
+    this.index = null; // hash -> { file, offset, size, prev, height, work }
+    this.chain = []; // height -> hash
+    this.xorKey = null;
+    this.magic = null;
+    this.undoIndexes = new Map(); // file number -> Map(block hash -> [{ offset, size }])
+    this.fds = new Map(); // file name -> fd
+
+    // Configuration from environment
+    this.config = {
+      blocksDir: process.env.BITCOIN_BLOCKS_DIR || null, // e.g. ~/.bitcoin/blocks
+    };
+  }
+
+  isEnabled() {
+    return Boolean(this.config.blocksDir);
+  }
+
+  fd(name) {
+    if (!this.fds.has(name)) {
+      this.fds.set(name, fs.openSync(path.join(this.config.blocksDir, name), "r"));
+    }
+    return this.fds.get(name);
+  }
+
+  // Read and de-obfuscate a range of a block or undo file
+  readAt(name, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(this.fd(name), buffer, 0, length, offset);
+    if (this.xorKey) {
+      for (let i = 0; i < read; i++) {
+        buffer[i] ^= this.xorKey[(offset + i) % this.xorKey.length];
+      }
+    }
+    return buffer.subarray(0, read);
+  }
+
+  // Iterate the [magic][size][payload][trailer] records of a file
+  *records(name, trailer = 0) {
+    const fileSize = fs.fstatSync(this.fd(name)).size;
+    let offset = 0;
+    while (offset + RECORD_HEADER_SIZE <= fileSize) {
+      const header = this.readAt(name, offset, RECORD_HEADER_SIZE);
+      const magic = header.readUInt32LE(0);
+      if (magic === 0) {
+        break; // Preallocated space at the end of the file
+      }
+      if (this.magic === null) {
+        network.checkMagic(magic);
+        this.magic = magic;
+      } else if (magic !== this.magic) {
+        throw new Error(`Unexpected network magic in ${name} at offset ${offset}`);
+      }
+      const size = header.readUInt32LE(4);
+      yield { offset: offset + RECORD_HEADER_SIZE, size };
+      offset += RECORD_HEADER_SIZE + size + trailer;
+    }
+  }
+
+  listFiles(prefix) {
+    return fs
+      .readdirSync(this.config.blocksDir)
+      .filter((name) => new RegExp(`^${prefix}\\d{5}\\.dat$`).test(name))
+      .sort();
+  }
+
+  /**
+   * Index every block header and select the chain with the most work
+   */
+  async open() {
+    if (!this.isEnabled()) {
+      throw new Error("BITCOIN_BLOCKS_DIR is not set");
+    }
+
+    const xorPath = path.join(this.config.blocksDir, "xor.dat");
+    if (fs.existsSync(xorPath)) {
+      const key = fs.readFileSync(xorPath);
+      this.xorKey = key.some((byte) => byte !== 0) ? key : null;
+    }
+
+    const startTime = Date.now();
+    this.index = new Map();
+    for (const name of this.listFiles("blk")) {
+      const file = parseInt(name.slice(3, 8), 10);
+      for (const { offset, size } of this.records(name)) {
+        const header = this.readAt(name, offset, HEADER_SIZE);
+        this.index.set(toHex(sha256d(header)), {
+          file,
+          offset,
+          size,
+          prev: toHex(header.subarray(4, 36)),
+          bits: header.readUInt32LE(72),
+        });
+      }
+    }
+
+    this.selectBestChain();
+    logger.info(
+      `[Block Files] Indexed ${this.index.size.toLocaleString()} blocks, best chain height ${this.getTipHeight()} ` +
+        `(${((Date.now() - startTime) / 1000).toFixed(1)}s${this.xorKey ? ", obfuscated" : ""})`
+    );
+  }
+
+  selectBestChain() {
+    const genesisPrev = "0".repeat(64);
+    const children = new Map();
+    let genesis = null;
+    for (const [hash, entry] of this.index) {
+      if (entry.prev === genesisPrev) {
+        genesis = hash;
+        continue;
+      }
+      if (!children.has(entry.prev)) children.set(entry.prev, []);
+      children.get(entry.prev).push(hash);
+    }
+    if (!genesis) {
+      throw new Error("Genesis block not found in block files");
+    }
+
+    // Walk down from genesis accumulating work; headers without a known parent are ignored
+    let tip = genesis;
+    const root = this.index.get(genesis);
+    root.height = 0;
+    root.work = blockWork(root.bits);
+    const stack = [genesis];
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      const entry = this.index.get(hash);
+      if (entry.work > this.index.get(tip).work) {
+        tip = hash;
+      }
+      for (const child of children.get(hash) || []) {
+        const childEntry = this.index.get(child);
+        childEntry.height = entry.height + 1;
+        childEntry.work = entry.work + blockWork(childEntry.bits);
+        stack.push(child);
+      }
+    }
+
+    this.chain = new Array(this.index.get(tip).height + 1);
+    for (let hash = tip; hash !== genesisPrev; hash = this.index.get(hash).prev) {
+      this.chain[this.index.get(hash).height] = hash;
+    }
+  }
+
+  getTipHeight() {
+    return this.chain.length - 1;
+  }
+
+  getBlockHash(height) {
+    const hash = this.chain[height];
+    if (!hash) {
+      throw new Error(`Block height ${height} out of range`);
+    }
+    return hash;
+  }
+
+  /**
+   * Match the undo records of rev<file>.dat to blocks by their checksum,
+   * sha256d(previous block hash || undo data), in chain order.
+   * The checksum only binds the parent, so the undo of a stale sibling can match too;
+   * every match is kept as a candidate and getBlock picks the one that fits the block.
+   */
+  indexUndoFile(file) {
+    if (this.undoIndexes.has(file)) {
+      return this.undoIndexes.get(file);
+    }
+
+    const name = `rev${String(file).padStart(5, "0")}.dat`;
+    const undoIndex = new Map();
+    if (fs.existsSync(path.join(this.config.blocksDir, name))) {
+      const blocks = [];
+      for (const hash of this.chain) {
+        const entry = this.index.get(hash);
+        if (entry.file === file && entry.height > 0) blocks.push({ hash, prev: entry.prev });
+      }
+
+      let next = 0;
+      for (const { offset, size } of this.records(name, UNDO_CHECKSUM_SIZE)) {
+        const data = this.readAt(name, offset, size + UNDO_CHECKSUM_SIZE);
+        const checksum = data.subarray(size);
+        // Undo data is written when blocks are connected, so mostly in chain order;
+        // records of blocks that were later disconnected usually match nothing
+        let matched = null;
+        for (let i = Math.max(0, next - UNDO_LOOKBACK); i < blocks.length; i++) {
+          const prevHash = Buffer.from(blocks[i].prev, "hex").reverse();
+          if (!sha256d(prevHash, data.subarray(0, size)).equals(checksum)) continue;
+          if (matched === null) matched = i;
+          if (!undoIndex.has(blocks[i].hash)) {
+            matched = i;
+            break;
+          }
+        }
+        if (matched !== null) {
+          const hash = blocks[matched].hash;
+          if (!undoIndex.has(hash)) undoIndex.set(hash, []);
+          undoIndex.get(hash).push({ offset, size });
+        }
+        while (next < blocks.length && undoIndex.has(blocks[next].hash)) next++;
+      }
+    }
+
+    if (this.undoIndexes.size >= MAX_OPEN_UNDO_FILES) {
+      this.undoIndexes.delete(this.undoIndexes.keys().next().value);
+    }
+    this.undoIndexes.set(file, undoIndex);
+    return undoIndex;
+  }
+
+  /**
+   * Serialized block at a height of the best chain with its candidate undo records,
+   * for decodeBlock (here or in the block worker pool)
+   */
+  getRawBlock(height) {
+    const hash = this.getBlockHash(height);
+    const entry = this.index.get(hash);
+    const fileNumber = String(entry.file).padStart(5, "0");
+    const data = this.readAt(`blk${fileNumber}.dat`, entry.offset, entry.size);
+    const candidates = height > 0 ? this.indexUndoFile(entry.file).get(hash) || [] : [];
+    const undos = candidates.map(({ offset, size }) => this.readAt(`rev${fileNumber}.dat`, offset, size));
+    return { height, hash, data, undos };
+  }
+
+  /**
+   * Block at a height of the best chain, in the shape of `getblock <hash> 3`
+   */
+  async getBlock(height) {
+    const { data, undos } = this.getRawBlock(height);
+    return decodeBlock(data, { height, undos });
+  }
+
+  close() {
+    for (const fd of this.fds.values()) {
+      fs.closeSync(fd);
+    }
+    this.fds.clear();
+    this.undoIndexes.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new BlockFileReader();
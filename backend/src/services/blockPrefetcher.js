@@ -0,0 +1,81 @@
+const v8 = require("v8");
+const logger = require("../utils/logger");
+
+/**
+ * Bounded block prefetch pipeline
+ *
+ * Downloads upcoming blocks in batches while the current one is being processed, and
+ * yields them strictly in height order. At most `depth` blocks are buffered or in flight
+ * and at most `maxInFlight` batch requests run at once. While V8 heap usage is above
+ * `memoryThreshold` no new batch is started until the buffer has drained, so a slow
+ * consumer never piles up blocks in memory.
+ */
+class BlockPrefetcher {
+  /**
+   * @param {Function} fetchBlocks - async (heights) => blocks, same order as heights
+   * @param {Object} options - { depth, batchSize, maxInFlight, memoryThreshold }
+   */
+  constructor(fetchBlocks, { depth = 16, batchSize = 4, maxInFlight = 4, memoryThreshold = 0.85 } = {}) {
+    this.fetchBlocks = fetchBlocks;
+    this.depth = Math.max(1, depth);
+    this.batchSize = Math.max(1, Math.min(batchSize, this.depth));
+    this.maxInFlight = Math.max(1, maxInFlight);
+    this.memoryThreshold = memoryThreshold;
+    this.stats = { batches: 0, blocks: 0, memoryPauses: 0 };
+  }
+
+  heapUsage() {
+    const { used_heap_size: used, heap_size_limit: limit } = v8.getHeapStatistics();
+    return used / limit;
+  }
+
+  /**
+   * Blocks from start to end (inclusive), in order
+   */
+  async *blocks(start, end) {
+    const pending = []; // [{ heights, promise }] in height order
+    let nextHeight = start;
+    let buffered = 0; // Blocks fetched or being fetched but not yet yielded
+    let pausedForMemory = false;
+
+    const fill = () => {
+      while (nextHeight <= end && pending.length < this.maxInFlight && buffered < this.depth) {
+        // Always keep the next block coming so a full heap cannot stall the pipeline
+        if (pending.length > 0 && this.heapUsage() > this.memoryThreshold) {
+          if (!pausedForMemory) {
+            pausedForMemory = true;
+            this.stats.memoryPauses++;
+            logger.debug(`[Prefetch] Heap above ${this.memoryThreshold * 100}%, pausing block prefetch`);
+          }
+          return;
+        }
+        pausedForMemory = false;
+
+        const count = Math.min(this.batchSize, this.depth - buffered, end - nextHeight + 1);
+        const heights = Array.from({ length: count }, (_, i) => nextHeight + i);
+        const promise = this.fetchBlocks(heights);
+        promise.catch(() => {}); // Surfaced when the batch is awaited in order
+        pending.push({ heights, promise });
+        nextHeight += count;
+        buffered += count;
+        this.stats.batches++;
+      }
+    };
+
+    fill();
+    while (pending.length > 0) {
+      const { heights, promise } = pending.shift();
+      const blocks = await promise;
+      for (let i = 0; i < heights.length; i++) {
+        buffered--;
+        this.stats.blocks++;
+        fill();
+        yield blocks[i];
+        blocks[i] = null; // Let the processed block be collected while the rest of the batch waits
+      }
+      fill();
+    }
+  }
+}
+
+module.exports = { BlockPrefetcher };
@@ -0,0 +1,158 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { prepareBlock } = require("../workers/blockProcessor");
+const logger = require("../utils/logger");
+
+/**
+ * Worker pool for the order-independent part of block processing
+ *
+ * prepare() hands a block to a worker (workers/blockProcessor.js) that decodes it, derives
+ * addresses and reads the stored state of its outpoints. Blocks can be prepared ahead of
+ * the one being committed, so a worker may read before earlier blocks are written. Each
+ * prepared block remembers how many blocks had been committed when it was dispatched, and
+ * reader() / outpointReader() overlay the writes of every block committed since, which gives
+ * the main thread the same view as reading the DB right before the block.
+ *
+ * With size 0 blocks are prepared on the main thread, with the same code.
+ */
+class BlockWorkerPool {
+  /**
+   * @param {Object} options - { size, stores, dbPath, prefixes } stores holds the open scan and
+   *   outpoints sublevels of the store at dbPath, and the outpoint filter the workers share
+   */
+  constructor({ size, stores, dbPath, prefixes }) {
+    this.size = size;
+    this.stores = stores;
+    this.prefixes = prefixes;
+    this.workers = [];
+    this.idle = [];
+    this.queue = []; // Tasks waiting for a worker
+    this.tasks = new Map(); // id -> { resolve, reject, worker }
+    this.nextId = 0;
+
+    this.committed = 0; // Blocks committed through commit()
+    this.overlays = new Map(); // commit number -> { writes, outpointWrites } of that block
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(path.join(__dirname, "../workers/blockProcessor.js"), {
+        workerData: { dbPath, prefixes, filter: stores.filter ? stores.filter.share() : null },
+      });
+      worker.on("message", ({ id, success, result, error }) => this.finish(worker, id, success, result, error));
+      worker.on("error", (error) => this.fail(worker, error));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * @param {Object} task - { block } or { data, height, undos } (serialized block)
+   * @returns {Promise<{block: Object, values: Object, tainted: Object, snapshot: number}>}
+   */
+  async prepare(task) {
+    const snapshot = this.committed;
+    const prepared = this.size === 0 ? await prepareBlock(task, this.stores, this.prefixes) : await this.run(task);
+    return { ...prepared, snapshot };
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const { id, task, resolve, reject } = this.queue.shift();
+      this.tasks.set(id, { resolve, reject, worker });
+      worker.postMessage({ id, task });
+    }
+  }
+
+  finish(worker, id, success, result, error) {
+    const pending = this.tasks.get(id);
+    this.tasks.delete(id);
+    this.idle.push(worker);
+    this.dispatch();
+
+    if (!pending) return;
+    if (success) {
+      pending.resolve(result);
+    } else {
+      pending.reject(new Error(error));
+    }
+  }
+
+  // A crashed worker fails its task and is not reused
+  fail(worker, error) {
+    logger.error("[Worker Pool] Block worker failed:", error.message);
+    for (const [id, pending] of this.tasks) {
+      if (pending.worker === worker) {
+        this.tasks.delete(id);
+        pending.reject(error);
+      }
+    }
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+    if (this.workers.length === 0) {
+      for (const { reject } of this.queue.splice(0)) {
+        reject(new Error("No block workers left"));
+      }
+    }
+  }
+
+  /**
+   * DB view for a prepared block: its pre-read values plus writes committed after it was dispatched.
+   * Keys outside the pre-read prefixes go to the DB.
+   */
+  reader(prepared) {
+    return {
+      get: async (key) => {
+        if (!this.prefixes.some((prefix) => key.startsWith(prefix))) {
+          return this.stores.scan.get(key);
+        }
+        return this.overlay(prepared, "writes", key, prepared.values[key]);
+      },
+    };
+  }
+
+  // Same as reader(), for the poison model taint of an outpoint
+  outpointReader(prepared) {
+    return {
+      get: async (outpoint) => this.overlay(prepared, "outpointWrites", outpoint, prepared.tainted[outpoint]),
+    };
+  }
+
+  overlay(prepared, kind, key, value) {
+    let result = value;
+    for (const [commit, overlay] of this.overlays) {
+      if (commit >= prepared.snapshot && overlay[kind].has(key)) result = overlay[kind].get(key);
+    }
+    return result;
+  }
+
+  /**
+   * Records the pre-read keys a block wrote, after its batch is written
+   * @param {Object} prepared - The committed block
+   * @param {Map} writes - scan key -> value
+   * @param {Map} outpointWrites - outpoint -> taint record
+   */
+  commit(prepared, writes, outpointWrites) {
+    this.overlays.set(this.committed, { writes, outpointWrites });
+    this.committed++;
+
+    // Blocks are prepared in order, so later blocks never need overlays older than this one's snapshot
+    for (const commit of this.overlays.keys()) {
+      if (commit < prepared.snapshot) this.overlays.delete(commit);
+    }
+  }
+
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = { BlockWorkerPool };
@@ -0,0 +1,122 @@
+require("dotenv").config();
+
+/**
+ * Chain source interface
+ *
+ * Everything the sync, the initial scan and the API read from the chain goes through one
+ * of these, selected with CHAIN_SOURCE:
+ *
+ *   rpc       Bitcoin Core JSON-RPC (default, see rpcChainSource.js)
+ *   esplora   Esplora-compatible REST API, e.g. a local electrs/esplora or mempool.space
+ *   electrum  Electrum server; it does not serve full blocks, so it only answers lookups
+ *
+ * Blocks and transactions come back in Bitcoin Core's shapes (`getblock <hash> 2`,
+ * `getrawtransaction <txid> true`), so the taint code does not care which source is used.
+ */
+class ChainSource {
+  constructor(name) {
+    this.name = name;
+    this.servesBlocks = true; // false when getBlock is unavailable
+    this.servesMempool = true; // false when getMempoolTxids is unavailable (Electrum)
+  }
+
+  // Connection check, called once before use
+  async initialize() {}
+
+  /** @returns {Promise<number>} Height of the best chain tip */
+  async getTipHeight() {
+    throw new Error(`${this.name} chain source does not implement getTipHeight`);
+  }
+
+  /** @returns {Promise<string>} Hash of the block at a height of the best chain */
+  async getBlockHash(height) {
+    throw new Error(`${this.name} chain source does not implement getBlockHash`);
+  }
+
+  /** @returns {Promise<Object>} Block in the shape of `getblock <hash> 2` (inputs may carry prevout) */
+  async getBlock(height) {
+    throw new Error(`${this.name} chain source does not implement getBlock`);
+  }
+
+  // Several blocks in height order; sources with batching override this
+  async getBlocks(heights) {
+    return Promise.all(heights.map((height) => this.getBlock(height)));
+  }
+
+  /** @returns {Promise<Object>} Transaction in the shape of `getrawtransaction <txid> true` */
+  async getTransaction(txid) {
+    throw new Error(`${this.name} chain source does not implement getTransaction`);
+  }
+
+  // Several transactions in txid order; sources with batching override this
+  async getTransactions(txids) {
+    return Promise.all(txids.map((txid) => this.getTransaction(txid)));
+  }
+
+  /**
+   * Height of the block holding a transaction
+   * @param {number} [tipHeight] - Current tip, saves a lookup when several transactions are resolved
+   * @returns {Promise<number|null>} null while unconfirmed
+   */
+  async getTransactionHeight(txid, tipHeight = null) {
+    const tx = await this.getTransaction(txid);
+    if (!tx.confirmations) {
+      return null;
+    }
+    return (tipHeight ?? (await this.getTipHeight())) - tx.confirmations + 1;
+  }
+
+  /**
+   * Output spent by an input
+   * @returns {Promise<{value: number, scriptPubKey: Object}|null>} value in BTC, null if the output does not exist
+   */
+  async getPrevout(txid, vout) {
+    const tx = await this.getTransaction(txid);
+    const output = tx.vout[vout];
+    return output ? { value: output.value, scriptPubKey: output.scriptPubKey } : null;
+  }
+
+  /**
+   * Outputs that are in the UTXO set of the current tip
+   * @param {string[]} outpoints - "txid:vout"
+   * @returns {Promise<Array<{value: number, scriptPubKey: Object}|null>>} In outpoint order, value in BTC,
+   *   null for spent outputs
+   */
+  async getUnspentOutputs(outpoints) {
+    throw new Error(`${this.name} chain source does not implement getUnspentOutputs`);
+  }
+
+  /** @returns {Promise<string[]>} Txids of the unconfirmed transactions in the mempool */
+  async getMempoolTxids() {
+    throw new Error(`${this.name} chain source does not implement getMempoolTxids`);
+  }
+}
+
+function createChainSource(type = process.env.CHAIN_SOURCE || "rpc") {
+  switch (type) {
+    case "rpc":
+      return new (require("./rpcChainSource").RpcChainSource)();
+    case "esplora":
+      return new (require("./esploraChainSource").EsploraChainSource)();
+    case "electrum":
+      return new (require("./electrumChainSource").ElectrumChainSource)();
+    default:
+      throw new Error(`Unknown CHAIN_SOURCE "${type}" (expected rpc, esplora or electrum)`);
+  }
+}
+
+let instance = null;
+
+// The configured chain source, created on first use
+function getChainSource() {
+  if (!instance) {
+    instance = createChainSource();
+  }
+  return instance;
+}
+
+module.exports = {
+  ChainSource,
+  createChainSource,
+  getChainSource,
+};
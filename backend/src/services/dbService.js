@@ -1,61 +1,380 @@
 const { Level } = require("level");
+const fs = require("fs");
 const path = require("path");
+const outpointEncoding = require("./outpointEncoding");
+const { OutpointFilter } = require("./outpointFilter");
+const taintIndexes = require("./taintIndexes");
+const { migrations, SCHEMA_VERSION } = require("../migrations");
 const logger = require("../utils/logger");
 
+// Outpoint filter saved on close, inside DB_PATH
+const FILTER_FILE = "outpoints.filter";
+
+/**
+ * One atomic write across the sublevels of the store. `main`, `scan` and `outpoints` take
+ * put/del like a chained batch of that sublevel; nothing is written until write().
+ */
+class StoreBatch {
+  constructor(root, main, scan, outpoints) {
+    this.batch = root.batch();
+    this.hooks = [];
+    this.main = this.view(main);
+    this.scan = this.view(scan);
+    this.outpoints = this.view(outpoints);
+  }
+
+  view(sublevel) {
+    const batch = this.batch;
+    return {
+      put(key, value) {
+        batch.put(key, value, { sublevel });
+        return this;
+      },
+      del(key) {
+        batch.del(key, { sublevel });
+        return this;
+      },
+    };
+  }
+
+  get length() {
+    return this.batch.length;
+  }
+
+  // fn() runs at the start of write() and can still add to the batch
+  beforeWrite(fn) {
+    this.hooks.push(fn);
+  }
+
+  async write() {
+    for (const fn of this.hooks) {
+      await fn();
+    }
+    await this.batch.write();
+  }
+}
+
+/**
+ * The store is a single LevelDB at DB_PATH with four sublevels:
+ *   main      - tainted addresses, tx cache, accounting, seed sets, upstream
+ *   scan      - value model and seed set outpoints, balances, undo journals, scan_progress
+ *   outpoints - poison model tainted outpoints, binary encoded (see outpointEncoding)
+ *   meta      - the schema version (see migrations/)
+ * A block's writes to all of them go through one StoreBatch, so they commit together.
+ *
+ * Lookups of tainted outpoints go through a Bloom filter (see outpointFilter), loaded or
+ * rebuilt on first use. Every write to the outpoints sublevel adds to it, whichever way it
+ * is made, through the root's write event. It is saved on close() together with the
+ * scan_progress it matches and the file is deleted when loaded, so a crash or a write made
+ * without the filter loaded means a rebuild rather than a stale filter.
+ */
 class DatabaseService {
   constructor() {
-    this.db = null;
+    this.root = null;
+    this.db = null; // main sublevel
+    this.scanDb = null; // scan sublevel
+    this.outpointDb = null; // outpoints sublevel
+    this.metaDb = null; // meta sublevel
+    this.appliedMigrations = []; // { version, name, result } of the migrations the last open applied
+    this.opening = null; // Promise to prevent concurrent open attempts
+    this.outpointFilter = null;
+    this.filterLoading = null; // Promise of the filter being loaded or rebuilt
+    this.filterPending = null; // Outpoint keys written while it loads
+    this.filterFileRemoved = false;
+    this.filterStats = { lookups: 0, skipped: 0, falsePositives: 0, source: null };
     // Use environment variable for DB path or fall back to default
     // Note: DB_PATH should point directly to the database directory (e.g., ./data)
-    // The updateSatoshiData.js script stores data directly in DB_PATH
     this.dbPath = process.env.DB_PATH || path.join(__dirname, "../../data");
+
+    // Configuration from environment
+    this.filterConfig = {
+      enabled: process.env.OUTPOINT_FILTER !== "false",
+      falsePositiveRate: parseFloat(process.env.OUTPOINT_FILTER_FP_RATE) || 0.01,
+      minCapacity: parseInt(process.env.OUTPOINT_FILTER_MIN_CAPACITY) || 10000000,
+    };
   }
 
+  /**
+   * Opens the store (applying pending schema migrations first) and returns the main sublevel
+   */
   async init() {
-    if (!this.db) {
-      // Ensure the directory exists
-      const fs = require("fs");
-      if (!fs.existsSync(this.dbPath)) {
-        fs.mkdirSync(this.dbPath, { recursive: true });
-      }
-
-      this.db = new Level(this.dbPath, {
-        valueEncoding: "json",
-        createIfMissing: true,
+    if (this.db) {
+      return this.db;
+    }
+    if (!this.opening) {
+      this.opening = this.open().finally(() => {
+        this.opening = null;
       });
+    }
+    await this.opening;
+    return this.db;
+  }
 
-      // Modern LevelDB opens automatically, just ensure it's open
-      try {
-        await this.db.open();
-      } catch (err) {
-        // If already open, ignore the error
-        if (err.code !== 'LEVEL_DATABASE_NOT_CLOSED') {
-          throw err;
+  async open() {
+    // Ensure the directory exists
+    if (!fs.existsSync(this.dbPath)) {
+      fs.mkdirSync(this.dbPath, { recursive: true });
+    }
+
+    const root = new Level(this.dbPath, {
+      valueEncoding: "json",
+      createIfMissing: true,
+      multithreading: true, // Block workers read the scan sublevel
+    });
+    await root.open();
+
+    try {
+      const main = root.sublevel("main", { valueEncoding: "json" });
+      const scan = root.sublevel("scan", { valueEncoding: "json" });
+      const outpoints = root.sublevel("outpoints", outpointEncoding.sublevelOptions);
+      const meta = root.sublevel("meta", { valueEncoding: "json" });
+      // Before any write, including the migrations
+      const prefix = Buffer.from(outpoints.prefix);
+      root.on("write", (operations) => this.filterWrites(operations, prefix));
+      this.appliedMigrations = await this.migrate({ root, main, scan, outpoints, meta, dbPath: this.dbPath });
+
+      this.root = root;
+      this.scanDb = scan;
+      this.outpointDb = outpoints;
+      this.metaDb = meta;
+      this.db = main;
+    } catch (err) {
+      await root.close().catch(() => {});
+      throw err;
+    }
+
+    logger.info(`Database initialized at: ${this.dbPath}`);
+  }
+
+  async getScanDb() {
+    await this.init();
+    return this.scanDb;
+  }
+
+  // Poison model tainted outpoints: "txid:vout" -> { degree, coinbase, value, blockHeight, address }
+  async getOutpointDb() {
+    await this.init();
+    return this.outpointDb;
+  }
+
+  // Filtered reads of the outpoints sublevel: get() skips the DB when the filter rules the outpoint out
+  async getOutpointReader() {
+    const outpoints = await this.getOutpointDb();
+    const filter = await this.getOutpointFilter();
+    const stats = this.filterStats;
+    return {
+      get: async (outpoint) => {
+        if (!filter) {
+          return outpoints.get(outpoint);
+        }
+        stats.lookups++;
+        if (!filter.mightContain(outpoint)) {
+          stats.skipped++;
+          return undefined;
         }
+        const record = await outpoints.get(outpoint);
+        if (record === undefined) {
+          stats.falsePositives++;
+        }
+        return record;
+      },
+    };
+  }
+
+  /**
+   * The outpoint filter, loaded from DB_PATH or rebuilt on the first call
+   * @returns {Promise<OutpointFilter|null>} null when OUTPOINT_FILTER=false
+   */
+  async getOutpointFilter() {
+    await this.init();
+    if (!this.filterConfig.enabled) {
+      return null;
+    }
+    if (!this.filterLoading) {
+      // Writes from here on are added once the filter is ready
+      this.filterPending = [];
+      this.filterLoading = this.loadOutpointFilter();
+    }
+    return this.filterLoading;
+  }
+
+  async loadOutpointFilter() {
+    const file = path.join(this.dbPath, FILTER_FILE);
+    const token = this.filterToken(await this.scanDb.get("scan_progress"));
+    let filter = null;
+    if (fs.existsSync(file)) {
+      try {
+        filter = OutpointFilter.load(file, token);
+      } catch (error) {
+        logger.warn(`Ignoring the saved outpoint filter: ${error.message}`);
       }
+      // Only close() writes it back, with the state it then covers
+      fs.rmSync(file, { force: true });
+      if (filter && filter.isOverfull()) {
+        logger.info("Saved outpoint filter is over capacity, resizing");
+        filter = null;
+      }
+    }
+    this.filterStats.source = filter ? "disk" : "rebuilt";
+    if (!filter) {
+      filter = await this.rebuildOutpointFilter();
+    }
 
-      logger.info(`Database initialized at: ${this.dbPath}`);
+    for (const key of this.filterPending) {
+      filter.addEncoded(key, 0);
     }
-    return this.db;
+    this.filterPending = null;
+    this.outpointFilter = filter;
+    return filter;
   }
 
-  async close() {
-    if (this.db) {
-      await this.db.close();
-      this.db = null;
+  // Sized for twice the current entry count, so it has room to grow until the next start
+  async rebuildOutpointFilter() {
+    const { falsePositiveRate, minCapacity } = this.filterConfig;
+    logger.info("Building the tainted outpoint filter...");
+    const startTime = Date.now();
+
+    let entries = 0;
+    for await (const key of this.outpointDb.keys({ keyEncoding: "buffer" })) entries++;
+    const filter = OutpointFilter.forCapacity(Math.max(entries * 2, minCapacity), falsePositiveRate);
+    for await (const key of this.outpointDb.keys({ keyEncoding: "buffer" })) {
+      filter.addEncoded(key, 0);
     }
+
+    logger.info(
+      `Outpoint filter built: ${entries.toLocaleString()} outpoints, ` +
+        `${(filter.bits / 8 / 1024 / 1024).toFixed(1)} MB, ${((Date.now() - startTime) / 1000).toFixed(1)}s`
+    );
+    return filter;
   }
 
-  async getLastProcessedBlock(address) {
-    try {
-      return await this.db.get(`lastBlock:${address}`);
-    } catch (err) {
-      return 0;
+  filterWrites(operations, prefix) {
+    for (const op of operations) {
+      if (op.type !== "put" || !Buffer.isBuffer(op.key) || op.key.compare(prefix, 0, prefix.length, 0, prefix.length) !== 0) {
+        continue;
+      }
+      const key = op.key.subarray(prefix.length);
+      if (this.outpointFilter) {
+        this.outpointFilter.addEncoded(key, 0);
+      } else if (this.filterPending) {
+        this.filterPending.push(key);
+      } else if (!this.filterFileRemoved) {
+        // Written without the filter loaded: the saved one no longer covers the store
+        fs.rmSync(path.join(this.dbPath, FILTER_FILE), { force: true });
+        this.filterFileRemoved = true;
+      }
+    }
+  }
+
+  filterToken(progress) {
+    return JSON.stringify(progress ? [progress.lastBlock, progress.lastBlockHash, progress.lastUpdated] : null);
+  }
+
+  getOutpointFilterStatus() {
+    if (!this.outpointFilter) {
+      return { enabled: this.filterConfig.enabled, ready: false };
+    }
+    return {
+      enabled: true,
+      ready: true,
+      ...this.outpointFilter.getStatus(),
+      ...this.filterStats,
+    };
+  }
+
+  batch() {
+    if (!this.root) {
+      throw new Error("Database is not open");
+    }
+    return new StoreBatch(this.root, this.db, this.scanDb, this.outpointDb);
+  }
+
+  /**
+   * Checks the schema version recorded in the store and applies the migrations above it.
+   * A store without a record predates versioning (or is new) and starts at version 0.
+   * @returns {Promise<Array<Object>>} { version, name, result } of each applied migration
+   */
+  async migrate(store) {
+    const record = await store.meta.get("schema");
+    const version = record ? record.version : 0;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`The database at ${this.dbPath} has an invalid schema version: ${JSON.stringify(version)}`);
+    }
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `The database at ${this.dbPath} has schema version ${version}, but this build only knows versions up to ` +
+          `${SCHEMA_VERSION}; run a newer build or restore a backup`
+      );
+    }
+
+    const applied = await this.applyMigrations(store, version);
+    if (applied.length > 0) {
+      logger.info(
+        record
+          ? `Database schema upgraded from version ${version} to ${SCHEMA_VERSION}`
+          : `Database schema version ${SCHEMA_VERSION} recorded`
+      );
+    }
+    return applied;
+  }
+
+  /**
+   * Runs the migrations above `fromVersion` in order, recording each version as it completes
+   * (also used by the snapshot import, for snapshots of an older schema)
+   */
+  async applyMigrations(store, fromVersion) {
+    const applied = [];
+    for (const migration of migrations.filter((m) => m.version > fromVersion)) {
+      const result = await migration.up(store);
+      await this.setSchemaVersion(store, migration.version);
+      applied.push({ version: migration.version, name: migration.name, result });
     }
+    return applied;
+  }
+
+  async setSchemaVersion(store, version) {
+    await store.meta.put("schema", { version, updatedAt: Date.now() });
   }
 
-  async updateLastProcessedBlock(address, blockHeight) {
-    await this.db.put(`lastBlock:${address}`, blockHeight);
+  // The sublevels, as handed to the migrations
+  getStore() {
+    if (!this.root) {
+      throw new Error("Database is not open");
+    }
+    return {
+      root: this.root,
+      main: this.db,
+      scan: this.scanDb,
+      outpoints: this.outpointDb,
+      meta: this.metaDb,
+      dbPath: this.dbPath,
+    };
+  }
+
+  async close() {
+    if (this.root) {
+      const filter = this.outpointFilter;
+      const token = filter ? this.filterToken(await this.scanDb.get("scan_progress")) : null;
+      await this.root.close();
+      this.root = null;
+      this.db = null;
+      this.scanDb = null;
+      this.outpointDb = null;
+      this.metaDb = null;
+      this.outpointFilter = null;
+      this.filterLoading = null;
+      this.filterPending = null;
+      this.filterFileRemoved = false;
+
+      // After the close, so no write can land after the save
+      if (filter) {
+        try {
+          filter.save(path.join(this.dbPath, FILTER_FILE), token);
+        } catch (error) {
+          logger.warn(`Could not save the outpoint filter, it is rebuilt on the next start: ${error.message}`);
+        }
+      }
+    }
   }
 
   async getTaintedInfo(address) {
@@ -71,7 +390,11 @@ class DatabaseService {
   }
 
   async updateTaintedInfo(address, taintedInfo) {
-    await this.db.put(`tainted:${address}`, taintedInfo);
+    const previous = await this.db.get(`tainted:${address}`);
+    const batch = this.db.batch();
+    batch.put(`tainted:${address}`, taintedInfo);
+    await taintIndexes.applyChanges(this.db, batch, [taintIndexes.indexChanges(address, previous, taintedInfo)]);
+    await batch.write();
   }
 
   async getTransaction(txHash) {
@@ -90,17 +413,6 @@ class DatabaseService {
     await this.db.put(`tx:${txHash}`, txData);
   }
 
-  async saveQueueItem(degree, address, data) {
-    await this.db.put(`queue:${degree}:${address}`, data);
-  }
-
-  async getQueueIterator(degree) {
-    return this.db.iterator({
-      gt: `queue:${degree}:`,
-      lt: `queue:${degree}:\xff`,
-    });
-  }
-
   async getDatabaseStatus() {
     try {
       const status = await this.db.get("db:status");
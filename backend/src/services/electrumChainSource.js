@@ -0,0 +1,240 @@
+require("dotenv").config();
+const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
+const { ChainSource } = require("./chainSource");
+const { decodeTransaction, toHex } = require("./blockDecoder");
+const logger = require("../utils/logger");
+const network = require("../utils/network");
+
+/**
+ * Chain source backed by an Electrum server (ELECTRUM_HOST/PORT/TLS)
+ *
+ * Electrum servers answer header and transaction queries but have no block call: a block is
+ * rebuilt from the txids at each position (blockchain.transaction.id_from_pos) and checked
+ * against the header's merkle root, then its transactions are fetched. That costs a request
+ * per transaction, so scanning is far slower than with rpc or esplora; building a database
+ * elsewhere and following the tip here works best. There is no mempool listing.
+ */
+
+function sha256d(buffer) {
+  return crypto.createHash("sha256").update(crypto.createHash("sha256").update(buffer).digest()).digest();
+}
+
+// Merkle root of txids (display hex) in header byte order
+function merkleRoot(txids) {
+  let level = txids.map((txid) => Buffer.from(txid, "hex").reverse());
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(sha256d(Buffer.concat([level[i], level[i + 1] || level[i]])));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+// Electrum indexes outputs by the SHA-256 of their script, in display byte order
+function scriptHash(scriptHex) {
+  return toHex(crypto.createHash("sha256").update(Buffer.from(scriptHex, "hex")).digest());
+}
+
+class ElectrumChainSource extends ChainSource {
+  constructor() {
+    super("electrum");
+    this.servesMempool = false;
+
+    // Configuration from environment
+    this.config = {
+      host: process.env.ELECTRUM_HOST || "localhost",
+      port: parseInt(process.env.ELECTRUM_PORT) || 50001,
+      tls: process.env.ELECTRUM_TLS === "true",
+      timeout: parseInt(process.env.ELECTRUM_TIMEOUT) || 30000,
+      batchSize: 100, // Requests in flight while fetching a block
+    };
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = "";
+    this.nextId = 0;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const { host, port } = this.config;
+      const onConnect = () => {
+        this.socket = socket;
+        this.connecting = null;
+        resolve();
+      };
+      const socket = this.config.tls
+        ? tls.connect({ host, port, servername: host }, onConnect)
+        : net.connect({ host, port }, onConnect);
+
+      socket.setEncoding("utf8");
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("error", (error) => {
+        if (this.connecting) {
+          this.connecting = null;
+          reject(new Error(`Electrum connection to ${host}:${port} failed: ${error.message}`));
+        } else {
+          logger.error("[Electrum] Connection error:", error.message);
+        }
+      });
+      socket.on("close", () => {
+        this.socket = null;
+        this.buffer = "";
+        for (const [id, { reject: rejectRequest, timer }] of this.pending) {
+          clearTimeout(timer);
+          rejectRequest(new Error("Electrum connection closed"));
+          this.pending.delete(id);
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  // Responses are newline-delimited JSON; notifications (no id) are ignored
+  onData(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf("\n")) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        logger.warn("[Electrum] Ignoring malformed message");
+        continue;
+      }
+
+      const request = this.pending.get(message.id);
+      if (!request) continue;
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) {
+        request.reject(new Error(`Electrum error: ${message.error.message || JSON.stringify(message.error)}`));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  async request(method, params = []) {
+    await this.connect();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Electrum request ${method} timed out`));
+      }, this.config.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`);
+    });
+  }
+
+  async initialize() {
+    const [software, protocol] = await this.request("server.version", ["TaintedBySatoshi", "1.4"]);
+    logger.info(`[Electrum] Connected to ${this.config.host}:${this.config.port} (${software}, protocol ${protocol})`);
+    network.checkGenesis(await this.getBlockHash(0));
+  }
+
+  async getTipHeight() {
+    const tip = await this.request("blockchain.headers.subscribe");
+    return tip.height;
+  }
+
+  async getHeader(height) {
+    return Buffer.from(await this.request("blockchain.block.header", [height]), "hex");
+  }
+
+  async getBlockHash(height) {
+    return toHex(sha256d(await this.getHeader(height)));
+  }
+
+  // Positions are requested a window at a time until one is past the end of the block
+  async getBlock(height) {
+    const header = await this.getHeader(height);
+    const txids = [];
+    for (let end = false; !end; ) {
+      const positions = Array.from({ length: this.config.batchSize }, (_, i) => txids.length + i);
+      const results = await Promise.allSettled(
+        positions.map((position) => this.request("blockchain.transaction.id_from_pos", [height, position]))
+      );
+      const found = results.findIndex(({ status }) => status === "rejected");
+      txids.push(...results.slice(0, found === -1 ? results.length : found).map(({ value }) => value));
+      end = found !== -1;
+    }
+
+    // A failure other than the end of the block leaves txids out
+    if (txids.length === 0 || !merkleRoot(txids).equals(header.subarray(36, 68))) {
+      throw new Error(`Electrum transaction ids of block ${height} do not match its merkle root`);
+    }
+
+    const tx = [];
+    for (let i = 0; i < txids.length; i += this.config.batchSize) {
+      tx.push(...(await this.getTransactions(txids.slice(i, i + this.config.batchSize))));
+    }
+    return {
+      hash: toHex(sha256d(header)),
+      height,
+      previousblockhash: height > 0 ? toHex(header.subarray(4, 36)) : undefined,
+      time: header.readUInt32LE(68),
+      tx,
+    };
+  }
+
+  async getTransaction(txid) {
+    return decodeTransaction(Buffer.from(await this.request("blockchain.transaction.get", [txid, false]), "hex"));
+  }
+
+  // Transactions come without confirmations: the height is read from the history of the
+  // script of the first output, which lists the transaction
+  async getTransactionHeight(txid) {
+    const tx = await this.getTransaction(txid);
+    if (tx.vout.length === 0) {
+      return null;
+    }
+    const history = await this.request("blockchain.scripthash.get_history", [scriptHash(tx.vout[0].scriptPubKey.hex)]);
+    const entry = history.find((item) => item.tx_hash === txid);
+    return entry && entry.height > 0 ? entry.height : null; // 0 and -1 are mempool heights
+  }
+
+  // Confirmed outputs listed unspent for their script (Electrum indexes by script hash)
+  async getUnspentOutputs(outpoints) {
+    const transactions = new Map();
+    const outputs = [];
+    for (const outpoint of outpoints) {
+      const [txid, vout] = outpoint.split(":");
+      if (!transactions.has(txid)) {
+        transactions.set(txid, await this.getTransaction(txid));
+      }
+      const output = transactions.get(txid).vout[vout];
+      if (!output) {
+        outputs.push(null);
+        continue;
+      }
+      const unspent = await this.request("blockchain.scripthash.listunspent", [scriptHash(output.scriptPubKey.hex)]);
+      const listed = unspent.some((entry) => entry.tx_hash === txid && entry.tx_pos === Number(vout) && entry.height > 0);
+      outputs.push(listed ? { value: output.value, scriptPubKey: output.scriptPubKey } : null);
+    }
+    return outputs;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = { ElectrumChainSource };
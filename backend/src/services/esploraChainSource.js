@@ -0,0 +1,122 @@
+require("dotenv").config();
+const axios = require("axios");
+const { ChainSource } = require("./chainSource");
+const { decodeBlock, describeScript } = require("./blockDecoder");
+const network = require("../utils/network");
+
+/**
+ * Chain source backed by an Esplora-compatible REST API (ESPLORA_URL)
+ *
+ * Blocks are fetched raw (/block/:hash/raw) and decoded locally, so a block costs two
+ * requests however many transactions it has. Transactions come from /tx/:txid, which
+ * already includes the prevout of every input.
+ */
+
+// Esplora transaction JSON -> `getrawtransaction <txid> true` shape
+function toRpcTransaction(tx) {
+  return {
+    txid: tx.txid,
+    hash: tx.txid,
+    vin: tx.vin.map((vin) => {
+      if (vin.is_coinbase) {
+        return { coinbase: vin.scriptsig, sequence: vin.sequence };
+      }
+      const input = { txid: vin.txid, vout: vin.vout, sequence: vin.sequence };
+      if (vin.prevout) {
+        input.prevout = {
+          value: vin.prevout.value / 100000000,
+          scriptPubKey: describeScript(Buffer.from(vin.prevout.scriptpubkey, "hex")),
+        };
+      }
+      return input;
+    }),
+    vout: tx.vout.map((vout, n) => ({
+      value: vout.value / 100000000,
+      n,
+      scriptPubKey: describeScript(Buffer.from(vout.scriptpubkey, "hex")),
+    })),
+    blockhash: tx.status?.block_hash,
+  };
+}
+
+class EsploraChainSource extends ChainSource {
+  constructor() {
+    super("esplora");
+
+    // No public default: a deployment picks its server (and so its network) explicitly
+    if (!process.env.ESPLORA_URL) {
+      throw new Error("CHAIN_SOURCE=esplora needs ESPLORA_URL");
+    }
+
+    // Configuration from environment
+    this.config = {
+      url: process.env.ESPLORA_URL.replace(/\/$/, ""),
+      timeout: parseInt(process.env.ESPLORA_TIMEOUT) || 30000,
+    };
+
+    this.client = axios.create({ baseURL: this.config.url, timeout: this.config.timeout });
+  }
+
+  async get(path, options = {}) {
+    try {
+      const response = await this.client.get(path, options);
+      return response.data;
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : "";
+      throw new Error(`Esplora request ${path} failed${status}: ${error.message}`);
+    }
+  }
+
+  async initialize() {
+    network.checkGenesis(await this.getBlockHash(0));
+  }
+
+  async getTipHeight() {
+    return parseInt(await this.get("/blocks/tip/height", { responseType: "text" }), 10);
+  }
+
+  async getBlockHash(height) {
+    return String(await this.get(`/block-height/${height}`, { responseType: "text" })).trim();
+  }
+
+  async getBlock(height) {
+    const hash = await this.getBlockHash(height);
+    const raw = await this.get(`/block/${hash}/raw`, { responseType: "arraybuffer" });
+    return decodeBlock(Buffer.from(raw), { height });
+  }
+
+  async getTransaction(txid) {
+    return toRpcTransaction(await this.get(`/tx/${txid}`));
+  }
+
+  async getMempoolTxids() {
+    return this.get("/mempool/txids");
+  }
+
+  async getTransactionHeight(txid) {
+    const status = await this.get(`/tx/${txid}/status`);
+    return status.confirmed ? status.block_height : null;
+  }
+
+  // Outputs with no confirmed spend, read from their transactions
+  async getUnspentOutputs(outpoints) {
+    const transactions = new Map();
+    const outputs = [];
+    for (const outpoint of outpoints) {
+      const [txid, vout] = outpoint.split(":");
+      const outspend = await this.get(`/tx/${txid}/outspend/${vout}`);
+      if (outspend.spent && outspend.status && outspend.status.confirmed) {
+        outputs.push(null);
+        continue;
+      }
+      if (!transactions.has(txid)) {
+        transactions.set(txid, await this.getTransaction(txid));
+      }
+      const output = transactions.get(txid).vout[vout];
+      outputs.push(output ? { value: output.value, scriptPubKey: output.scriptPubKey } : null);
+    }
+    return outputs;
+  }
+}
+
+module.exports = { EsploraChainSource, toRpcTransaction };
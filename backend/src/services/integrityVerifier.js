@@ -0,0 +1,329 @@
+const dbService = require("./dbService");
+const outpointEncoding = require("./outpointEncoding");
+const taintIndexes = require("./taintIndexes");
+const seedSets = require("./seedSets");
+const taintedUtxos = require("./taintedUtxos");
+const network = require("../utils/network");
+const logger = require("../utils/logger");
+
+/**
+ * Integrity checks over the taint records of the store
+ *
+ * Walks every `tainted:<address>` record of the main sublevel (not the other seed sets'
+ * `tainted:<set>:<address>` records) and checks:
+ *   hopTransaction  every path hop's txHash has a `tx:<hash>` record
+ *   hopTo           the hop's `to` address is an output of that transaction
+ *   hopFrom         the hop's `from` address is an input of that transaction
+ *   pathLength      a recorded path has `degree` hops (the initial scan records no path, so
+ *                   an empty path is counted as withoutPath instead)
+ *   backed          a non-seed address (degree > 0) has a tainted outpoint of the
+ *                   transaction that tainted it (its txHash) in the outpoints sublevel
+ *   donorSeed       a degree 0 address is a seed (no txHash), not an output of a payment
+ *                   to Satoshi
+ * then every `tx:<hash>` record:
+ *   orphanTx        at least one output address of the transaction is tainted
+ *   donorTx         the transaction is not a degree 0 payment to Satoshi
+ *
+ * Unbacked addresses and orphan transactions are orphans: nothing in the outpoint state
+ * explains them, so the next block would not have produced them. With repair they are
+ * deleted once the walk is done, addresses with their index keys.
+ *
+ * Databases built before payments to Satoshi were tracked as upstream (upstreamTaint) hold
+ * every output of such a payment as a degree 0 seed. With repair those donor addresses and
+ * transactions are deleted, with the degree 0 outpoints of the transactions and their tainted
+ * UTXO entries. Addresses tainted through them keep their degree; only a rescan recomputes
+ * those, so the report says whether one is needed (remembered in the meta sublevel once
+ * the donor records are gone). The other failures are reported only; the
+ * records they point at cannot be rebuilt from the store.
+ */
+
+const REPORT_FORMAT = "tainted-by-satoshi-integrity-report";
+const REPORT_VERSION = 1;
+const TX_CACHE_SIZE = 10000;
+const REPAIR_BATCH_SIZE = 1000;
+const PROGRESS_INTERVAL = 1000000;
+// Meta sublevel key set by a donor repair; a rebuilt database starts without it
+const RESCAN_KEY = "rescan_required";
+
+const CHECKS = {
+  hopTransaction: "Path hop transaction has a tx: record",
+  hopTo: "Path hop 'to' address is an output of the hop transaction",
+  hopFrom: "Path hop 'from' address is an input of the hop transaction",
+  pathLength: "Recorded path length equals degree",
+  backed: "Non-seed tainted address is backed by a tainted outpoint of its transaction",
+  donorSeed: "Degree 0 address is a seed, not an output of a payment to Satoshi",
+  orphanTx: "tx: record pays at least one tainted address",
+  donorTx: "tx: record is not a degree 0 payment to Satoshi",
+};
+
+class IntegrityVerifier {
+  async openDatabases() {
+    try {
+      const main = await dbService.init();
+      const scan = await dbService.getScanDb();
+      const outpoints = await dbService.getOutpointDb();
+      return { main, scan, outpoints };
+    } catch (error) {
+      if (error.code === "LEVEL_DATABASE_NOT_OPEN" && error.cause?.code === "LEVEL_LOCKED") {
+        throw new Error(`The database at ${dbService.dbPath} is in use; stop the server and update-satoshi-data first`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Runs every check and returns the report (JSON-serializable)
+   * @param {Object} options - { repair, maxSamples } maxSamples caps the failures listed
+   *   per check; the counts are always complete
+   */
+  async verify({ repair = false, maxSamples = 100 } = {}) {
+    const startTime = Date.now();
+    const { main, scan, outpoints } = await this.openDatabases();
+    try {
+      const progress = await scan.get("scan_progress");
+      const schema = await dbService.metaDb.get("schema");
+
+      const checks = Object.fromEntries(
+        Object.entries(CHECKS).map(([name, description]) => [name, { description, failures: 0, samples: [] }])
+      );
+      const fail = (name, sample) => {
+        const check = checks[name];
+        check.failures++;
+        if (check.samples.length < maxSamples) {
+          check.samples.push(sample);
+        }
+      };
+      const counts = { taintedAddresses: 0, seeds: 0, withoutPath: 0, pathHops: 0, transactions: 0 };
+
+      const { orphans: orphanAddresses, donors: donorAddresses } = await this.checkAddresses(main, outpoints, counts, fail);
+      let deletedAddresses = 0;
+      if (repair) {
+        deletedAddresses = await this.deleteAddresses(main, [...orphanAddresses, ...donorAddresses]);
+      }
+
+      // After the address repair, so transactions that only paid deleted addresses show up
+      const { orphans: orphanTransactions, donors: donorTransactions } = await this.checkTransactions(main, counts, fail);
+      let deletedTransactions = 0;
+      let deletedOutpoints = 0;
+      if (repair) {
+        deletedTransactions = await this.deleteKeys(
+          main,
+          [...orphanTransactions, ...donorTransactions].map((hash) => `tx:${hash}`)
+        );
+        const donorTxids = new Set([...donorTransactions, ...donorAddresses.map(({ record }) => record.txHash)]);
+        deletedOutpoints = await this.deleteDonorOutpoints(outpoints, scan, donorTxids);
+      }
+      const donors = donorAddresses.length + donorTransactions.length;
+      if (repair && donors > 0) {
+        await dbService.metaDb.put(RESCAN_KEY, { reason: "donor taint", repairedAt: new Date().toISOString() });
+      }
+      const rescanRequired = donors > 0 || (await dbService.metaDb.get(RESCAN_KEY)) !== undefined;
+
+      const failures = Object.values(checks).reduce((sum, check) => sum + check.failures, 0);
+      return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        database: dbService.dbPath,
+        network: network.name,
+        schemaVersion: schema ? schema.version : null,
+        lastBlock: progress ? progress.lastBlock : null,
+        startedAt: new Date(startTime).toISOString(),
+        durationMs: Date.now() - startTime,
+        ok: failures === 0,
+        failures,
+        counts,
+        checks,
+        repair: repair
+          ? { enabled: true, deletedAddresses, deletedTransactions, deletedOutpoints }
+          : {
+              enabled: false,
+              orphanAddresses: orphanAddresses.length,
+              orphanTransactions: orphanTransactions.length,
+              donorAddresses: donorAddresses.length,
+              donorTransactions: donorTransactions.length,
+            },
+        // Taint that spread from payments to Satoshi is only recomputed by a rescan
+        rescanRequired,
+      };
+    } finally {
+      await dbService.close();
+    }
+  }
+
+  /**
+   * @returns {Promise<{orphans: Array, donors: Array}>} Unbacked and donor addresses, as
+   *   { address, record }
+   */
+  async checkAddresses(main, outpoints, counts, fail) {
+    const txCache = new Map();
+    const getTransaction = async (hash) => {
+      if (txCache.has(hash)) {
+        return txCache.get(hash);
+      }
+      const tx = (await main.get(`tx:${hash}`)) || null;
+      if (txCache.size >= TX_CACHE_SIZE) {
+        txCache.delete(txCache.keys().next().value);
+      }
+      txCache.set(hash, tx);
+      return tx;
+    };
+
+    const orphans = [];
+    const donors = [];
+    for await (const [key, record] of main.iterator({ gte: "tainted:", lt: "tainted;" })) {
+      if (seedSets.isSetRecordKey(key)) continue;
+      const address = key.slice("tainted:".length);
+      counts.taintedAddresses++;
+      if (counts.taintedAddresses % PROGRESS_INTERVAL === 0) {
+        logger.info(`[Verify] Checked ${counts.taintedAddresses.toLocaleString()} tainted addresses...`);
+      }
+
+      const path = Array.isArray(record.path) ? record.path : [];
+      if (path.length === 0 && record.degree > 0) {
+        counts.withoutPath++;
+      } else if (path.length !== record.degree) {
+        fail("pathLength", { address, degree: record.degree, pathLength: path.length });
+      }
+
+      for (const [index, hop] of path.entries()) {
+        counts.pathHops++;
+        const tx = hop.txHash ? await getTransaction(hop.txHash) : null;
+        if (!tx) {
+          fail("hopTransaction", { address, hop: index, txHash: hop.txHash || null });
+          continue;
+        }
+        if (!(tx.outputs || []).some((output) => output.addr === hop.to)) {
+          fail("hopTo", { address, hop: index, txHash: hop.txHash, to: hop.to });
+        }
+        if (!(tx.inputs || []).some((input) => input.prev_out?.addr === hop.from)) {
+          fail("hopFrom", { address, hop: index, txHash: hop.txHash, from: hop.from });
+        }
+      }
+
+      if (record.degree === 0) {
+        counts.seeds++;
+        // Seeds are written without a transaction; the old sync gave payments to Satoshi degree 0
+        if (record.txHash) {
+          fail("donorSeed", { address, txHash: record.txHash });
+          donors.push({ address, record });
+        }
+      } else if (!(await this.hasTaintedOutput(outpoints, record.txHash))) {
+        fail("backed", { address, degree: record.degree, txHash: record.txHash || null });
+        orphans.push({ address, record });
+      }
+    }
+    return { orphans, donors };
+  }
+
+  async hasTaintedOutput(outpoints, txid) {
+    if (typeof txid !== "string" || !/^[0-9a-f]{64}$/i.test(txid)) {
+      return false;
+    }
+    const keys = await outpoints.keys({ ...outpointEncoding.txidRange(txid), keyEncoding: "buffer", limit: 1 }).all();
+    return keys.length > 0;
+  }
+
+  /**
+   * @returns {Promise<{orphans: Array<string>, donors: Array<string>}>} Hashes of transactions
+   *   paying no tainted address, and of degree 0 transactions (payments to Satoshi)
+   */
+  async checkTransactions(main, counts, fail) {
+    const orphans = [];
+    const donors = [];
+    for await (const [key, tx] of main.iterator({ gte: "tx:", lt: "tx;" })) {
+      const hash = key.slice("tx:".length);
+      counts.transactions++;
+      if (counts.transactions % PROGRESS_INTERVAL === 0) {
+        logger.info(`[Verify] Checked ${counts.transactions.toLocaleString()} transactions...`);
+      }
+
+      if (tx.degree === 0) {
+        fail("donorTx", { txHash: hash });
+        donors.push(hash);
+        continue;
+      }
+
+      const addresses = [...new Set((tx.outputs || []).map((output) => output.addr).filter(Boolean))];
+      const records = addresses.length > 0 ? await main.getMany(addresses.map((address) => `tainted:${address}`)) : [];
+      if (!records.some((record) => record !== undefined)) {
+        fail("orphanTx", { txHash: hash, outputs: addresses.length });
+        orphans.push(hash);
+      }
+    }
+    return { orphans, donors };
+  }
+
+  // Address records go with their index keys, and the index counters drop accordingly
+  async deleteAddresses(db, orphans) {
+    for (let i = 0; i < orphans.length; i += REPAIR_BATCH_SIZE) {
+      const batch = db.batch();
+      const changes = [];
+      for (const { address, record } of orphans.slice(i, i + REPAIR_BATCH_SIZE)) {
+        batch.del(`tainted:${address}`);
+        changes.push(taintIndexes.indexChanges(address, record, null));
+      }
+      await taintIndexes.applyChanges(db, batch, changes);
+      await batch.write();
+    }
+    if (orphans.length > 0) {
+      logger.info(`[Verify] Deleted ${orphans.length.toLocaleString()} orphan address(es)`);
+    }
+    return orphans.length;
+  }
+
+  // Degree 0 outputs of payments to Satoshi (coinbase seeds are flagged), with their tainted UTXO entries
+  async deleteDonorOutpoints(outpoints, scan, txids) {
+    let deleted = 0;
+    for (const txid of txids) {
+      if (typeof txid !== "string" || !/^[0-9a-f]{64}$/i.test(txid)) continue;
+      const entries = await outpoints.iterator({ ...outpointEncoding.txidRange(txid), keyEncoding: "buffer" }).all();
+      const outputs = entries
+        .filter(([, record]) => record.degree === 0 && !record.coinbase)
+        .map(([key]) => outpointEncoding.decodeKey(key));
+      if (outputs.length === 0) continue;
+
+      const outpointBatch = outpoints.batch();
+      const scanBatch = scan.batch();
+      const balances = new Map();
+      for (const outpoint of outputs) {
+        outpointBatch.del(outpoint);
+        const utxo = await scan.get(taintedUtxos.utxoKey(outpoint));
+        if (utxo) {
+          scanBatch.del(taintedUtxos.utxoKey(outpoint));
+          const balanceKey = taintedUtxos.balanceKey(utxo.address);
+          const balance = balances.get(balanceKey) || (await scan.get(balanceKey)) || { sats: 0, utxos: 0 };
+          balances.set(balanceKey, { sats: balance.sats - utxo.value, utxos: balance.utxos - 1, lastUpdated: Date.now() });
+        }
+      }
+      for (const [key, balance] of balances) {
+        if (balance.utxos > 0) scanBatch.put(key, balance);
+        else scanBatch.del(key);
+      }
+      await outpointBatch.write();
+      await scanBatch.write();
+      deleted += outputs.length;
+    }
+    if (deleted > 0) {
+      logger.info(`[Verify] Deleted ${deleted.toLocaleString()} degree 0 outpoint(s) of payments to Satoshi`);
+    }
+    return deleted;
+  }
+
+  // After the walk: deleting under an open iterator can leave deleted keys on disk
+  async deleteKeys(db, keys) {
+    for (let i = 0; i < keys.length; i += REPAIR_BATCH_SIZE) {
+      const batch = db.batch();
+      for (const key of keys.slice(i, i + REPAIR_BATCH_SIZE)) {
+        batch.del(key);
+      }
+      await batch.write();
+    }
+    if (keys.length > 0) {
+      logger.info(`[Verify] Deleted ${keys.length.toLocaleString()} orphan record(s)`);
+    }
+    return keys.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new IntegrityVerifier();
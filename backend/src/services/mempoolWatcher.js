@@ -0,0 +1,350 @@
+require("dotenv").config();
+const bitcoinRPC = require("./bitcoinRPC");
+const { getChainSource } = require("./chainSource");
+const dbService = require("./dbService");
+const seedSets = require("./seedSets");
+const logger = require("../utils/logger");
+
+/**
+ * Taint preview for unconfirmed transactions
+ *
+ * Polls the chain source's mempool and runs every new transaction through the poison
+ * model: if an input spends a tainted output (outpoints sublevel), or a provisionally tainted output of
+ * another mempool transaction, its outputs would be tainted with degree + 1 once it confirms.
+ * Those outputs and the addresses they pay are kept in memory only, nothing is written to the
+ * databases.
+ *
+ * The background sync calls confirmBlock for every block it commits, which drops the block's
+ * transactions from the overlay (the taint is now in the database). Transactions that leave
+ * the mempool without being mined (replaced, evicted) are dropped once the sync has passed the
+ * tip at which they disappeared, so a mined transaction never vanishes before its block is
+ * processed.
+ *
+ * A transaction found clean keeps the outpoints it spends and is checked again when that
+ * verdict may be stale: after the sync commits more blocks (an input may be tainted by a block
+ * that was not synced yet), or when a mempool transaction it spends is found tainted after it
+ * (the parent arrived in a later poll, as each poll takes at most maxNewTransactions).
+ *
+ * Needs MEMPOOL_WATCH=true and a chain source with a mempool (rpc or esplora).
+ */
+class MempoolWatcher {
+  constructor() {
+    this.isRunning = false;
+    this.isPolling = false;
+    this.pollTimer = null;
+
+    // txid -> { txid, degree, firstSeen, outputs: [{ vout, address, value }] }, or for transactions
+    // without tainted inputs { clean: true, inputs: [outpoint], checkedHeight } (confirmedHeight when checked)
+    this.entries = new Map();
+    // Provisionally tainted outpoint -> degree
+    this.outputs = new Map();
+    // Address -> Set of tainted txids paying it
+    this.addresses = new Map();
+    // txid -> node tip height when it left the mempool
+    this.departed = new Map();
+    // Height of the last block committed by the background sync
+    this.confirmedHeight = -1;
+
+    this.stats = {
+      polls: 0,
+      lastPoll: null,
+      mempoolSize: 0,
+      pendingTransactions: 0,
+      pendingAddresses: 0,
+      errors: 0,
+    };
+
+    // Configuration from environment
+    this.config = {
+      enabled: process.env.MEMPOOL_WATCH === "true",
+      pollInterval: parseInt(process.env.MEMPOOL_POLL_INTERVAL) || 30000,
+      maxNewTransactions: parseInt(process.env.MEMPOOL_MAX_NEW_TRANSACTIONS) || 5000, // Per poll
+      batchSize: 100, // Transactions per chain source batch
+    };
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  start() {
+    if (this.isRunning || !this.isEnabled()) {
+      return;
+    }
+    if (!getChainSource().servesMempool) {
+      logger.warn(`[Mempool] The ${getChainSource().name} chain source has no mempool, mempool preview disabled`);
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`[Mempool] Watching the mempool every ${this.config.pollInterval / 1000}s`);
+    this.schedulePoll(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  schedulePoll(delay = this.config.pollInterval) {
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      await this.poll();
+      if (this.isRunning) {
+        this.schedulePoll();
+      }
+    }, delay);
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const chainSource = getChainSource();
+      const [txids, tipHeight] = await Promise.all([chainSource.getMempoolTxids(), chainSource.getTipHeight()]);
+      const inMempool = new Set(txids);
+      const scanDb = await bitcoinRPC.openDatabase();
+      const outpointDb = await dbService.getOutpointReader();
+      const progress = await scanDb.get("scan_progress");
+      if (progress) {
+        this.confirmedHeight = Math.max(this.confirmedHeight, progress.lastBlock);
+      }
+
+      // Transactions that left the mempool wait for the sync to pass the current tip
+      for (const txid of this.entries.keys()) {
+        if (!inMempool.has(txid) && !this.departed.has(txid)) {
+          this.departed.set(txid, tipHeight);
+        }
+      }
+      for (const txid of inMempool) {
+        this.departed.delete(txid);
+      }
+      this.pruneDeparted();
+
+      const fresh = txids.filter((txid) => !this.entries.has(txid)).slice(0, this.config.maxNewTransactions);
+      const transactions = await this.fetchTransactions(fresh);
+      const tainted = new Set();
+      for (const tx of this.parentsFirst(transactions)) {
+        if (await this.evaluate(tx, outpointDb)) {
+          tainted.add(tx.txid);
+        }
+      }
+      await this.recheckClean(outpointDb, tainted);
+
+      this.stats.polls++;
+      this.stats.lastPoll = new Date().toISOString();
+      this.stats.mempoolSize = txids.length;
+      this.updateCounts();
+    } catch (error) {
+      logger.error("[Mempool] Poll failed:", error.message);
+      this.stats.errors++;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Transactions can leave the mempool between the listing and the lookup; those are skipped
+  async fetchTransactions(txids) {
+    const chainSource = getChainSource();
+    const transactions = [];
+    for (let i = 0; i < txids.length; i += this.config.batchSize) {
+      const batch = txids.slice(i, i + this.config.batchSize);
+      try {
+        transactions.push(...(await chainSource.getTransactions(batch)));
+      } catch (error) {
+        for (const txid of batch) {
+          const tx = await chainSource.getTransaction(txid).catch(() => null);
+          if (tx) transactions.push(tx);
+        }
+      }
+    }
+    return transactions;
+  }
+
+  // Orders transactions so that in-mempool parents are evaluated before their children
+  parentsFirst(transactions) {
+    const byTxid = new Map(transactions.map((tx) => [tx.txid, tx]));
+    const ordered = [];
+    const visited = new Set();
+    const visit = (tx) => {
+      const stack = [[tx, 0]];
+      visited.add(tx.txid);
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const [current, index] = frame;
+        if (index < current.vin.length) {
+          frame[1]++;
+          const parent = byTxid.get(current.vin[index].txid);
+          if (parent && !visited.has(parent.txid)) {
+            visited.add(parent.txid);
+            stack.push([parent, 0]);
+          }
+        } else {
+          ordered.push(current);
+          stack.pop();
+        }
+      }
+    };
+    for (const tx of transactions) {
+      if (!visited.has(tx.txid)) visit(tx);
+    }
+    return ordered;
+  }
+
+  // Lowest degree of the outpoints, provisional or confirmed; null if none is tainted
+  async inputDegree(inputs, outpointDb) {
+    let minDegree = null;
+    for (const outpoint of inputs) {
+      const degree = this.outputs.has(outpoint)
+        ? this.outputs.get(outpoint)
+        : seedSets.outpointDegree(await outpointDb.get(outpoint));
+      if (degree !== null && (minDegree === null || degree < minDegree)) {
+        minDegree = degree;
+      }
+    }
+    return minDegree;
+  }
+
+  // @returns {Promise<boolean>} true if the transaction has tainted inputs
+  async evaluate(tx, outpointDb) {
+    const inputs = tx.vin.filter((vin) => !vin.coinbase).map((vin) => `${vin.txid}:${vin.vout}`);
+    const minDegree = await this.inputDegree(inputs, outpointDb);
+
+    if (minDegree === null) {
+      this.entries.set(tx.txid, { clean: true, inputs, checkedHeight: this.confirmedHeight });
+      return false;
+    }
+
+    const degree = minDegree + 1;
+    const entry = { txid: tx.txid, degree, firstSeen: Date.now(), outputs: [] };
+    for (const [index, vout] of tx.vout.entries()) {
+      const address = bitcoinRPC.getAddressFromScript(vout.scriptPubKey);
+      const value = Math.round(vout.value * 100000000);
+      entry.outputs.push({ vout: index, address, value });
+      this.outputs.set(`${tx.txid}:${index}`, degree);
+      if (address) {
+        if (!this.addresses.has(address)) this.addresses.set(address, new Set());
+        this.addresses.get(address).add(tx.txid);
+      }
+    }
+    this.entries.set(tx.txid, entry);
+    return true;
+  }
+
+  /**
+   * Checks clean entries again when the sync has committed blocks since they were checked,
+   * or when they spend an output of a transaction in `taintedTxids`. Entries that turn out
+   * tainted are fetched and evaluated again, and their children checked in turn.
+   */
+  async recheckClean(outpointDb, taintedTxids) {
+    let parents = taintedTxids;
+    while (true) {
+      const stale = [];
+      for (const [txid, entry] of this.entries) {
+        if (!entry.clean) continue;
+        const spendsTainted = entry.inputs.some((outpoint) => parents.has(outpoint.split(":")[0]));
+        if (!spendsTainted && entry.checkedHeight >= this.confirmedHeight) continue;
+
+        if ((await this.inputDegree(entry.inputs, outpointDb)) === null) {
+          entry.checkedHeight = this.confirmedHeight;
+        } else {
+          stale.push(txid);
+        }
+      }
+      if (stale.length === 0) return;
+
+      // Transactions that left the mempool meanwhile are dropped; the sync covers mined ones
+      stale.forEach((txid) => this.entries.delete(txid));
+      parents = new Set();
+      for (const tx of this.parentsFirst(await this.fetchTransactions(stale))) {
+        if (await this.evaluate(tx, outpointDb)) {
+          parents.add(tx.txid);
+        }
+      }
+    }
+  }
+
+  removeEntry(txid) {
+    const entry = this.entries.get(txid);
+    this.entries.delete(txid);
+    this.departed.delete(txid);
+    if (!entry || entry.clean) return;
+
+    for (const { vout, address } of entry.outputs) {
+      this.outputs.delete(`${txid}:${vout}`);
+      const txids = address && this.addresses.get(address);
+      if (txids) {
+        txids.delete(txid);
+        if (txids.size === 0) this.addresses.delete(address);
+      }
+    }
+  }
+
+  pruneDeparted() {
+    for (const [txid, tipHeight] of this.departed) {
+      if (tipHeight <= this.confirmedHeight) {
+        this.removeEntry(txid);
+      }
+    }
+  }
+
+  /**
+   * Called by the background sync after it commits a block: its transactions are now
+   * tracked in the database, so they leave the overlay
+   */
+  confirmBlock(block) {
+    if (!this.isRunning) return;
+    for (const tx of block.tx) {
+      this.removeEntry(tx.txid || tx.hash);
+    }
+    this.confirmedHeight = Math.max(this.confirmedHeight, block.height);
+    this.pruneDeparted();
+    this.updateCounts();
+  }
+
+  updateCounts() {
+    this.stats.pendingTransactions = Array.from(this.entries.values()).filter((entry) => !entry.clean).length;
+    this.stats.pendingAddresses = this.addresses.size;
+  }
+
+  /**
+   * Unconfirmed transactions that would taint an address, lowest degree first
+   * @param {number|null} currentDegree - Confirmed degree of the address, null if untainted
+   * @returns {Array<{txid, degree, amount, firstSeen, note}>}
+   */
+  getPendingExposure(address, currentDegree = null) {
+    const txids = this.addresses.get(address);
+    if (!txids) return [];
+
+    return Array.from(txids)
+      .map((txid) => {
+        const entry = this.entries.get(txid);
+        const amount = entry.outputs
+          .filter((output) => output.address === address)
+          .reduce((sum, output) => sum + output.value, 0);
+        const note =
+          currentDegree === null || entry.degree < currentDegree
+            ? `Will become degree ${entry.degree} once transaction ${txid} confirms`
+            : `Receives degree ${entry.degree} coins once transaction ${txid} confirms (already degree ${currentDegree})`;
+        return { txid, degree: entry.degree, amount, firstSeen: entry.firstSeen, note };
+      })
+      .sort((a, b) => a.degree - b.degree);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: this.isRunning,
+      pollInterval: this.config.pollInterval,
+      confirmedHeight: this.confirmedHeight,
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MempoolWatcher();
@@ -0,0 +1,161 @@
+/**
+ * Binary encoding of the poison model's tainted outpoints (the `outpoints` sublevel)
+ *
+ * Key:   32-byte txid + varint vout, instead of the 80-odd byte "tainted_out:<txid>:<vout>"
+ * Value: varint (degree << 4 | flags), then the fields the flags announce:
+ *          COINBASE  the output is a Satoshi coinbase seed
+ *          VALUE     varint amount in satoshis
+ *          HEIGHT    varint block height
+ *          ADDRESS   varint length + UTF-8 address
+ *
+ * A propagated output (degree < 8, no extra fields) takes a single byte. Every record
+ * decodes to the same shape, { degree } plus coinbase/value/blockHeight/address when set.
+ * Writers may pass a bare degree.
+ *
+ * The encodings plug into Level, so the sublevel takes and returns "txid:vout" strings
+ * and records like any other.
+ */
+
+const FLAG_COINBASE = 1;
+const FLAG_VALUE = 2;
+const FLAG_HEIGHT = 4;
+const FLAG_ADDRESS = 8;
+const FLAG_BITS = 4;
+
+// Unsigned LEB128, exact up to Number.MAX_SAFE_INTEGER (no 32-bit bitwise operators)
+function writeVarint(bytes, value) {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) + 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+function readVarint(buffer, state) {
+  let value = 0;
+  let factor = 1;
+  for (;;) {
+    if (state.offset >= buffer.length) {
+      throw new Error("Truncated varint");
+    }
+    const byte = buffer[state.offset++];
+    value += (byte & 0x7f) * factor;
+    if (byte < 0x80) {
+      return value;
+    }
+    factor *= 0x80;
+  }
+}
+
+function encodeKey(outpoint) {
+  const separator = outpoint.indexOf(":");
+  const vout = Number(outpoint.slice(separator + 1));
+  if (separator !== 64 || !Number.isInteger(vout) || vout < 0) {
+    throw new Error(`Invalid outpoint: ${outpoint}`);
+  }
+  const bytes = [];
+  writeVarint(bytes, vout);
+  const key = Buffer.allocUnsafe(32 + bytes.length);
+  // Hex decoding stops at the first invalid character
+  if (key.write(outpoint, 0, 32, "hex") !== 32) {
+    throw new Error(`Invalid outpoint: ${outpoint}`);
+  }
+  key.set(bytes, 32);
+  return key;
+}
+
+function decodeKey(buffer) {
+  const key = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  return `${key.toString("hex", 0, 32)}:${readVarint(key, { offset: 32 })}`;
+}
+
+/**
+ * @param {number|Object} record - Degree, or { degree, coinbase, value, blockHeight, address }
+ */
+function encodeValue(record) {
+  const { degree, coinbase, value, blockHeight, address } = typeof record === "number" ? { degree: record } : record;
+  if (!Number.isInteger(degree) || degree < 0) {
+    throw new Error(`Invalid taint degree: ${degree}`);
+  }
+
+  let flags = 0;
+  if (coinbase) flags |= FLAG_COINBASE;
+  if (value !== undefined && value !== null) flags |= FLAG_VALUE;
+  if (blockHeight !== undefined && blockHeight !== null) flags |= FLAG_HEIGHT;
+  if (address) flags |= FLAG_ADDRESS;
+
+  const bytes = [];
+  writeVarint(bytes, degree * (1 << FLAG_BITS) + flags);
+  if (flags & FLAG_VALUE) writeVarint(bytes, value);
+  if (flags & FLAG_HEIGHT) writeVarint(bytes, blockHeight);
+  if (flags & FLAG_ADDRESS) {
+    const text = Buffer.from(address, "utf8");
+    writeVarint(bytes, text.length);
+    bytes.push(...text);
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeValue(buffer) {
+  const bytes = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const state = { offset: 0 };
+  const header = readVarint(bytes, state);
+  const flags = header % (1 << FLAG_BITS);
+  const record = { degree: Math.floor(header / (1 << FLAG_BITS)) };
+
+  if (flags & FLAG_COINBASE) record.coinbase = true;
+  if (flags & FLAG_VALUE) record.value = readVarint(bytes, state);
+  if (flags & FLAG_HEIGHT) record.blockHeight = readVarint(bytes, state);
+  if (flags & FLAG_ADDRESS) {
+    const length = readVarint(bytes, state);
+    record.address = bytes.toString("utf8", state.offset, state.offset + length);
+  }
+  return record;
+}
+
+/**
+ * Key range of every output of a transaction, for iterators of the sublevel with
+ * keyEncoding "buffer" (vouts are varints of at most 8 bytes)
+ */
+function txidRange(txid) {
+  const prefix = Buffer.from(txid, "hex");
+  if (prefix.length !== 32) {
+    throw new Error(`Invalid txid: ${txid}`);
+  }
+  return { gte: prefix, lte: Buffer.concat([prefix, Buffer.alloc(8, 0xff)]) };
+}
+
+/**
+ * Converts a value of the old string-keyed `tainted_out:*` entries: a bare degree, or the
+ * { address, degree: 0, txHash, blockHeight, value } object of a coinbase seed
+ */
+function fromLegacyValue(value) {
+  if (typeof value === "number") {
+    return { degree: value };
+  }
+  return {
+    degree: value.degree,
+    coinbase: true,
+    value: value.value,
+    blockHeight: value.blockHeight,
+    address: value.address || undefined,
+  };
+}
+
+// Options for Level's sublevel(): the sublevel then speaks "txid:vout" keys and records
+const sublevelOptions = {
+  keyEncoding: { name: "outpoint", format: "buffer", encode: encodeKey, decode: decodeKey },
+  valueEncoding: { name: "outpoint-taint", format: "buffer", encode: encodeValue, decode: decodeValue },
+};
+
+module.exports = {
+  LEGACY_PREFIX: "tainted_out:",
+  encodeKey,
+  decodeKey,
+  encodeValue,
+  decodeValue,
+  txidRange,
+  fromLegacyValue,
+  sublevelOptions,
+};
@@ -0,0 +1,180 @@
+const fs = require("fs");
+
+/**
+ * Bloom filter over the poison model's tainted outpoints (the `outpoints` sublevel)
+ *
+ * Most outpoints a block spends or creates are not tainted, so most lookups miss. A lookup
+ * the filter rules out skips the DB; a "maybe" still reads it, so results never change.
+ * Outpoints are only ever added: a rolled back outpoint stays in the filter as a false
+ * positive until the next rebuild.
+ *
+ * The bit array lives in a SharedArrayBuffer, so the block workers can check the filter of
+ * the main thread (the only writer) without a copy. Positions come from the txid, which is
+ * already a uniform hash, mixed with the vout; the "txid:vout" string and the binary key of
+ * outpointEncoding give the same positions.
+ */
+
+const MAX_BITS = 2 ** 32; // 512 MiB
+
+function fmix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+class OutpointFilter {
+  /**
+   * @param {Object} options - { bits, hashes, capacity, count, buffer } buffer is an existing
+   *   SharedArrayBuffer of bits / 8 bytes
+   */
+  constructor({ bits, hashes, capacity, count = 0, buffer = null }) {
+    this.bits = bits;
+    this.hashes = hashes;
+    this.capacity = capacity;
+    this.count = count; // Outpoints added, repeats included
+    this.buffer = buffer || new SharedArrayBuffer(bits / 8);
+    this.array = new Uint8Array(this.buffer);
+  }
+
+  /**
+   * Sized for `capacity` outpoints at the given false positive rate (fewer bits past 512 MiB)
+   */
+  static forCapacity(capacity, falsePositiveRate) {
+    const optimal = Math.ceil((-capacity * Math.log(falsePositiveRate)) / Math.LN2 ** 2);
+    const bits = Math.min(Math.ceil(optimal / 8) * 8, MAX_BITS);
+    const hashes = Math.max(1, Math.round((bits / capacity) * Math.LN2));
+    return new OutpointFilter({ bits, hashes, capacity });
+  }
+
+  // Same filter in a block worker, from share()
+  static fromShared(shared) {
+    return new OutpointFilter(shared);
+  }
+
+  share() {
+    return { bits: this.bits, hashes: this.hashes, capacity: this.capacity, buffer: this.buffer };
+  }
+
+  *positions(high, low, vout) {
+    const a = fmix32(high ^ Math.imul(vout + 1, 0x9e3779b1));
+    const b = (fmix32(low ^ Math.imul(vout + 1, 0x85ebca77)) | 1) >>> 0;
+    for (let i = 0; i < this.hashes; i++) {
+      yield (a + i * b) % this.bits;
+    }
+  }
+
+  // "txid:vout"
+  fromOutpoint(outpoint) {
+    return [parseInt(outpoint.slice(0, 8), 16), parseInt(outpoint.slice(8, 16), 16), Number(outpoint.slice(65))];
+  }
+
+  // Key bytes of outpointEncoding at `offset`: 32-byte txid, then the varint vout
+  fromEncodedKey(key, offset) {
+    let vout = 0;
+    let factor = 1;
+    for (let i = offset + 32; i < key.length; i++) {
+      vout += (key[i] & 0x7f) * factor;
+      if (key[i] < 0x80) break;
+      factor *= 0x80;
+    }
+    return [key.readUInt32BE(offset), key.readUInt32BE(offset + 4), vout];
+  }
+
+  set(high, low, vout) {
+    for (const position of this.positions(high, low, vout)) {
+      this.array[Math.floor(position / 8)] |= 1 << (position % 8);
+    }
+    this.count++;
+  }
+
+  add(outpoint) {
+    this.set(...this.fromOutpoint(outpoint));
+  }
+
+  addEncoded(key, offset = 0) {
+    this.set(...this.fromEncodedKey(key, offset));
+  }
+
+  // false: the outpoint is certainly not tainted; true: it may be
+  mightContain(outpoint) {
+    for (const position of this.positions(...this.fromOutpoint(outpoint))) {
+      if ((this.array[Math.floor(position / 8)] & (1 << (position % 8))) === 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  isOverfull() {
+    return this.count > this.capacity;
+  }
+
+  /**
+   * Writes the filter with a token identifying the store state it covers
+   * (temporary file and rename, so a partial file is never loaded)
+   */
+  save(file, token) {
+    const header = Buffer.from(JSON.stringify({ bits: this.bits, hashes: this.hashes, capacity: this.capacity, count: this.count, token }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+
+    const tmpFile = `${file}.tmp`;
+    const fd = fs.openSync(tmpFile, "w");
+    try {
+      fs.writeSync(fd, length);
+      fs.writeSync(fd, header);
+      let offset = 0;
+      while (offset < this.array.length) {
+        offset += fs.writeSync(fd, this.array, offset, this.array.length - offset);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * @returns {OutpointFilter|null} The saved filter, null if it was saved for another token
+   */
+  static load(file, token) {
+    const fd = fs.openSync(file, "r");
+    try {
+      const length = Buffer.alloc(4);
+      fs.readSync(fd, length, 0, 4, 0);
+      const header = Buffer.alloc(length.readUInt32BE());
+      fs.readSync(fd, header, 0, header.length, 4);
+      const { bits, hashes, capacity, count, token: savedToken } = JSON.parse(header);
+      if (savedToken !== token) {
+        return null;
+      }
+
+      const filter = new OutpointFilter({ bits, hashes, capacity, count });
+      let offset = 0;
+      while (offset < filter.array.length) {
+        const read = fs.readSync(fd, filter.array, offset, filter.array.length - offset, 4 + header.length + offset);
+        if (read === 0) {
+          throw new Error("Outpoint filter file is truncated");
+        }
+        offset += read;
+      }
+      return filter;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  getStatus() {
+    return {
+      entries: this.count,
+      capacity: this.capacity,
+      sizeBytes: this.bits / 8,
+      hashes: this.hashes,
+    };
+  }
+}
+
+module.exports = { OutpointFilter };
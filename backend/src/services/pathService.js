@@ -0,0 +1,207 @@
+const dbService = require("./dbService");
+const bitcoinRPC = require("./bitcoinRPC");
+const { getChainSource } = require("./chainSource");
+const seedSets = require("./seedSets");
+const logger = require("../utils/logger");
+
+/**
+ * K-shortest taint paths
+ *
+ * The path stored in tainted:<address> is the single chain copied from the parent
+ * on each hop. This rebuilds alternative paths on demand from the tainted outpoint
+ * graph: starting at the outputs that tainted the address, it walks back through
+ * tainted inputs (the outpoints sublevel) until it reaches degree 0 outpoints, the Satoshi
+ * coinbase outputs. Payments to Satoshi addresses are upstream (see upstreamTaint), not taint.
+ *
+ * The search is best-first on hops so far + degree of the frontier outpoint. The stored
+ * degree is the shortest distance to a seed, so paths come out shortest first.
+ */
+
+const DEFAULT_K = 3;
+const MAX_K = parseInt(process.env.PATH_MAX_K) || 10;
+const MAX_SLACK = parseInt(process.env.PATH_MAX_SLACK) || 2; // Extra hops allowed over the shortest path
+const MAX_EXPANSIONS = parseInt(process.env.PATH_MAX_EXPANSIONS) || 200; // Transactions fetched per query
+const FETCH_BATCH = 25; // Frontier transactions fetched per chain source request
+
+// Insert keeping the queue sorted by priority (stable for equal priorities)
+function enqueue(queue, entry) {
+  let low = 0;
+  let high = queue.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (queue[mid].priority <= entry.priority) low = mid + 1;
+    else high = mid;
+  }
+  queue.splice(low, 0, entry);
+}
+
+async function outpointDegree(outpointDb, txid, vout) {
+  return seedSets.outpointDegree(await outpointDb.get(`${txid}:${vout}`));
+}
+
+/**
+ * Finds up to k shortest or near-shortest taint paths for an address
+ * @param {string} address - Tainted address
+ * @param {Object} options - { k, independent } independent rejects paths sharing an intermediate outpoint
+ * @returns {Promise<Object|null>} null when the address is not tainted; missingTransactions lists
+ *   the transactions the chain source could not return, whose paths were not followed
+ */
+async function findTaintPaths(address, { k = DEFAULT_K, independent = false } = {}) {
+  const db = await dbService.init();
+  const outpointDb = await dbService.getOutpointReader();
+
+  const record = await db.get(`tainted:${address}`);
+  if (!record) {
+    return null;
+  }
+
+  const result = {
+    address,
+    degree: record.degree,
+    k,
+    independent,
+    paths: [],
+    truncated: false,
+    missingTransactions: [],
+  };
+  if (record.degree === 0 || !record.txHash) {
+    return result; // Satoshi address itself, no path to walk
+  }
+
+  // Transactions are fetched once per query, several per request
+  const txCache = new Map();
+  const fetchTxs = async (txids) => {
+    const missing = [...new Set(txids)].filter((txid) => !txCache.has(txid));
+    if (missing.length === 0) return;
+    let txs;
+    try {
+      txs = await getChainSource().getTransactions(missing);
+    } catch (error) {
+      // One transaction the source cannot return (pruned node, Esplora 404) fails the whole
+      // request; fetch them one by one and keep null for the missing ones
+      logger.warn("[Paths] Batch fetch failed, fetching transactions one by one:", error.message);
+      txs = await Promise.all(missing.map((txid) => getChainSource().getTransaction(txid).catch(() => null)));
+    }
+    missing.forEach((txid, i) => txCache.set(txid, txs[i] || null));
+  };
+  const markMissing = (txid) => {
+    if (!result.missingTransactions.includes(txid)) result.missingTransactions.push(txid);
+  };
+  const getTx = async (txid) => {
+    await fetchTxs([txid]);
+    return txCache.get(txid);
+  };
+
+  // Start from every tainted output of the tainting transaction that pays the address
+  const queue = [];
+  const startTx = await getTx(record.txHash);
+  if (!startTx) {
+    markMissing(record.txHash);
+    return result;
+  }
+  for (let vout = 0; vout < startTx.vout.length; vout++) {
+    if (bitcoinRPC.getAddressFromScript(startTx.vout[vout].scriptPubKey) !== address) continue;
+    const degree = await outpointDegree(outpointDb, record.txHash, vout);
+    if (degree === null) continue;
+    const node = { txid: record.txHash, vout, degree };
+    enqueue(queue, { nodes: [node], priority: degree });
+  }
+
+  const usedOutpoints = new Set();
+  let maxLength = Infinity;
+  let fetched = 1;
+
+  while (queue.length > 0 && result.paths.length < k) {
+    const entry = queue.shift();
+    if (entry.priority > maxLength) break;
+
+    const frontier = entry.nodes[entry.nodes.length - 1];
+
+    if (frontier.degree === 0) {
+      const intermediate = entry.nodes.slice(1, -1).map((node) => `${node.txid}:${node.vout}`);
+      if (independent && intermediate.some((outpoint) => usedOutpoints.has(outpoint))) {
+        continue;
+      }
+      intermediate.forEach((outpoint) => usedOutpoints.add(outpoint));
+      result.paths.push(entry.nodes);
+      if (maxLength === Infinity) {
+        maxLength = entry.nodes.length - 1 + MAX_SLACK;
+      }
+      continue;
+    }
+
+    if (!txCache.has(frontier.txid)) {
+      if (fetched >= MAX_EXPANSIONS) {
+        result.truncated = true;
+        break;
+      }
+      // Fetch the frontier transactions of the next entries along with this one; the queue
+      // is in expansion order, so most of them are needed next
+      const txids = [frontier.txid];
+      for (const next of queue) {
+        if (txids.length >= Math.min(FETCH_BATCH, MAX_EXPANSIONS - fetched)) break;
+        const nextFrontier = next.nodes[next.nodes.length - 1];
+        if (nextFrontier.degree > 0 && !txCache.has(nextFrontier.txid) && !txids.includes(nextFrontier.txid)) {
+          txids.push(nextFrontier.txid);
+        }
+      }
+      await fetchTxs(txids);
+      fetched += txids.length;
+    }
+
+    // Walk back through the tainted inputs of the transaction that created the frontier outpoint
+    const tx = txCache.get(frontier.txid);
+    if (!tx) {
+      markMissing(frontier.txid); // This path cannot be followed further
+      continue;
+    }
+    const seen = new Set(entry.nodes.map((node) => `${node.txid}:${node.vout}`));
+    for (const vin of tx.vin) {
+      if (vin.coinbase || seen.has(`${vin.txid}:${vin.vout}`)) continue;
+      const degree = await outpointDegree(outpointDb, vin.txid, vin.vout);
+      if (degree === null) continue;
+
+      const nodes = [...entry.nodes, { txid: vin.txid, vout: vin.vout, degree }];
+      const priority = nodes.length - 1 + degree;
+      if (priority <= maxLength) {
+        enqueue(queue, { nodes, priority });
+      }
+    }
+  }
+
+  // Resolve the address of every outpoint on the returned paths, ordered from Satoshi to the address
+  try {
+    await fetchTxs(result.paths.flatMap((nodes) => nodes.map((node) => node.txid)));
+  } catch (error) {
+    logger.warn("[Paths] Batch fetch of path transactions failed:", error.message);
+  }
+  const paths = [];
+  for (const nodes of result.paths) {
+    const hops = [];
+    for (const node of [...nodes].reverse()) {
+      let nodeAddress = null;
+      try {
+        const tx = await getTx(node.txid);
+        nodeAddress = bitcoinRPC.getAddressFromScript(tx.vout[node.vout].scriptPubKey);
+      } catch (error) {
+        logger.warn(`[Paths] Could not resolve ${node.txid}:${node.vout}:`, error.message);
+      }
+      hops.push({
+        outpoint: `${node.txid}:${node.vout}`,
+        txHash: node.txid,
+        address: nodeAddress,
+        degree: node.degree,
+      });
+    }
+    paths.push({ length: nodes.length - 1, hops });
+  }
+  result.paths = paths;
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_K,
+  MAX_K,
+  findTaintPaths,
+};
@@ -0,0 +1,58 @@
+const { ChainSource } = require("./chainSource");
+const bitcoinRPC = require("./bitcoinRPC");
+
+/**
+ * Chain source backed by Bitcoin Core JSON-RPC (BITCOIN_RPC_*); transaction lookups need txindex
+ */
+class RpcChainSource extends ChainSource {
+  constructor() {
+    super("rpc");
+  }
+
+  async initialize() {
+    await bitcoinRPC.initialize();
+  }
+
+  async getTipHeight() {
+    const info = await bitcoinRPC.getBlockchainInfo();
+    return info.blocks;
+  }
+
+  async getBlockHash(height) {
+    return bitcoinRPC.call("getblockhash", [height]);
+  }
+
+  async getBlock(height) {
+    const hash = await this.getBlockHash(height);
+    return bitcoinRPC.call("getblock", [hash, 2]);
+  }
+
+  async getBlocks(heights) {
+    return bitcoinRPC.getBlocksByHeight(heights);
+  }
+
+  async getTransaction(txid) {
+    return bitcoinRPC.call("getrawtransaction", [txid, true]);
+  }
+
+  async getTransactions(txids) {
+    return bitcoinRPC.callBatch(txids.map((txid) => ["getrawtransaction", [txid, true]]));
+  }
+
+  async getMempoolTxids() {
+    return bitcoinRPC.call("getrawmempool");
+  }
+
+  // gettxout answers null for spent outputs; mempool spends are left out
+  async getUnspentOutputs(outpoints) {
+    const outputs = await bitcoinRPC.callBatch(
+      outpoints.map((outpoint) => {
+        const [txid, vout] = outpoint.split(":");
+        return ["gettxout", [txid, parseInt(vout, 10), false]];
+      })
+    );
+    return outputs.map((output) => (output ? { value: output.value, scriptPubKey: output.scriptPubKey } : null));
+  }
+}
+
+module.exports = { RpcChainSource };
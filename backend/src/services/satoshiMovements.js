@@ -0,0 +1,118 @@
+require("dotenv").config();
+const axios = require("axios");
+const logger = require("../utils/logger");
+
+/**
+ * Watches for spends of Satoshi coinbase outputs
+ *
+ * The degree 0 coinbase outpoints written by initializeCoinbaseOutputs (genesis, blocks 1-2
+ * and PATOSHI_BLOCKS) are almost all dormant. Every spend of one is stored as an event in the
+ * scan sublevel, so it commits and rolls back with its block:
+ *
+ *   satoshi_movement:<height>:<txid>:<input>  { height, blockHash, txid, outpoint, coinbaseHeight,
+ *                                               address, amount, destinations, detectedAt }
+ *
+ * When SATOSHI_MOVEMENT_WEBHOOK_URL is set, events from the background sync are also POSTed there.
+ */
+class SatoshiMovementWatcher {
+  constructor() {
+    this.stats = {
+      detected: 0,
+      lastDetected: null,
+      webhookDeliveries: 0,
+      webhookFailures: 0,
+    };
+
+    // Configuration from environment
+    this.config = {
+      webhookUrl: process.env.SATOSHI_MOVEMENT_WEBHOOK_URL || null,
+      webhookTimeout: parseInt(process.env.SATOSHI_MOVEMENT_WEBHOOK_TIMEOUT) || 10000,
+    };
+  }
+
+  // Poison model record of a Satoshi coinbase output (see outpointEncoding)
+  isCoinbaseSeed(stored) {
+    return Boolean(stored && stored.coinbase);
+  }
+
+  /**
+   * Builds the event for a transaction input that spends a coinbase seed
+   * @param {Function} getAddress - scriptPubKey => address
+   */
+  createEvent(block, tx, inputIndex, seed, getAddress) {
+    const vin = tx.vin[inputIndex];
+    return {
+      height: block.height,
+      blockHash: block.hash,
+      txid: tx.txid || tx.hash,
+      outpoint: `${vin.txid}:${vin.vout}`,
+      coinbaseHeight: seed.blockHeight ?? null,
+      address: seed.address || null,
+      amount: seed.value ?? null,
+      destinations: tx.vout.map((vout) => ({
+        address: getAddress(vout.scriptPubKey),
+        value: Math.round(vout.value * 100000000),
+      })),
+      detectedAt: Date.now(),
+    };
+  }
+
+  eventKey(event, inputIndex) {
+    return `satoshi_movement:${String(event.height).padStart(10, "0")}:${event.txid}:${inputIndex}`;
+  }
+
+  /**
+   * Logs newly committed events and delivers them to the webhook, if configured.
+   * Delivery failures are logged and never fail the sync.
+   */
+  async notify(events) {
+    for (const event of events) {
+      this.stats.detected++;
+      this.stats.lastDetected = event.detectedAt;
+      logger.warn(
+        `[Satoshi Movements] Coinbase output ${event.outpoint} (block ${event.coinbaseHeight}) ` +
+          `spent in ${event.txid} at height ${event.height}`
+      );
+
+      if (!this.config.webhookUrl) continue;
+      try {
+        await axios.post(
+          this.config.webhookUrl,
+          { type: "satoshi_movement", event },
+          { timeout: this.config.webhookTimeout }
+        );
+        this.stats.webhookDeliveries++;
+      } catch (error) {
+        this.stats.webhookFailures++;
+        logger.error(`[Satoshi Movements] Webhook delivery failed for ${event.txid}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stored events, newest first
+   * @param {Object} options - { limit, beforeHeight }
+   */
+  async getMovements(db, { limit = 50, beforeHeight = null } = {}) {
+    const lt =
+      beforeHeight !== null
+        ? `satoshi_movement:${String(beforeHeight).padStart(10, "0")}:`
+        : "satoshi_movement:\xff";
+
+    const movements = [];
+    for await (const [, event] of db.iterator({ gt: "satoshi_movement:", lt, reverse: true, limit })) {
+      movements.push(event);
+    }
+    return movements;
+  }
+
+  getStatus() {
+    return {
+      webhookEnabled: Boolean(this.config.webhookUrl),
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SatoshiMovementWatcher();
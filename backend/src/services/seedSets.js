@@ -0,0 +1,314 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const network = require("../utils/network");
+
+/**
+ * Taint seed sets
+ *
+ * A seed set is a named list of addresses and/or outpoints whose coins are tracked
+ * by their own propagation pass. The Satoshi dataset (Patoshi coinbase addresses
+ * and outputs) is the default set and keeps the original key layout:
+ *
+ *   default set:  <txid>:<vout> in the outpoints sublevel   tainted:<address>
+ *   other sets:   seed_out:<set>:<txid>:<vout>              tainted:<set>:<address>
+ *
+ * Addresses never contain ":", so the walkers of the tainted: range (verify-db, the height
+ * backfill, the statistics) tell the records of other sets apart with isSetRecordKey; they
+ * are not indexed. outpointKey and computeTransactionTaint only apply to the other sets.
+ *
+ * Degree 0 comes from the set's listed outpoints and from coinbase outputs paying a listed
+ * address, as the default set is seeded from its coinbases; any other payment to a listed
+ * address only carries the degree of its inputs.
+ *
+ * A set is propagated from the block after the one processed when it was initialized
+ * (seed_set_initialized:<set>, see initializationMarker); earlier blocks need a full scan.
+ *
+ * Other sets are JSON files in SEED_SETS_DIR:
+ *   { "name": "mtgox", "description": "...", "addresses": ["1..."], "outpoints": ["<txid>:<vout>"] }
+ *
+ * The Satoshi set only exists on mainnet; on testnet, signet and regtest it is empty and
+ * the sets in SEED_SETS_DIR are the only sources of taint.
+ */
+
+const DEFAULT_SET = "satoshi";
+const SATOSHI_ADDRESSES_PATH = path.join(__dirname, "../../data/satoshiAddresses.js");
+const SEED_SETS_DIR = process.env.SEED_SETS_DIR || path.join(__dirname, "../../data/seedSets");
+const SET_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const OUTPOINT_PATTERN = /^[0-9a-f]{64}:\d+$/;
+
+// Genesis and early blocks mined by Satoshi that don't match the Patoshi pattern
+const EARLY_BLOCKS = [0, 1, 2];
+
+class SeedSetRegistry {
+  constructor() {
+    this.sets = null;
+  }
+
+  // (Re)load the default set and every set file; safe to call again after extraction
+  load() {
+    const sets = new Map();
+    sets.set(DEFAULT_SET, this.loadDefaultSet());
+
+    if (fs.existsSync(SEED_SETS_DIR)) {
+      const files = fs.readdirSync(SEED_SETS_DIR).filter((file) => file.endsWith(".json")).sort();
+      for (const file of files) {
+        try {
+          const set = this.loadSetFile(path.join(SEED_SETS_DIR, file));
+          if (sets.has(set.name)) {
+            throw new Error(`duplicate seed set name "${set.name}"`);
+          }
+          sets.set(set.name, set);
+        } catch (err) {
+          logger.error(`[Seed Sets] Skipping ${file}: ${err.message}`);
+        }
+      }
+    }
+
+    this.sets = sets;
+    return sets;
+  }
+
+  loadDefaultSet() {
+    if (!network.isMainnet) {
+      return {
+        name: DEFAULT_SET,
+        description: `Satoshi Nakamoto (not available on ${network.name})`,
+        isDefault: true,
+        addressList: [],
+        addresses: new Set(),
+        outpoints: [],
+        coinbaseBlocks: [],
+        metadata: {},
+        notes: {},
+      };
+    }
+
+    let addresses = [];
+    let metadata = {};
+    let notes = {};
+    try {
+      delete require.cache[require.resolve(SATOSHI_ADDRESSES_PATH)];
+      const satoshiData = require(SATOSHI_ADDRESSES_PATH);
+      addresses = satoshiData.SATOSHI_ADDRESSES || [];
+      metadata = satoshiData.ADDRESS_METADATA || {};
+      notes = satoshiData.SATOSHI_NOTES || {};
+    } catch (err) {
+      // File doesn't exist yet - will be created by extractPatoshiAddresses
+    }
+
+    const { PATOSHI_BLOCKS } = require("../data/patoshiBlocks");
+
+    return {
+      name: DEFAULT_SET,
+      description: "Satoshi Nakamoto (Patoshi pattern coinbase outputs)",
+      isDefault: true,
+      addressList: addresses,
+      addresses: new Set(addresses),
+      outpoints: [],
+      coinbaseBlocks: [...EARLY_BLOCKS, ...PATOSHI_BLOCKS],
+      metadata,
+      notes,
+    };
+  }
+
+  loadSetFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    const name = String(data.name || "").toLowerCase();
+    if (!SET_NAME_PATTERN.test(name) || name === DEFAULT_SET) {
+      throw new Error(`invalid seed set name "${data.name}"`);
+    }
+
+    const addresses = Array.isArray(data.addresses) ? data.addresses.map(String) : [];
+    const outpoints = Array.isArray(data.outpoints) ? data.outpoints.map((o) => String(o).toLowerCase()) : [];
+    const badOutpoint = outpoints.find((outpoint) => !OUTPOINT_PATTERN.test(outpoint));
+    if (badOutpoint) {
+      throw new Error(`invalid outpoint "${badOutpoint}" (expected <txid>:<vout>)`);
+    }
+    if (addresses.length === 0 && outpoints.length === 0) {
+      throw new Error("seed set has no addresses or outpoints");
+    }
+
+    return {
+      name,
+      description: data.description ? String(data.description) : name,
+      isDefault: false,
+      addressList: addresses,
+      addresses: new Set(addresses),
+      outpoints,
+      coinbaseBlocks: [],
+      metadata: {},
+      notes: {},
+    };
+  }
+
+  getSets() {
+    return this.sets || this.load();
+  }
+
+  getDefaultSet() {
+    return this.getSets().get(DEFAULT_SET);
+  }
+
+  // Sets with their own propagation pass (everything but the default set)
+  getCustomSets() {
+    return Array.from(this.getSets().values()).filter((set) => !set.isDefault);
+  }
+
+  getSet(name) {
+    return this.getSets().get(name) || null;
+  }
+
+  // Fingerprint of a set's seeds, to detect edits to a set file
+  getChecksum(set) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify([[...set.addressList].sort(), [...set.outpoints].sort()]))
+      .digest("hex");
+  }
+}
+
+function markerKey(setName) {
+  return `seed_set_initialized:${setName}`;
+}
+
+/**
+ * Initialization marker of a set whose seeds are written before block `nextHeight` is processed.
+ * fromHeight is the first block the set was propagated through, seedsFromHeight the first one
+ * its current seeds were (the set file changed since); both null on markers older than them.
+ */
+function initializationMarker(set, previous, nextHeight) {
+  const checksum = registry.getChecksum(set);
+  return {
+    checksum,
+    addresses: set.addressList.length,
+    outpoints: set.outpoints.length,
+    fromHeight: previous ? previous.fromHeight ?? null : nextHeight,
+    seedsFromHeight: previous && previous.checksum === checksum ? previous.seedsFromHeight ?? null : nextHeight,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Sets that do not cover the chain from the genesis block, for API responses
+ * @returns {Promise<Object>} set name -> { fromHeight, seedsFromHeight, note }
+ */
+async function getIncompleteSets(scanDb) {
+  const incomplete = {};
+  for (const set of registry.getCustomSets()) {
+    const marker = await scanDb.get(markerKey(set.name));
+    if (!marker || !(marker.fromHeight > 0 || marker.seedsFromHeight > 0)) continue;
+    incomplete[set.name] = {
+      fromHeight: marker.fromHeight,
+      seedsFromHeight: marker.seedsFromHeight,
+      note:
+        marker.fromHeight > 0
+          ? `Only blocks from ${marker.fromHeight} on are covered; taint from earlier blocks is missing`
+          : `Seeds changed at block ${marker.seedsFromHeight}; new seeds only cover blocks from there on`,
+    };
+  }
+  return incomplete;
+}
+
+function outpointKey(setName, outpoint) {
+  return `seed_out:${setName}:${outpoint}`;
+}
+
+function addressKey(setName, address) {
+  return setName === DEFAULT_SET ? `tainted:${address}` : `tainted:${setName}:${address}`;
+}
+
+// Whether a key of the tainted: range is the address record of another set than the default one
+function isSetRecordKey(key) {
+  return key.indexOf(":", "tainted:".length) !== -1;
+}
+
+/**
+ * Degree stored for a tainted outpoint: seed set outputs store a bare integer, the
+ * outpoints sublevel returns { degree, ... } records (see outpointEncoding).
+ */
+function outpointDegree(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value === "object" ? value.degree : value;
+}
+
+/**
+ * Computes the outputs of a transaction tainted for a (non-default) seed set.
+ * Coinbase outputs paying a seed address are degree 0; when any input is tainted,
+ * every other output gets the lowest input degree + 1.
+ * @param {Object} context - { db, blockRecords (outpoint -> degree), getAddress }
+ * @returns {Promise<Array<{index: number, outpoint: string, key: string, degree: number, address: string|null}>>}
+ */
+async function computeTransactionTaint(set, tx, { db, blockRecords, getAddress }) {
+  const txid = tx.txid || tx.hash;
+  const isCoinbase = tx.vin.some((vin) => vin.coinbase);
+  let minDegree = Infinity;
+
+  for (const vin of tx.vin) {
+    if (vin.coinbase) continue;
+    const outpoint = `${vin.txid}:${vin.vout}`;
+    const degree = blockRecords.has(outpoint)
+      ? blockRecords.get(outpoint)
+      : outpointDegree(await db.get(outpointKey(set.name, outpoint)));
+    if (degree !== null && degree < minDegree) {
+      minDegree = degree;
+    }
+  }
+
+  const tainted = [];
+  for (let index = 0; index < tx.vout.length; index++) {
+    const address = getAddress(tx.vout[index].scriptPubKey);
+    const isSeed = Boolean(isCoinbase && address && set.addresses.has(address));
+    if (!isSeed && minDegree === Infinity) continue;
+
+    const outpoint = `${txid}:${index}`;
+    const key = outpointKey(set.name, outpoint);
+    // Seeded outpoints are written up front and keep their degree
+    if (blockRecords.has(outpoint) || (await db.get(key)) !== undefined) continue;
+
+    tainted.push({
+      index,
+      outpoint,
+      key,
+      degree: isSeed ? 0 : minDegree + 1,
+      address,
+    });
+  }
+
+  return tainted;
+}
+
+/**
+ * New address record for a seed set, or null when the existing one is as close or closer
+ */
+function mergeAddressRecord(existing, degree, txHash) {
+  if (existing && existing.degree <= degree) {
+    return null;
+  }
+  return {
+    degree,
+    txHash,
+    lastUpdated: Date.now(),
+  };
+}
+
+const registry = new SeedSetRegistry();
+
+module.exports = {
+  DEFAULT_SET,
+  registry,
+  markerKey,
+  initializationMarker,
+  getIncompleteSets,
+  outpointKey,
+  addressKey,
+  isSetRecordKey,
+  outpointDegree,
+  computeTransactionTaint,
+  mergeAddressRecord,
+};
@@ -0,0 +1,273 @@
+require("dotenv").config();
+const fs = require("fs");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const readline = require("readline");
+const { pipeline } = require("stream/promises");
+const dbService = require("./dbService");
+const { SCHEMA_VERSION } = require("../migrations");
+const network = require("../utils/network");
+const logger = require("../utils/logger");
+
+/**
+ * Taint database snapshots
+ *
+ * A snapshot is a gzipped file of newline-delimited JSON holding every key of the main
+ * sublevel (tainted addresses, tx cache, accounting, seed sets, upstream), of the scan
+ * sublevel (balances, undo journals, scan_progress) and of the outpoints sublevel (poison
+ * model tainted outpoints, as decoded records):
+ *
+ *   {"format":"tainted-by-satoshi-snapshot","version":2,"schemaVersion":6,"network":"mainnet","height":...,...}
+ *   ["main","tainted:1A1z...",{...}]
+ *   ["scan","tainted_balance:1A1z...",{...}]
+ *   ["outpoints","<txid>:<vout>",{"degree":2}]
+ *   ...
+ *   {"checksum":"<sha256 of every line above>","records":12345}
+ *
+ * The store is opened directly, which fails while the server or update-satoshi-data holds
+ * it, so nothing can write during an export and the archive is consistent. Import
+ * verifies the checksum before writing anything and writes scan_progress last, so an import
+ * that is interrupted never looks like a database the background sync can resume from.
+ *
+ * schemaVersion is the store schema the records follow (SCHEMA_VERSION of the exporting
+ * build, see migrations/). Snapshots of an older schema import and are brought up to date
+ * by the migrations above it, run after scan_progress is written; version 1 snapshots
+ * (tainted outpoints as scan `tainted_out:*` keys) are schema 1 and version 2 snapshots
+ * without the field schema 2.
+ */
+
+const FORMAT = "tainted-by-satoshi-snapshot";
+const VERSION = 2;
+const READABLE_VERSIONS = [1, 2];
+const IMPORT_BATCH_SIZE = 1000;
+
+class SnapshotService {
+  async openDatabases() {
+    try {
+      const main = await dbService.init();
+      const scan = await dbService.getScanDb();
+      const outpoints = await dbService.getOutpointDb();
+      return { main, scan, outpoints };
+    } catch (error) {
+      if (error.code === "LEVEL_DATABASE_NOT_OPEN" && error.cause?.code === "LEVEL_LOCKED") {
+        throw new Error(`The database at ${dbService.dbPath} is in use; stop the server and update-satoshi-data first`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a snapshot of the store at its last processed block
+   * @returns {Promise<Object>} The snapshot header plus the record count and checksum
+   */
+  async exportSnapshot(filePath) {
+    if (!fs.existsSync(dbService.dbPath)) {
+      throw new Error(`No database found in ${dbService.dbPath}; nothing to snapshot`);
+    }
+
+    const { main, scan, outpoints } = await this.openDatabases();
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      const progress = await scan.get("scan_progress");
+      if (!progress || !(progress.lastBlock >= 0)) {
+        throw new Error("scan_progress has no processed block; nothing to snapshot");
+      }
+      const height = progress.lastBlock;
+      const hash =
+        progress.lastBlockHash ||
+        (await scan.get(`block_hash:${height}`)) ||
+        (await require("./chainSource").getChainSource().getBlockHash(height));
+
+      const header = {
+        format: FORMAT,
+        version: VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        network: network.name,
+        height,
+        hash,
+        createdAt: new Date().toISOString(),
+      };
+
+      const checksum = crypto.createHash("sha256");
+      let records = 0;
+      let digest = null;
+      async function* lines() {
+        const line = (value) => {
+          const text = `${JSON.stringify(value)}\n`;
+          checksum.update(text);
+          return text;
+        };
+
+        yield line(header);
+        for (const [name, db] of [["main", main], ["scan", scan], ["outpoints", outpoints]]) {
+          for await (const [key, value] of db.iterator()) {
+            records++;
+            yield line([name, key, value]);
+            if (records % 1000000 === 0) {
+              logger.info(`[Snapshot] Exported ${records.toLocaleString()} records...`);
+            }
+          }
+        }
+        digest = checksum.digest("hex");
+        yield `${JSON.stringify({ checksum: digest, records })}\n`;
+      }
+
+      // Written next to the target and renamed, so a partial file is never mistaken for a snapshot
+      await pipeline(lines, zlib.createGzip(), fs.createWriteStream(tmpPath));
+      fs.renameSync(tmpPath, filePath);
+
+      logger.info(`[Snapshot] Wrote ${records.toLocaleString()} records at block ${height} (${hash}) to ${filePath}`);
+      return { ...header, checksum: digest, records };
+    } catch (error) {
+      fs.rmSync(tmpPath, { force: true });
+      throw error;
+    } finally {
+      await dbService.close();
+    }
+  }
+
+  // Line-by-line reader over a snapshot file
+  lines(filePath) {
+    return readline.createInterface({
+      input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity,
+    });
+  }
+
+  /**
+   * Reads a snapshot end to end, checking the format, version, network and checksum
+   * @param {Function} [onRecord] - Called with (db, key, value) for every record
+   * @returns {Promise<Object>} The snapshot header plus the record count and checksum
+   */
+  async readSnapshot(filePath, onRecord = null) {
+    const checksum = crypto.createHash("sha256");
+    let header = null;
+    let pending = null; // Lines are hashed one behind, the trailer is not part of the checksum
+    let records = 0;
+
+    for await (const line of this.lines(filePath)) {
+      if (pending !== null) {
+        checksum.update(`${pending}\n`);
+        if (header === null) {
+          header = JSON.parse(pending);
+          this.checkHeader(header);
+        } else {
+          records++;
+          if (onRecord) {
+            const [db, key, value] = JSON.parse(pending);
+            await onRecord(db, key, value);
+          }
+        }
+      }
+      pending = line;
+    }
+
+    if (header === null || pending === null) {
+      throw new Error("Snapshot is empty or truncated");
+    }
+    let trailer = null;
+    try {
+      trailer = JSON.parse(pending);
+    } catch (error) {
+      // Cut off mid-line
+    }
+    if (!trailer || typeof trailer.checksum !== "string") {
+      throw new Error("Snapshot is truncated (no checksum trailer)");
+    }
+    const digest = checksum.digest("hex");
+    if (trailer.checksum !== digest || trailer.records !== records) {
+      throw new Error(`Snapshot checksum mismatch (expected ${trailer.checksum}, got ${digest}); the file is corrupt or truncated`);
+    }
+    return { ...header, ...trailer };
+  }
+
+  checkHeader(header) {
+    if (header.format !== FORMAT) {
+      throw new Error("Not a taint database snapshot");
+    }
+    if (!READABLE_VERSIONS.includes(header.version)) {
+      throw new Error(`Unsupported snapshot version ${header.version} (this build reads versions ${READABLE_VERSIONS.join(", ")})`);
+    }
+    if (this.schemaVersion(header) > SCHEMA_VERSION) {
+      throw new Error(
+        `Snapshot has store schema version ${this.schemaVersion(header)}, but this build only knows versions up to ${SCHEMA_VERSION}`
+      );
+    }
+    if (header.network !== network.name) {
+      throw new Error(`Snapshot is for ${header.network}, but BITCOIN_NETWORK is ${network.name}`);
+    }
+  }
+
+  // Store schema of a snapshot's records, for snapshots written before the header recorded it
+  schemaVersion(header) {
+    return header.schemaVersion || (header.version === 1 ? 1 : 2);
+  }
+
+  /**
+   * Verifies a snapshot and loads it into an empty store (or a cleared one with force)
+   * @returns {Promise<Object>} The snapshot header plus the record count and checksum
+   */
+  async importSnapshot(filePath, { force = false } = {}) {
+    // Nothing is written unless the whole file checks out
+    const snapshot = await this.readSnapshot(filePath);
+    logger.info(`[Snapshot] Verified ${snapshot.records.toLocaleString()} records at block ${snapshot.height} (${snapshot.hash})`);
+
+    const { main, scan, outpoints } = await this.openDatabases();
+    try {
+      for (const db of [main, scan, outpoints]) {
+        let empty = true;
+        for await (const key of db.keys({ limit: 1 })) empty = false;
+        if (!empty) {
+          if (!force) {
+            throw new Error(`The database at ${dbService.dbPath} is not empty; use --force to replace it`);
+          }
+          await db.clear();
+        }
+      }
+
+      // The store takes the snapshot's schema, so migrations interrupted after scan_progress
+      // is written resume on the next open
+      const store = dbService.getStore();
+      await dbService.setSchemaVersion(store, this.schemaVersion(snapshot));
+
+      let batch = dbService.batch();
+      let count = 0;
+      let progress = null;
+      await this.readSnapshot(filePath, async (db, key, value) => {
+        if (db === "scan" && key === "scan_progress") {
+          progress = value;
+          return;
+        }
+        batch[db].put(key, value);
+        if (++count % IMPORT_BATCH_SIZE === 0) {
+          await batch.write();
+          batch = dbService.batch();
+        }
+        if (count % 1000000 === 0) {
+          logger.info(`[Snapshot] Imported ${count.toLocaleString()} records...`);
+        }
+      });
+      await batch.write();
+
+      // The sync resumes after the snapshot tip and checks it against the chain first
+      await scan.batch()
+        .put(`block_hash:${snapshot.height}`, snapshot.hash)
+        .put("scan_progress", {
+          ...progress,
+          lastBlock: snapshot.height,
+          lastBlockHash: snapshot.hash,
+          lastUpdated: Date.now(),
+        })
+        .write();
+      await dbService.applyMigrations(store, this.schemaVersion(snapshot));
+
+      logger.info(`[Snapshot] Imported ${snapshot.records.toLocaleString()} records into ${dbService.dbPath}`);
+      return snapshot;
+    } finally {
+      await dbService.close();
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SnapshotService();
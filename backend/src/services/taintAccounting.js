@@ -0,0 +1,233 @@
+/**
+ * Value-weighted taint accounting
+ *
+ * The poison model (degrees in the outpoints sublevel) marks every output of a
+ * transaction with a tainted input as fully tainted. The models here track how
+ * many satoshis of each outpoint derive from Satoshi coinbase outputs instead:
+ *
+ * - haircut: tainted input value is spread over all outputs proportionally to their value
+ * - fifo: input value is laid out in input order and poured into the outputs in output order
+ * - lifo: like fifo, but the last input is spent first
+ *
+ * For fifo/lifo the tainted satoshis of a partially tainted input are taken before its clean ones,
+ * and whatever is left after the last output is the fee.
+ *
+ * Each model stores { value, tainted } (satoshis) per outpoint under
+ * `<model>_out:<txid>:<vout>` and a per-address aggregate under `<model>:<address>`.
+ */
+
+const MODELS = ["haircut", "fifo", "lifo"];
+
+// Models enabled with TAINT_MODELS (comma separated), poison always runs
+function getEnabledModels() {
+  return (process.env.TAINT_MODELS || "")
+    .split(",")
+    .map((model) => model.trim().toLowerCase())
+    .filter((model) => MODELS.includes(model));
+}
+
+function outpointKey(model, outpoint) {
+  return `${model}_out:${outpoint}`;
+}
+
+function addressKey(model, address) {
+  return `${model}:${address}`;
+}
+
+function toSats(btc) {
+  return Math.round(btc * 100000000);
+}
+
+// Pour ordered value segments into the outputs, counting the tainted satoshis each output receives
+function pourSegments(segments, outputValues) {
+  const allocation = [];
+  let segment = 0;
+  let remaining = segments.length > 0 ? segments[0].amount : 0;
+
+  for (const value of outputValues) {
+    let needed = value;
+    let tainted = 0;
+
+    while (needed > 0 && segment < segments.length) {
+      const take = Math.min(needed, remaining);
+      if (segments[segment].tainted) {
+        tainted += take;
+      }
+      needed -= take;
+      remaining -= take;
+
+      if (remaining === 0) {
+        segment++;
+        remaining = segment < segments.length ? segments[segment].amount : 0;
+      }
+    }
+
+    allocation.push(tainted);
+  }
+
+  return allocation;
+}
+
+/**
+ * Splits the tainted input value over the outputs of a transaction
+ * @param {string} model - Accounting model name
+ * @param {Array<{value: number, tainted: number}>} inputs - Input values in satoshis, in input order
+ * @param {number[]} outputValues - Output values in satoshis, in output order
+ * @param {number} totalIn - Total input value (outputs + fee) in satoshis
+ * @returns {number[]} Tainted satoshis per output
+ */
+function allocateTaint(model, inputs, outputValues, totalIn) {
+  const taintedIn = inputs.reduce((sum, input) => sum + input.tainted, 0);
+  if (taintedIn === 0 || totalIn <= 0) {
+    return outputValues.map(() => 0);
+  }
+
+  switch (model) {
+    case "haircut": {
+      // BigInt keeps value * tainted exact beyond 2^53
+      const tainted = BigInt(Math.min(taintedIn, totalIn));
+      const total = BigInt(totalIn);
+      return outputValues.map((value) => Number((BigInt(value) * tainted) / total));
+    }
+    case "fifo":
+    case "lifo": {
+      const ordered = model === "fifo" ? inputs : [...inputs].reverse();
+      const segments = ordered.flatMap((input) => [
+        { amount: input.tainted, tainted: true },
+        { amount: input.value - input.tainted, tainted: false },
+      ]);
+      return pourSegments(segments, outputValues);
+    }
+    default:
+      throw new Error(`Unknown taint accounting model: ${model}`);
+  }
+}
+
+/**
+ * Looks up the { value, tainted } record of an outpoint for a model.
+ * Degree 0 poison model outpoints (the Satoshi coinbase outputs) are fully tainted seeds.
+ * @param {Object} outpoints - Poison model taint by outpoint (outpoints sublevel or a reader over it)
+ * @param {Map} blockRecords - Records created earlier in the same block
+ * @param {Function} resolveOutputValue - (txid, vout) => satoshis, for seeds stored without a value
+ */
+async function lookupRecord(model, db, outpoints, txid, vout, blockRecords, resolveOutputValue) {
+  const outpoint = `${txid}:${vout}`;
+  if (blockRecords.has(outpoint)) {
+    return blockRecords.get(outpoint);
+  }
+
+  const record = await db.get(outpointKey(model, outpoint));
+  if (record) {
+    return record;
+  }
+
+  const seed = await outpoints.get(outpoint);
+  if (seed && seed.degree === 0) {
+    const value = seed.value ?? (await resolveOutputValue(txid, vout));
+    return { value, tainted: value };
+  }
+
+  return null;
+}
+
+/**
+ * Computes the tainted outputs of one transaction for a model.
+ * Does not write anything: the caller stores the returned records and address totals.
+ * @param {Object} context - { db, outpoints, blockRecords, resolveOutputValue }
+ * @returns {Promise<Array<{index: number, outpoint: string, key: string, value: number, tainted: number}>>}
+ */
+async function computeTransactionTaint(model, tx, { db, outpoints, blockRecords, resolveOutputValue }) {
+  const txid = tx.txid || tx.hash;
+  const inputs = [];
+
+  for (const vin of tx.vin) {
+    if (vin.coinbase) return []; // New coins carry no taint
+    const record = await lookupRecord(model, db, outpoints, vin.txid, vin.vout, blockRecords, resolveOutputValue);
+    inputs.push({
+      txid: vin.txid,
+      vout: vin.vout,
+      value: record ? record.value : vin.prevout ? toSats(vin.prevout.value) : null,
+      tainted: record ? record.tainted : 0,
+    });
+  }
+
+  if (!inputs.some((input) => input.tainted > 0)) {
+    return [];
+  }
+
+  const outputValues = tx.vout.map((vout) => toSats(vout.value));
+  const totalOut = outputValues.reduce((sum, value) => sum + value, 0);
+  const fee = tx.fee !== undefined ? toSats(tx.fee) : null;
+  const unknown = inputs.filter((input) => input.value === null);
+
+  // Haircut only needs the input total (outputs + fee); ordered models need every input value.
+  // A single unknown input can be derived from the fee, otherwise ask the node.
+  let totalIn;
+  if (unknown.length > 0 && fee !== null && (model === "haircut" || unknown.length === 1)) {
+    totalIn = totalOut + fee;
+    if (unknown.length === 1) {
+      const known = inputs.reduce((sum, input) => sum + (input.value || 0), 0);
+      unknown[0].value = Math.max(totalIn - known, 0);
+    }
+  } else {
+    for (const input of unknown) {
+      input.value = await resolveOutputValue(input.txid, input.vout);
+    }
+    totalIn = inputs.reduce((sum, input) => sum + input.value, 0);
+  }
+
+  const allocation = allocateTaint(model, inputs, outputValues, totalIn);
+
+  const tainted = [];
+  for (let index = 0; index < outputValues.length; index++) {
+    if (allocation[index] <= 0) continue;
+    const outpoint = `${txid}:${index}`;
+    tainted.push({
+      index,
+      outpoint,
+      key: outpointKey(model, outpoint),
+      value: outputValues[index],
+      tainted: allocation[index],
+    });
+  }
+  return tainted;
+}
+
+/**
+ * Adds one received output to an address aggregate
+ */
+function addToAccount(account, value, tainted) {
+  const current = account || { taintedAmount: 0, receivedAmount: 0, outputs: 0 };
+  return {
+    taintedAmount: current.taintedAmount + tainted,
+    receivedAmount: current.receivedAmount + value,
+    outputs: current.outputs + 1,
+    lastUpdated: Date.now(),
+  };
+}
+
+/**
+ * Public summary of an address aggregate for API responses
+ */
+function summarizeAccount(account) {
+  if (!account || account.receivedAmount === 0) {
+    return null;
+  }
+  return {
+    taintedAmount: account.taintedAmount,
+    receivedAmount: account.receivedAmount,
+    taintedPercentage: Number(((account.taintedAmount / account.receivedAmount) * 100).toFixed(4)),
+  };
+}
+
+module.exports = {
+  MODELS,
+  getEnabledModels,
+  outpointKey,
+  addressKey,
+  allocateTaint,
+  lookupRecord,
+  computeTransactionTaint,
+  addToAccount,
+  summarizeAccount,
+};
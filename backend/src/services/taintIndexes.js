@@ -0,0 +1,227 @@
+/**
+ * Secondary indexes over the tainted:<address> records of the main sublevel
+ *
+ *   idx_degree:<degree>:<address>              1
+ *   idx_origin:<origin>:<address>              1, one key per entry of the record's origins
+ *   idx_height:<firstTaintedHeight>:<address>  1
+ *   idx_count:<index>:<value>                  addresses under that value
+ *
+ * Degrees and heights are zero-padded so the keys sort numerically. An address is listed
+ * under each Satoshi address of its origins (see taintOrigins; at most MAX_ORIGINS), and
+ * only in the height index when its record carries firstTaintedHeight (records written
+ * before the index existed do not).
+ *
+ * Writers pass the record before and after each write to indexChanges() and put the index
+ * keys in the same batch as the record. Counters are read-modify-write, so the count deltas
+ * of a block are collected and turned into writes once, before the block is written.
+ */
+
+const taintOrigins = require("./taintOrigins");
+
+const INDEX_VALUE = 1;
+const COUNT_PREFIX = "idx_count:";
+
+function pad(number, width) {
+  return String(number).padStart(width, "0");
+}
+
+// values: the index values of a record, each gets a key
+const INDEXES = {
+  degree: {
+    prefix: "idx_degree:",
+    values: (address, record) => (Number.isInteger(record.degree) ? [pad(record.degree, 5)] : []),
+    parse: Number,
+  },
+  origin: {
+    prefix: "idx_origin:",
+    values: (address, record) =>
+      taintOrigins
+        .originsOf(record)
+        .map((origin) => origin.address)
+        .filter((origin) => record.degree === 0 || origin !== address),
+    parse: String,
+  },
+  height: {
+    prefix: "idx_height:",
+    values: (address, record) =>
+      Number.isInteger(record.firstTaintedHeight) ? [pad(record.firstTaintedHeight, 10)] : [],
+    parse: Number,
+  },
+};
+
+function indexKey(index, value, address) {
+  return `${INDEXES[index].prefix}${value}:${address}`;
+}
+
+function countKey(index, value) {
+  return `${COUNT_PREFIX}${index}:${value}`;
+}
+
+// Index value of a query parameter: a degree or height number, or an origin address
+function formatValue(index, value) {
+  return index === "degree" ? pad(value, 5) : index === "height" ? pad(value, 10) : value;
+}
+
+function addCount(counts, key, delta) {
+  const total = (counts.get(key) || 0) + delta;
+  if (total === 0) {
+    counts.delete(key);
+  } else {
+    counts.set(key, total);
+  }
+}
+
+/**
+ * Index keys to add and remove when the record of `address` goes from `previous` to
+ * `record` (either may be null/undefined for a new or deleted record)
+ * @param {Array<string>} indexes - Names of the indexes to update, all by default
+ * @returns {{puts: Array<string>, dels: Array<string>, counts: Map<string, number>}}
+ */
+function indexChanges(address, previous, record, indexes = Object.keys(INDEXES)) {
+  const puts = [];
+  const dels = [];
+  const counts = new Map();
+  for (const index of indexes) {
+    const { values } = INDEXES[index];
+    const before = new Set(previous ? values(address, previous) : []);
+    const after = new Set(record ? values(address, record) : []);
+    for (const value of before) {
+      if (!after.has(value)) {
+        dels.push(indexKey(index, value, address));
+        addCount(counts, countKey(index, value), -1);
+      }
+    }
+    for (const value of after) {
+      if (!before.has(value)) {
+        puts.push(indexKey(index, value, address));
+        addCount(counts, countKey(index, value), 1);
+      }
+    }
+  }
+  return { puts, dels, counts };
+}
+
+// Adds the count deltas of `counts` to `target`
+function mergeCounts(target, counts) {
+  for (const [key, delta] of counts) {
+    addCount(target, key, delta);
+  }
+}
+
+/**
+ * Turns count deltas into counter writes
+ * @param {Function} read - async key => stored count (or undefined)
+ * @returns {Promise<Array<{key: string, count: number|null, previous: number|null}>>} count null
+ *   means the counter drops to zero and is deleted
+ */
+async function countWrites(counts, read) {
+  const writes = [];
+  for (const [key, delta] of counts) {
+    const previous = (await read(key)) ?? null;
+    const count = (previous || 0) + delta;
+    writes.push({ key, count: count > 0 ? count : null, previous });
+  }
+  return writes;
+}
+
+/**
+ * Adds the indexChanges() of several record writes to a chained batch of the main sublevel,
+ * counters included (for writes outside a block, where nothing else touches the counters)
+ */
+async function applyChanges(db, batch, changes) {
+  const counts = new Map();
+  for (const { puts, dels, counts: deltas } of changes) {
+    for (const key of dels) batch.del(key);
+    for (const key of puts) batch.put(key, INDEX_VALUE);
+    mergeCounts(counts, deltas);
+  }
+  for (const { key, count } of await countWrites(counts, (name) => db.get(name))) {
+    if (count === null) {
+      batch.del(key);
+    } else {
+      batch.put(key, count);
+    }
+  }
+}
+
+/**
+ * A page of addresses of an index, in key order
+ * @param {Object} options - { value } for one degree/origin/height, or { from, to } for a
+ *   range of heights (inclusive); after is the `next` of the previous page
+ * @returns {Promise<{addresses: Array<Object>, next: string|null}>} addresses carry their
+ *   tainted:<address> record; next is null on the last page
+ */
+async function listAddresses(db, index, { value = null, from = null, to = null, limit = 100, after = null } = {}) {
+  const { prefix } = INDEXES[index];
+  const range =
+    value !== null
+      ? { gte: `${prefix}${formatValue(index, value)}:`, lt: `${prefix}${formatValue(index, value)};` }
+      : {
+          gte: `${prefix}${from !== null ? formatValue(index, from) : ""}`,
+          lt: to !== null ? `${prefix}${formatValue(index, to)};` : `${prefix.slice(0, -1)};`,
+        };
+  if (after !== null && `${prefix}${after}` >= range.gte) {
+    delete range.gte;
+    range.gt = `${prefix}${after}`;
+  }
+
+  // One extra key tells whether there is a next page
+  const keys = await db.keys({ ...range, limit: limit + 1 }).all();
+  const page = keys.slice(0, limit);
+  const entries = page.map((key) => {
+    const rest = key.slice(prefix.length);
+    const separator = rest.indexOf(":");
+    return { value: INDEXES[index].parse(rest.slice(0, separator)), address: rest.slice(separator + 1) };
+  });
+  const records = entries.length > 0 ? await db.getMany(entries.map(({ address }) => `tainted:${address}`)) : [];
+
+  return {
+    addresses: entries.map(({ address }, i) => {
+      const record = records[i] || {};
+      return {
+        address,
+        degree: record.degree ?? null,
+        originalSatoshiAddress: record.originalSatoshiAddress ?? null,
+        firstTaintedHeight: record.firstTaintedHeight ?? null,
+        txHash: record.txHash ?? null,
+        amount: record.amount ?? null,
+      };
+    }),
+    next: keys.length > limit ? page[page.length - 1].slice(prefix.length) : null,
+  };
+}
+
+// Number of addresses under one value of an index
+async function getCount(db, index, value) {
+  return (await db.get(countKey(index, formatValue(index, value)))) || 0;
+}
+
+/**
+ * A page of the values of an index with their address counts, in key order
+ * @returns {Promise<{counts: Array<{value, count}>, next: string|null}>}
+ */
+async function listCounts(db, index, { limit = 100, after = null } = {}) {
+  const prefix = `${COUNT_PREFIX}${index}:`;
+  const range = after !== null ? { gt: `${prefix}${after}` } : { gte: prefix };
+  const entries = await db.iterator({ ...range, lt: `${prefix.slice(0, -1)};`, limit: limit + 1 }).all();
+  const page = entries.slice(0, limit);
+  return {
+    counts: page.map(([key, count]) => ({ value: INDEXES[index].parse(key.slice(prefix.length)), count })),
+    next: entries.length > limit ? page[page.length - 1][0].slice(prefix.length) : null,
+  };
+}
+
+module.exports = {
+  INDEXES,
+  INDEX_VALUE,
+  COUNT_PREFIX,
+  indexKey,
+  countKey,
+  indexChanges,
+  mergeCounts,
+  countWrites,
+  applyChanges,
+  listAddresses,
+  getCount,
+  listCounts,
+};
@@ -0,0 +1,82 @@
+/**
+ * Originating Satoshi addresses of a tainted address
+ *
+ * Every tainted:<address> record keeps, next to its single shortest path, up to
+ * MAX_ORIGINS distinct Satoshi addresses its coins trace back to, each with the
+ * best degree seen for that origin:
+ *
+ *   origins: [{ address, degree }]   sorted by degree, then address
+ *   originsTruncated: true           when origins beyond the limit were dropped
+ */
+
+const MAX_ORIGINS = parseInt(process.env.MAX_ORIGINS) || 50;
+
+/**
+ * Origins of a stored record; records written before origins were tracked
+ * fall back to their originalSatoshiAddress at the record degree
+ */
+function originsOf(record) {
+  if (!record) return [];
+  if (Array.isArray(record.origins)) return record.origins;
+  if (!record.originalSatoshiAddress) return [];
+  return [{ address: record.originalSatoshiAddress, degree: record.degree }];
+}
+
+/**
+ * Origins reached through a parent record one hop further down.
+ * The degree never drops below the degree of the output being tainted.
+ */
+function inheritOrigins(parent, degree) {
+  return originsOf(parent).map((origin) => ({
+    address: origin.address,
+    degree: Math.max(origin.degree + 1, degree),
+  }));
+}
+
+/**
+ * Merges origins into a record, keeping the best degree per origin and at most MAX_ORIGINS.
+ * @returns {{origins: Array, originsTruncated: boolean, changed: boolean}}
+ */
+function mergeOrigins(record, incoming) {
+  const byAddress = new Map(originsOf(record).map((origin) => [origin.address, origin.degree]));
+
+  for (const { address, degree } of incoming) {
+    const known = byAddress.get(address);
+    if (known === undefined || degree < known) {
+      byAddress.set(address, degree);
+    }
+  }
+
+  const merged = Array.from(byAddress, ([address, degree]) => ({ address, degree })).sort(
+    (a, b) => a.degree - b.degree || (a.address < b.address ? -1 : a.address > b.address ? 1 : 0)
+  );
+  const truncated = merged.length > MAX_ORIGINS || Boolean(record?.originsTruncated);
+  const origins = merged.slice(0, MAX_ORIGINS);
+
+  const stored = Array.isArray(record?.origins) ? record.origins : [];
+  const changed =
+    truncated !== Boolean(record?.originsTruncated) ||
+    stored.length !== origins.length ||
+    origins.some((origin, i) => origin.address !== stored[i].address || origin.degree !== stored[i].degree);
+
+  return { origins, originsTruncated: truncated, changed };
+}
+
+/**
+ * Origins for API responses, with the coinbase block height from ADDRESS_METADATA
+ */
+function describeOrigins(record, metadata = {}) {
+  return originsOf(record).map(({ address, degree }) => ({
+    address,
+    degree,
+    blockHeight: metadata[address] ? metadata[address].blockHeight : null,
+  }));
+}
+
+module.exports = {
+  MAX_ORIGINS,
+  originsOf,
+  inheritOrigins,
+  mergeOrigins,
+  describeOrigins,
+};
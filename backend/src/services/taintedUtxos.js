@@ -0,0 +1,120 @@
+/**
+ * Spent/unspent state of tainted outpoints and current tainted balances
+ *
+ * Kept in the scan sublevel, so it commits with the block:
+ *
+ *   tainted_utxo:<txid>:<vout>   { address, value, degree }  unspent tainted output with an address
+ *   tainted_spent:<txid>:<vout>  { txid, height }            spending transaction of a tainted output
+ *   tainted_balance:<address>    { sats, utxos, lastUpdated } current tainted UTXO balance
+ *   tainted_utxo_backfill        { done, after }              progress of the backfill pass
+ *
+ * tainted_utxo entries are deleted when spent, so they only ever cover the tainted UTXO set.
+ * Outpoints tainted before this tracking existed get their entries from a one-off backfill
+ * pass (see backgroundSyncService); balances are unknown until it is done.
+ */
+
+const BACKFILL_KEY = "tainted_utxo_backfill";
+
+function utxoKey(outpoint) {
+  return `tainted_utxo:${outpoint}`;
+}
+
+function spentKey(outpoint) {
+  return `tainted_spent:${outpoint}`;
+}
+
+function balanceKey(address) {
+  return `tainted_balance:${address}`;
+}
+
+/**
+ * Tracks tainted UTXOs for one block, reading its own writes before they are committed
+ */
+class TaintedUtxoTracker {
+  /**
+   * @param {Object} db - Scan DB
+   * @param {Object} batch - Chained batch the block is written with
+   * @param {number|null} height - Block height
+   * @param {Function} [onWrite] - (key, previousValue) called before every write, for undo journals
+   */
+  constructor(db, batch, height, onWrite = null) {
+    this.db = db;
+    this.batch = batch;
+    this.height = height;
+    this.onWrite = onWrite;
+    this.pending = new Map(); // key -> value written in this block (null = deleted)
+  }
+
+  async read(key) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    const value = await this.db.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async write(key, value) {
+    if (this.onWrite) {
+      this.onWrite(key, await this.read(key));
+    }
+    if (value === null) {
+      this.batch.del(key);
+    } else {
+      this.batch.put(key, value);
+    }
+    this.pending.set(key, value);
+  }
+
+  async adjustBalance(address, sats, utxos) {
+    const current = (await this.read(balanceKey(address))) || { sats: 0, utxos: 0 };
+    const updated = {
+      sats: current.sats + sats,
+      utxos: current.utxos + utxos,
+      lastUpdated: Date.now(),
+    };
+    await this.write(balanceKey(address), updated.utxos > 0 ? updated : null);
+  }
+
+  // A new tainted output paying an address
+  async add(outpoint, address, value, degree) {
+    await this.write(utxoKey(outpoint), { address, value, degree });
+    await this.adjustBalance(address, value, 1);
+  }
+
+  // A tainted output is spent by txid
+  // @returns {Promise<Object|null>} The spent { address, value, degree }, null if it was not tracked
+  async spend(outpoint, txid) {
+    await this.write(spentKey(outpoint), { txid, height: this.height });
+
+    const utxo = await this.read(utxoKey(outpoint));
+    if (utxo) {
+      await this.write(utxoKey(outpoint), null);
+      await this.adjustBalance(utxo.address, -utxo.value, -1);
+    }
+    return utxo;
+  }
+}
+
+/**
+ * Current tainted UTXO balance of an address for API responses, null counts while the
+ * backfill pass has not finished
+ */
+async function getBalance(db, address) {
+  const [backfill, balance] = await db.getMany([BACKFILL_KEY, balanceKey(address)]);
+  if (!backfill || !backfill.done) {
+    return { taintedSats: null, utxos: null };
+  }
+  return {
+    taintedSats: balance ? balance.sats : 0,
+    utxos: balance ? balance.utxos : 0,
+  };
+}
+
+module.exports = {
+  BACKFILL_KEY,
+  utxoKey,
+  spentKey,
+  balanceKey,
+  TaintedUtxoTracker,
+  getBalance,
+};
@@ -0,0 +1,150 @@
+const seedSets = require("./seedSets");
+
+/**
+ * Upstream ("sent to Satoshi") relationship
+ *
+ * Downstream taint follows coins out of Satoshi's addresses. Paying a Satoshi address
+ * is a different relationship: the input addresses of such a transaction funded Satoshi,
+ * they did not receive anything from him. These are tracked separately in the main DB:
+ *
+ *   upstream:<address>  { degree, satoshiAddress, txHash, path, lastUpdated }
+ *
+ * Degree 1 addresses paid a Satoshi address directly; degree N addresses later paid a
+ * degree N-1 address. The scan runs forward in time, so only funding that happens after the
+ * recipient became upstream is seen. Propagation stops at UPSTREAM_MAX_DEGREE.
+ *
+ * Callers commit() the degrees of a block after its batch is written and discard() them
+ * when the block fails, so the in-memory index never runs ahead of the DB.
+ */
+
+const MAX_DEGREE = parseInt(process.env.UPSTREAM_MAX_DEGREE) || 2;
+
+function recordKey(address) {
+  return `upstream:${address}`;
+}
+
+class UpstreamIndex {
+  constructor() {
+    // address -> upstream degree, to spot payments to upstream addresses without a DB read per output
+    this.degrees = new Map();
+    // Degrees of the block being processed, merged into degrees once its batch is written
+    this.pending = new Map();
+  }
+
+  async load(db) {
+    const degrees = new Map();
+    for await (const [key, record] of db.iterator({ gt: "upstream:", lt: "upstream:\xff" })) {
+      degrees.set(key.slice("upstream:".length), record.degree);
+    }
+    this.degrees = degrees;
+    this.pending.clear();
+    return degrees.size;
+  }
+
+  // The block's batch was written: its upstream records are in the DB
+  commit() {
+    for (const [address, degree] of this.pending) {
+      this.degrees.set(address, degree);
+    }
+    this.pending.clear();
+  }
+
+  // The block failed and nothing of it was written
+  discard() {
+    this.pending.clear();
+  }
+
+  // Upstream degree of an address, counting the block being processed
+  degreeOf(address) {
+    return this.pending.has(address) ? this.pending.get(address) : this.degrees.get(address);
+  }
+
+  /**
+   * The closest funding target paid by a transaction: a Satoshi address (degree 0)
+   * or an upstream address below the degree limit. null when the transaction pays neither.
+   */
+  findTarget(tx, getAddress) {
+    const satoshi = seedSets.registry.getDefaultSet().addresses;
+    let target = null;
+
+    for (const vout of tx.vout) {
+      const address = getAddress(vout.scriptPubKey);
+      if (!address) continue;
+      const degree = satoshi.has(address) ? 0 : this.degreeOf(address);
+      if (degree === undefined || degree >= MAX_DEGREE) continue;
+      if (!target || degree < target.degree) {
+        target = { address, degree };
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Computes the upstream records created by a transaction that pays a target
+   * @param {Object} context - { getAddress, resolveInputAddress(txid, vout), readRecord(key) }
+   * @returns {Promise<Array<{key: string, address: string, previous: Object|null, record: Object}>>}
+   */
+  async processTransaction(tx, { getAddress, resolveInputAddress, readRecord }) {
+    const target = this.findTarget(tx, getAddress);
+    if (!target) return [];
+
+    const txHash = tx.txid || tx.hash;
+    const satoshi = seedSets.registry.getDefaultSet().addresses;
+    const targetRecord = target.degree === 0 ? null : await readRecord(recordKey(target.address));
+    const degree = target.degree + 1;
+    const updates = [];
+    const seen = new Set();
+
+    for (const vin of tx.vin) {
+      if (vin.coinbase) return []; // Newly mined coins have no funder
+
+      const address =
+        getAddress(vin.prevout?.scriptPubKey) || (await resolveInputAddress(vin.txid, vin.vout));
+      // Satoshi spending his own coins is not funding, and paying yourself adds nothing
+      if (!address || satoshi.has(address) || address === target.address || seen.has(address)) {
+        continue;
+      }
+      seen.add(address);
+
+      const key = recordKey(address);
+      const previous = await readRecord(key);
+      if (previous && previous.degree <= degree) continue;
+
+      updates.push({
+        key,
+        address,
+        previous,
+        record: {
+          degree,
+          satoshiAddress: targetRecord ? targetRecord.satoshiAddress : target.address,
+          txHash,
+          path: [{ from: address, to: target.address, txHash }, ...(targetRecord ? targetRecord.path : [])],
+          lastUpdated: Date.now(),
+        },
+      });
+      this.pending.set(address, degree);
+    }
+
+    return updates;
+  }
+}
+
+/**
+ * Upstream relationship of an address for API responses
+ */
+function summarize(record) {
+  if (!record) return null;
+  return {
+    degree: record.degree,
+    satoshiAddress: record.satoshiAddress,
+    txHash: record.txHash,
+    path: record.path,
+  };
+}
+
+module.exports = {
+  MAX_DEGREE,
+  recordKey,
+  index: new UpstreamIndex(),
+  summarize,
+};
@@ -0,0 +1,163 @@
+const bitcoin = require("bitcoinjs-lib");
+const ecc = require("tiny-secp256k1");
+const { BIP32Factory } = require("bip32");
+const { checkAddressConnections } = require("./bitcoinService");
+const network = require("../utils/network");
+
+/**
+ * Taint check of an HD wallet from its extended public key
+ *
+ * The receive (0/i) and change (1/i) chains below the key are derived and checked in
+ * windows, each resolved by one multi-get, until `gapLimit` addresses in a row carry no
+ * taint. Only taint is known here, not address use, so the gap counts untainted addresses:
+ * a wallet with a long run of used but untainted addresses needs a larger gap limit.
+ *
+ * The receive chain is scanned first and leaves at least gapLimit addresses of the
+ * request's maxAddresses to the change chain.
+ *
+ * The key prefix picks the addresses (SLIP-132): xpub/tpub derive legacy P2PKH, ypub/upub
+ * P2SH-P2WPKH and zpub/vpub native P2WPKH addresses. Wallets that export an xpub for segwit
+ * addresses need an explicit scriptType.
+ */
+
+const bip32 = BIP32Factory(ecc);
+
+const DEFAULT_GAP_LIMIT = parseInt(process.env.XPUB_GAP_LIMIT) || 20;
+const MAX_GAP_LIMIT = parseInt(process.env.XPUB_MAX_GAP_LIMIT) || 100;
+const MAX_ADDRESSES_PER_CHAIN = parseInt(process.env.XPUB_MAX_ADDRESSES) || 1000;
+
+// Version bytes of the public key prefixes, mainnet or test networks
+const KEY_TYPES = {
+  xpub: { version: 0x0488b21e, mainnet: true, scriptType: "p2pkh" },
+  ypub: { version: 0x049d7cb2, mainnet: true, scriptType: "p2sh-p2wpkh" },
+  zpub: { version: 0x04b24746, mainnet: true, scriptType: "p2wpkh" },
+  tpub: { version: 0x043587cf, mainnet: false, scriptType: "p2pkh" },
+  upub: { version: 0x044a5262, mainnet: false, scriptType: "p2sh-p2wpkh" },
+  vpub: { version: 0x045f1cf6, mainnet: false, scriptType: "p2wpkh" },
+};
+
+const SCRIPT_TYPES = {
+  p2pkh: (pubkey) => bitcoin.payments.p2pkh({ pubkey, network: network.params }).address,
+  "p2sh-p2wpkh": (pubkey) =>
+    bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network: network.params }), network: network.params })
+      .address,
+  p2wpkh: (pubkey) => bitcoin.payments.p2wpkh({ pubkey, network: network.params }).address,
+};
+
+const CHAINS = [
+  { name: "receive", index: 0 },
+  { name: "change", index: 1 },
+];
+
+// Most addresses one scan checks
+const MAX_ADDRESSES = MAX_ADDRESSES_PER_CHAIN * CHAINS.length;
+
+// Prefixes accepted on BITCOIN_NETWORK
+const KEY_PREFIXES = Object.keys(KEY_TYPES).filter((prefix) => KEY_TYPES[prefix].mainnet === network.isMainnet);
+
+/**
+ * @returns {{node: Object, keyType: string}|null} The public node of an extended public key
+ *   of BITCOIN_NETWORK, null if the key is invalid (private keys included)
+ */
+function parseExtendedKey(key) {
+  if (typeof key !== "string") {
+    return null;
+  }
+  const trimmed = key.trim();
+  if (trimmed.length > 120 || !/^[1-9A-HJ-NP-Za-km-z]+$/.test(trimmed)) {
+    return null;
+  }
+  const keyType = trimmed.slice(0, 4);
+  if (!KEY_PREFIXES.includes(keyType)) {
+    return null;
+  }
+
+  try {
+    const node = bip32.fromBase58(trimmed, { ...network.params, bip32: { public: KEY_TYPES[keyType].version, private: 0 } });
+    return node.isNeutered() ? { node, keyType } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function scanChain(node, chain, toAddress, gapLimit, limit) {
+  const chainNode = node.derive(chain.index);
+  const tainted = [];
+  let scanned = 0;
+  let gap = 0;
+
+  while (gap < gapLimit && scanned < limit) {
+    // Just enough addresses to close the gap if none of them is tainted
+    const count = Math.min(gapLimit - gap, limit - scanned);
+    const window = [];
+    for (let index = scanned; index < scanned + count; index++) {
+      window.push({ path: `${chain.index}/${index}`, address: toAddress(chainNode.derive(index).publicKey) });
+    }
+
+    const results = await checkAddressConnections(window.map(({ address }) => address));
+    results.forEach((result, i) => {
+      if (result.isConnected) {
+        tainted.push({ path: window[i].path, ...result });
+        gap = 0;
+      } else {
+        gap++;
+      }
+    });
+    scanned += count;
+  }
+
+  return { scanned, tainted, complete: gap >= gapLimit };
+}
+
+/**
+ * Derives and checks the receive and change addresses of an extended public key
+ * @param {Object} parsed - From parseExtendedKey
+ * @param {Object} options - { gapLimit, scriptType, maxAddresses } scriptType overrides the
+ *   prefix's; maxAddresses caps the addresses checked over both chains
+ * @returns {Promise<Object>} Wallet summary, per-chain counts and the tainted addresses
+ */
+async function scanExtendedKey(
+  { node, keyType },
+  { gapLimit = DEFAULT_GAP_LIMIT, scriptType = null, maxAddresses = MAX_ADDRESSES } = {}
+) {
+  const type = scriptType || KEY_TYPES[keyType].scriptType;
+  const toAddress = SCRIPT_TYPES[type];
+
+  const chains = {};
+  const addresses = [];
+  let budget = Math.min(maxAddresses, MAX_ADDRESSES);
+  for (const [i, chain] of CHAINS.entries()) {
+    // Later chains keep at least their gap limit
+    const limit = Math.min(MAX_ADDRESSES_PER_CHAIN, budget - gapLimit * (CHAINS.length - 1 - i));
+    const { scanned, tainted, complete } = await scanChain(node, chain, toAddress, gapLimit, Math.max(0, limit));
+    chains[chain.name] = { scanned, tainted: tainted.length, complete };
+    addresses.push(...tainted);
+    budget -= scanned;
+  }
+
+  const degrees = addresses.map(({ degree }) => degree);
+  return {
+    keyType,
+    scriptType: type,
+    gapLimit,
+    summary: {
+      isConnected: addresses.length > 0,
+      minDegree: degrees.length > 0 ? Math.min(...degrees) : null,
+      taintedAddresses: addresses.length,
+      scannedAddresses: chains.receive.scanned + chains.change.scanned,
+      affectedPaths: addresses.map(({ path }) => path),
+    },
+    chains,
+    addresses,
+  };
+}
+
+module.exports = {
+  DEFAULT_GAP_LIMIT,
+  MAX_GAP_LIMIT,
+  MAX_ADDRESSES,
+  KEY_PREFIXES,
+  SCRIPT_TYPES,
+  parseExtendedKey,
+  scanExtendedKey,
+};
@@ -0,0 +1,135 @@
+require("dotenv").config();
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+/**
+ * Subscribes to Bitcoin Core ZMQ block notifications
+ * (zmqpubhashblock / zmqpubrawblock) and emits a "block" event
+ * for every new block, so the sync loop does not have to wait for its next poll.
+ *
+ * Events: "block" ({ hash, sequence }), "connected", "disconnected"
+ */
+class ZmqBlockListener extends EventEmitter {
+  constructor() {
+    super();
+    this.socket = null;
+    this.isRunning = false;
+    this.isConnected = false;
+    this.stats = {
+      notifications: 0,
+      lastNotification: null,
+      disconnects: 0,
+    };
+
+    // Configuration from environment
+    this.config = {
+      endpoint: process.env.BITCOIN_ZMQ_ENDPOINT || null, // e.g. tcp://127.0.0.1:28332
+      topic: process.env.BITCOIN_ZMQ_TOPIC || "hashblock", // hashblock or rawblock
+      reconnectInterval: parseInt(process.env.BITCOIN_ZMQ_RECONNECT_INTERVAL) || 5000,
+    };
+  }
+
+  isEnabled() {
+    return Boolean(this.config.endpoint);
+  }
+
+  async start() {
+    if (this.isRunning || !this.isEnabled()) {
+      return;
+    }
+
+    if (!["hashblock", "rawblock"].includes(this.config.topic)) {
+      throw new Error(`Unsupported ZMQ topic "${this.config.topic}" (use hashblock or rawblock)`);
+    }
+
+    // zeromq is an optional dependency, only needed when ZMQ is configured
+    let zmq;
+    try {
+      zmq = require("zeromq");
+    } catch (err) {
+      throw new Error("BITCOIN_ZMQ_ENDPOINT is set but the 'zeromq' package is not installed");
+    }
+
+    this.socket = new zmq.Subscriber({
+      reconnectInterval: this.config.reconnectInterval,
+    });
+
+    this.socket.events.on("connect", () => {
+      this.isConnected = true;
+      logger.info(`[ZMQ] Connected to ${this.config.endpoint} (${this.config.topic})`);
+      this.emit("connected");
+    });
+
+    this.socket.events.on("disconnect", () => {
+      this.isConnected = false;
+      this.stats.disconnects++;
+      logger.warn("[ZMQ] Disconnected, falling back to polling until it reconnects");
+      this.emit("disconnected");
+    });
+
+    this.socket.connect(this.config.endpoint);
+    this.socket.subscribe(this.config.topic);
+    this.isRunning = true;
+
+    // Receive in the background; the loop ends when the socket is closed
+    this.receiveLoop().catch((err) => {
+      logger.error("[ZMQ] Receive loop failed:", err.message);
+      this.isConnected = false;
+      this.isRunning = false;
+      this.emit("disconnected");
+    });
+  }
+
+  async receiveLoop() {
+    for await (const [topic, body, sequence] of this.socket) {
+      if (topic.toString() !== this.config.topic) {
+        continue;
+      }
+
+      const hash = this.config.topic === "rawblock"
+        ? this.hashFromRawBlock(body)
+        : Buffer.from(body).toString("hex");
+
+      this.stats.notifications++;
+      this.stats.lastNotification = new Date().toISOString();
+
+      this.emit("block", {
+        hash,
+        sequence: sequence && sequence.length >= 4 ? sequence.readUInt32LE(0) : null,
+      });
+    }
+  }
+
+  // Block hash is the double SHA256 of the 80-byte header, displayed byte-reversed
+  hashFromRawBlock(rawBlock) {
+    const header = Buffer.from(rawBlock).subarray(0, 80);
+    const first = crypto.createHash("sha256").update(header).digest();
+    const second = crypto.createHash("sha256").update(first).digest();
+    return Buffer.from(second).reverse().toString("hex");
+  }
+
+  stop() {
+    if (!this.socket) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.isConnected = false;
+    this.socket.close();
+    this.socket = null;
+    logger.info("[ZMQ] Listener stopped");
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      connected: this.isConnected,
+      topic: this.config.topic,
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ZmqBlockListener();
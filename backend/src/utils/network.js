@@ -0,0 +1,91 @@
+require("dotenv").config();
+const bitcoin = require("bitcoinjs-lib");
+
+/**
+ * Bitcoin network the backend runs against (BITCOIN_NETWORK)
+ *
+ * Selects the address encoding used for validation and for deriving addresses from
+ * output scripts. Signet shares testnet's address format. The Satoshi seed set only
+ * exists on mainnet; other networks rely on seed sets from SEED_SETS_DIR.
+ *
+ * Chain sources and the block file reader check they are on this network (chain name,
+ * genesis block hash, block file magic) and refuse to start otherwise: on another
+ * network no output script would decode to an address.
+ */
+
+// chains: getblockchaininfo names; magics: block file record magic read as uint32 LE
+const NETWORKS = {
+  mainnet: {
+    params: bitcoin.networks.bitcoin,
+    prefixes: ["1", "3", "bc1"],
+    chains: ["main"],
+    genesis: ["000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f"],
+    magics: [0xd9b4bef9],
+  },
+  testnet: {
+    params: bitcoin.networks.testnet,
+    prefixes: ["m", "n", "2", "tb1"],
+    chains: ["test", "testnet4"],
+    genesis: [
+      "000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943",
+      "00000000da84f2bafbbc53dee25a72ae507ff4914b867c565be350b0da8bf043",
+    ],
+    magics: [0x0709110b, 0x283f161c],
+  },
+  // Custom signets share the genesis block but derive their magic from the challenge
+  signet: {
+    params: bitcoin.networks.testnet,
+    prefixes: ["m", "n", "2", "tb1"],
+    chains: ["signet"],
+    genesis: ["00000008819873e925422c1ff0f99f7cc9bbb232af63a077a480a3633bee1ef6"],
+    magics: [0x40cf030a],
+  },
+  regtest: {
+    params: bitcoin.networks.regtest,
+    prefixes: ["m", "n", "2", "bcrt1"],
+    chains: ["regtest"],
+    genesis: ["0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206"],
+    magics: [0xdab5bffa],
+  },
+};
+
+const name = (process.env.BITCOIN_NETWORK || "mainnet").toLowerCase();
+if (!NETWORKS[name]) {
+  throw new Error(`Unknown BITCOIN_NETWORK "${process.env.BITCOIN_NETWORK}" (expected mainnet, testnet, signet or regtest)`);
+}
+
+function mismatch(what, value) {
+  return new Error(`${what} ${value} is not on BITCOIN_NETWORK ${name}; set BITCOIN_NETWORK to the node's network`);
+}
+
+// Chain name reported by getblockchaininfo
+function checkChain(chain) {
+  if (!NETWORKS[name].chains.includes(chain)) {
+    throw mismatch("Node chain", chain);
+  }
+}
+
+// Hash of block 0 as served by a chain source
+function checkGenesis(hash) {
+  if (!NETWORKS[name].genesis.includes(hash)) {
+    throw mismatch("Genesis block", hash);
+  }
+}
+
+// Magic of the first record of the block files
+function checkMagic(magic) {
+  if (!NETWORKS[name].magics.includes(magic)) {
+    throw mismatch("Block file magic", `0x${magic.toString(16).padStart(8, "0")}`);
+  }
+}
+
+module.exports = {
+  name,
+  isMainnet: name === "mainnet",
+  params: NETWORKS[name].params,
+  addressPrefixes: NETWORKS[name].prefixes,
+  magic: NETWORKS[name].magics[0],
+  checkChain,
+  checkGenesis,
+  checkMagic,
+};
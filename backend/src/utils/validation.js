@@ -1,8 +1,26 @@
 const bitcoin = require("bitcoinjs-lib");
+const network = require("./network");
 
 /**
- * Validates a Bitcoin address using bitcoinjs-lib
- * Supports Legacy (1...), P2SH (3...), and Bech32 (bc1...) addresses
+ * Decodes an address and checks its bech32 prefix or version byte against the network.
+ * toOutputScript would do the same but needs an ECC library for Taproot addresses.
+ */
+function matchesNetwork(address, params) {
+  if (address.toLowerCase().startsWith(`${params.bech32}1`)) {
+    const { version, prefix, data } = bitcoin.address.fromBech32(address);
+    if (prefix !== params.bech32) return false;
+    if (version === 0) return data.length === 20 || data.length === 32;
+    if (version === 1) return data.length === 32;
+    return version <= 16 && data.length >= 2 && data.length <= 40;
+  }
+  const { version } = bitcoin.address.fromBase58Check(address);
+  return version === params.pubKeyHash || version === params.scriptHash;
+}
+
+/**
+ * Validates a Bitcoin address for BITCOIN_NETWORK using bitcoinjs-lib
+ * Supports Legacy, P2SH, and Bech32/Bech32m addresses (1/3/bc1 on mainnet,
+ * m/n/2/tb1 on testnet and signet, m/n/2/bcrt1 on regtest)
  */
 function isValidBitcoinAddress(address) {
   if (!address || typeof address !== "string") {
@@ -20,20 +38,14 @@ function isValidBitcoinAddress(address) {
     return false;
   }
 
-  try {
-    // Handle Bech32/Bech32m addresses (starting with bc1)
-    if (address.toLowerCase().startsWith("bc1")) {
-      bitcoin.address.fromBech32(address);
-      return true;
-    }
-
-    // For legacy addresses (starting with 1 or 3)
-    if (address.startsWith("1") || address.startsWith("3")) {
-      bitcoin.address.fromBase58Check(address);
-      return true;
-    }
-
+  // Only prefixes of the configured network
+  const lower = address.toLowerCase();
+  if (!network.addressPrefixes.some((prefix) => (prefix.length > 1 ? lower : address).startsWith(prefix))) {
     return false;
+  }
+
+  try {
+    return matchesNetwork(address, network.params);
   } catch (error) {
     return false;
   }
@@ -1,46 +1,89 @@
 const { parentPort, workerData } = require("worker_threads");
-const BitcoinRPC = require("../services/bitcoinRPC");
-
-async function processBlock(block, addresses) {
-  try {
-    const transactions = new Set();
-
-    for (const tx of block.tx) {
-      const outputAddresses = tx.vout.flatMap(
-        (vout) => vout.scriptPubKey.addresses || []
-      );
-      const inputAddresses = tx.vin.flatMap(
-        (vin) => vin.prevout?.scriptPubKey?.addresses || []
-      );
-      const involvedAddresses = new Set([
-        ...outputAddresses,
-        ...inputAddresses,
-      ]);
-
-      for (const addr of addresses) {
-        if (involvedAddresses.has(addr)) {
-          transactions.add(BitcoinRPC.formatTransaction(tx));
-          break;
-        }
+const { Level } = require("level");
+const { decodeBlock, addressFromScriptPubKey } = require("../services/blockDecoder");
+const outpointEncoding = require("../services/outpointEncoding");
+const { OutpointFilter } = require("../services/outpointFilter");
+
+/**
+ * Order-independent half of block processing, run in the block worker pool
+ *
+ * Decodes the block when it arrives serialized, fills in the address of every output
+ * and prevout script, and reads the stored state of every outpoint the block spends or
+ * creates: its poison model taint (outpoints sublevel) and its value under each of the
+ * given scan key prefixes (<model>_out:, seed_out:<set>:), one multi-get each. Outpoints the
+ * shared outpoint filter rules out are not read from the outpoints sublevel. The main
+ * thread commits the result in chain order.
+ */
+
+const addressCache = new Map();
+
+function deriveAddresses(block) {
+  for (const tx of block.tx) {
+    for (const script of [...tx.vout.map((vout) => vout.scriptPubKey), ...tx.vin.map((vin) => vin.prevout?.scriptPubKey)]) {
+      if (script && !script.address) {
+        const address = addressFromScriptPubKey(script, addressCache);
+        if (address) script.address = address;
       }
     }
-
-    return {
-      height: block.height,
-      transactions: Array.from(transactions),
-    };
-  } catch (error) {
-    throw new Error(
-      `Worker error processing block ${block.height}: ${error.message}`
-    );
   }
 }
 
-parentPort.on("message", async ({ block, addresses }) => {
-  try {
-    const result = await processBlock(block, addresses);
-    parentPort.postMessage({ success: true, result });
-  } catch (error) {
-    parentPort.postMessage({ success: false, error: error.message });
+/**
+ * @param {Object} task - { block } or { data, height, undos } (serialized block)
+ * @param {Object} stores - { scan, outpoints } sublevels and the outpoint filter, if enabled
+ * @param {Array<string>} prefixes - Scan key prefixes to read for every outpoint
+ * @returns {Promise<{block: Object, values: Object, tainted: Object}>} values (scan key -> value)
+ *   and tainted (outpoint -> record) hold only the keys that exist
+ */
+async function prepareBlock(task, { scan, outpoints: outpointDb, filter }, prefixes) {
+  const block = task.block || decodeBlock(task.data, { height: task.height, undos: task.undos });
+  deriveAddresses(block);
+
+  const outpoints = [];
+  for (const tx of block.tx) {
+    const txid = tx.txid || tx.hash;
+    for (const vin of tx.vin) {
+      if (!vin.coinbase) outpoints.push(`${vin.txid}:${vin.vout}`);
+    }
+    for (let index = 0; index < tx.vout.length; index++) {
+      outpoints.push(`${txid}:${index}`);
+    }
   }
-});
+
+  const keys = prefixes.flatMap((prefix) => outpoints.map((outpoint) => `${prefix}${outpoint}`));
+  const found = keys.length > 0 ? await scan.getMany(keys) : [];
+  const values = {};
+  found.forEach((value, i) => {
+    if (value !== undefined) values[keys[i]] = value;
+  });
+
+  const candidates = filter ? outpoints.filter((outpoint) => filter.mightContain(outpoint)) : outpoints;
+  const records = candidates.length > 0 ? await outpointDb.getMany(candidates) : [];
+  const tainted = {};
+  records.forEach((record, i) => {
+    if (record !== undefined) tainted[candidates[i]] = record;
+  });
+
+  return { block, values, tainted };
+}
+
+if (parentPort) {
+  // Opened alongside the main thread's handle, see DatabaseService.open
+  const root = new Level(workerData.dbPath, { valueEncoding: "json", multithreading: true });
+  const stores = {
+    scan: root.sublevel("scan", { valueEncoding: "json" }),
+    outpoints: root.sublevel("outpoints", outpointEncoding.sublevelOptions),
+    filter: workerData.filter ? OutpointFilter.fromShared(workerData.filter) : null,
+  };
+
+  parentPort.on("message", async ({ id, task }) => {
+    try {
+      const result = await prepareBlock(task, stores, workerData.prefixes);
+      parentPort.postMessage({ id, success: true, result });
+    } catch (error) {
+      parentPort.postMessage({ id, success: false, error: error.message });
+    }
+  });
+}
+
+module.exports = { prepareBlock };
@@ -8,17 +8,39 @@ import {
   Typography,
   CircularProgress,
   Link,
+  ToggleButton,
+  ToggleButtonGroup,
+  MenuItem,
 } from "@mui/material";
 import { Search as SearchIcon, Clear as ClearIcon } from "@mui/icons-material";
-import { isValidBitcoinAddress } from "../utils/validation";
+import { isValidBitcoinAddress, isValidExtendedKey } from "../utils/validation";
+import {
+  BITCOIN_NETWORK,
+  IS_MAINNET,
+  ADDRESS_PREFIX_LIST,
+  EXTENDED_KEY_PREFIX_LIST,
+  hasNetworkPrefix,
+  hasExtendedKeyPrefix,
+} from "../config/network";
+import { scanExtendedKey } from "../config/api";
+import WalletScanResults from "./WalletScanResults";
 import { useRouter } from "next/router";
 import NextLink from "next/link";
 
+// Defaults of the backend (XPUB_GAP_LIMIT, XPUB_MAX_GAP_LIMIT)
+const DEFAULT_GAP_LIMIT = 20;
+const MAX_GAP_LIMIT = 100;
+
 export default function AddressSearchForm({ showNote = false }) {
   const [address, setAddress] = useState("");
   const [isValidating, setIsValidating] = useState(false);
   const [error, setError] = useState("");
   const [syncStatus, setSyncStatus] = useState(null);
+  // "address" opens the address page, "wallet" scans an extended public key in place
+  const [mode, setMode] = useState("address");
+  const [gapLimit, setGapLimit] = useState(String(DEFAULT_GAP_LIMIT));
+  const [scriptType, setScriptType] = useState("");
+  const [walletResult, setWalletResult] = useState(null);
   const router = useRouter();
 
   const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001";
@@ -56,6 +78,32 @@ export default function AddressSearchForm({ showNote = false }) {
     }
   };
 
+  const handleWalletScan = async (key) => {
+    setWalletResult(null);
+
+    if (!isValidExtendedKey(key)) {
+      setError(`Please enter a valid extended public key (starting with ${EXTENDED_KEY_PREFIX_LIST})`);
+      setIsValidating(false);
+      return;
+    }
+
+    try {
+      const limit = Math.max(1, Math.min(MAX_GAP_LIMIT, parseInt(gapLimit, 10) || DEFAULT_GAP_LIMIT));
+      const result = await scanExtendedKey(key, { gapLimit: limit, scriptType });
+      setWalletResult(result);
+    } catch (error) {
+      console.error("Wallet scan error:", error);
+      setError(
+        error.status === 400
+          ? "Invalid extended public key - the checksum verification failed. Please check for typos."
+          : error.status === 429
+            ? "Too many requests. Please wait a minute before scanning again."
+            : "The service is temporarily slow to respond. Please try again in a moment."
+      );
+    }
+    setIsValidating(false);
+  };
+
   const handleSearch = async (e) => {
     e.preventDefault();
     setIsValidating(true);
@@ -65,20 +113,24 @@ export default function AddressSearchForm({ showNote = false }) {
       const trimmedAddress = address.trim();
 
       if (!trimmedAddress) {
-        setError("Please enter a Bitcoin address");
+        setError(mode === "wallet" ? "Please enter an extended public key" : "Please enter a Bitcoin address");
         setIsValidating(false);
         return;
       }
 
+      // Extended public keys are scanned as a wallet, whichever mode is selected
+      if (mode === "wallet" || hasExtendedKeyPrefix(trimmedAddress)) {
+        setMode("wallet");
+        await handleWalletScan(trimmedAddress);
+        return;
+      }
+
       // Check address format first
-      const isValidFormat =
-        trimmedAddress.startsWith("1") ||
-        trimmedAddress.startsWith("3") ||
-        trimmedAddress.toLowerCase().startsWith("bc1");
+      const isValidFormat = hasNetworkPrefix(trimmedAddress);
 
       if (!isValidFormat) {
         setError(
-          "Please enter a valid Bitcoin address (starting with 1, 3, or bc1)"
+          `Please enter a valid ${IS_MAINNET ? "" : `${BITCOIN_NETWORK} `}Bitcoin address (starting with ${ADDRESS_PREFIX_LIST})`
         );
         setIsValidating(false);
         return;
@@ -134,17 +186,38 @@ export default function AddressSearchForm({ showNote = false }) {
   const handleClear = () => {
     setAddress("");
     setError("");
+    setWalletResult(null);
   };
 
+  const addressPlaceholder = IS_MAINNET ? "Enter Bitcoin address" : `Enter ${BITCOIN_NETWORK} Bitcoin address`;
+
   return (
     <Box
       component="form"
       onSubmit={handleSearch}
       sx={{ maxWidth: 600, mx: "auto" }}
     >
+      <ToggleButtonGroup
+        exclusive
+        fullWidth
+        size="small"
+        value={mode}
+        onChange={(e, value) => {
+          if (!value) return;
+          setMode(value);
+          setError("");
+          setWalletResult(null);
+        }}
+        disabled={isValidating}
+        sx={{ mb: 2 }}
+      >
+        <ToggleButton value="address">Address</ToggleButton>
+        <ToggleButton value="wallet">HD Wallet ({EXTENDED_KEY_PREFIX_LIST})</ToggleButton>
+      </ToggleButtonGroup>
+
       <TextField
         fullWidth
-        placeholder="Enter Bitcoin address"
+        placeholder={mode === "wallet" ? `Enter ${EXTENDED_KEY_PREFIX_LIST}` : addressPlaceholder}
         value={address}
         onChange={(e) => {
           setAddress(e.target.value);
@@ -169,6 +242,35 @@ export default function AddressSearchForm({ showNote = false }) {
         sx={{ mb: 2 }}
       />
 
+      {mode === "wallet" && (
+        <Box sx={{ display: "flex", gap: 2, mb: 2 }}>
+          <TextField
+            label="Gap limit"
+            type="number"
+            size="small"
+            value={gapLimit}
+            onChange={(e) => setGapLimit(e.target.value)}
+            inputProps={{ min: 1, max: MAX_GAP_LIMIT }}
+            disabled={isValidating}
+            sx={{ width: 140 }}
+          />
+          <TextField
+            select
+            label="Address type"
+            size="small"
+            value={scriptType}
+            onChange={(e) => setScriptType(e.target.value)}
+            disabled={isValidating}
+            sx={{ flex: 1 }}
+          >
+            <MenuItem value="">From key prefix</MenuItem>
+            <MenuItem value="p2pkh">Legacy (P2PKH)</MenuItem>
+            <MenuItem value="p2sh-p2wpkh">Nested SegWit (P2SH-P2WPKH)</MenuItem>
+            <MenuItem value="p2wpkh">Native SegWit (P2WPKH)</MenuItem>
+          </TextField>
+        </Box>
+      )}
+
       <Button
         fullWidth
         variant="contained"
@@ -179,9 +281,11 @@ export default function AddressSearchForm({ showNote = false }) {
         }
         sx={{ mb: 4 }}
       >
-        {isValidating ? "Searching..." : "Search"}
+        {isValidating ? (mode === "wallet" ? "Scanning..." : "Searching...") : mode === "wallet" ? "Scan Wallet" : "Search"}
       </Button>
 
+      {mode === "wallet" && walletResult && <WalletScanResults result={walletResult} />}
+
       {showNote && (
         <>
           <Typography variant="body2" color="text.secondary" align="center">
@@ -2,6 +2,7 @@ import Link from "next/link";
 import { useState } from "react";
 import { Box, Typography, Paper, Stack, Divider } from "@mui/material";
 import { FAMOUS_WALLETS } from "../data/famousWallets";
+import { IS_MAINNET } from "../config/network";
 
 const INITIAL_COUNT = 3;
 const LOAD_MORE_COUNT = 5;
@@ -104,7 +105,8 @@ const CategoryWallets = ({ category, wallets }) => {
   );
 };
 
-const FamousWalletsSuggestions = () => (
+// The suggestions are mainnet addresses
+const FamousWalletsSuggestions = () => IS_MAINNET && (
   <Box sx={{ mt: 8 }}>
     <Divider sx={{ mb: 4 }} />
     <Typography variant="h5" gutterBottom sx={{ display: "flex", alignItems: "center", gap: 1 }}>
@@ -0,0 +1,86 @@
+import NextLink from "next/link";
+import { Box, Typography, Paper, Stack, Chip, Divider, Link } from "@mui/material";
+
+const SCRIPT_TYPE_LABELS = {
+  p2pkh: "Legacy (P2PKH)",
+  "p2sh-p2wpkh": "Nested SegWit (P2SH-P2WPKH)",
+  p2wpkh: "Native SegWit (P2WPKH)",
+};
+
+const getDegreeLabel = (degree) => {
+  if (degree === 0) return "Satoshi's wallet";
+  return `${degree} ${degree === 1 ? "hop" : "hops"} from Satoshi`;
+};
+
+export default function WalletScanResults({ result }) {
+  const { summary, chains } = result;
+  const incomplete = !chains.receive.complete || !chains.change.complete;
+
+  return (
+    <Paper sx={{ p: 4, maxWidth: 600, mx: "auto", mb: 4 }}>
+      <Stack spacing={3}>
+        <Box sx={{ textAlign: "center" }}>
+          <Chip
+            label={summary.isConnected ? "Connected to Satoshi" : "No connection found"}
+            color={summary.isConnected ? "success" : "default"}
+            sx={{ px: 3, py: 2.5, fontSize: "1.1rem", fontWeight: 600, mb: 2 }}
+          />
+          {summary.isConnected && (
+            <Typography variant="h5" sx={{ color: "primary.main", fontWeight: 700 }}>
+              Closest address: {getDegreeLabel(summary.minDegree)}
+            </Typography>
+          )}
+          <Typography variant="body1" color="text.secondary" sx={{ mt: 1 }}>
+            {summary.taintedAddresses} of {summary.scannedAddresses} derived{" "}
+            {SCRIPT_TYPE_LABELS[result.scriptType] || result.scriptType} addresses are tainted
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Receive chain: {chains.receive.scanned} checked, change chain: {chains.change.scanned} checked
+            (gap limit {result.gapLimit})
+          </Typography>
+          {!summary.isConnected && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Address use is not checked: each chain stops after {result.gapLimit} untainted addresses in a
+              row, even when they were used. If the wallet has longer runs of used addresses, scan again with
+              a larger gap limit.
+            </Typography>
+          )}
+          {incomplete && (
+            <Typography variant="body2" color="warning.main" sx={{ mt: 1 }}>
+              The scan stopped at the address limit before reaching the gap limit
+            </Typography>
+          )}
+        </Box>
+
+        {result.addresses.length > 0 && (
+          <>
+            <Divider />
+            <Stack spacing={1}>
+              {result.addresses.map((entry) => (
+                <Box
+                  key={entry.path}
+                  sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 2 }}
+                >
+                  <Box sx={{ minWidth: 0 }}>
+                    <Typography variant="body2" color="text.secondary">
+                      {entry.path.startsWith("0/") ? "Receive" : "Change"} {entry.path}
+                    </Typography>
+                    <Link
+                      component={NextLink}
+                      href={`/address/${entry.address}`}
+                      underline="hover"
+                      sx={{ fontFamily: "monospace", wordBreak: "break-all" }}
+                    >
+                      {entry.address}
+                    </Link>
+                  </Box>
+                  <Chip label={getDegreeLabel(entry.degree)} size="small" color="primary" variant="outlined" />
+                </Box>
+              ))}
+            </Stack>
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
@@ -3,6 +3,8 @@
  * Centralizes all API-related configuration in one place
  */
 
+const { hasNetworkPrefix, hasExtendedKeyPrefix } = require("./network");
+
 const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001";
 
 // Request timeout in milliseconds
@@ -66,17 +68,29 @@ async function checkAddress(address) {
   const sanitizedAddress = address.trim();
 
   // Basic format check
-  if (
-    !sanitizedAddress.startsWith("1") &&
-    !sanitizedAddress.startsWith("3") &&
-    !sanitizedAddress.toLowerCase().startsWith("bc1")
-  ) {
+  if (!hasNetworkPrefix(sanitizedAddress)) {
     throw new Error("Invalid Bitcoin address format");
   }
 
   return fetchWithTimeout(`/api/check/${encodeURIComponent(sanitizedAddress)}`);
 }
 
+/**
+ * Checks the receive and change addresses of an HD wallet
+ * The key goes in the request body, never in the URL
+ */
+async function scanExtendedKey(xpub, { gapLimit, scriptType } = {}) {
+  const sanitizedKey = typeof xpub === "string" ? xpub.trim() : "";
+  if (!hasExtendedKeyPrefix(sanitizedKey)) {
+    throw new Error("Invalid extended public key format");
+  }
+
+  return fetchWithTimeout("/api/check/xpub", {
+    method: "POST",
+    body: JSON.stringify({ xpub: sanitizedKey, gapLimit, scriptType: scriptType || undefined }),
+  });
+}
+
 module.exports = {
   API_URL,
   REQUEST_TIMEOUT,
@@ -84,4 +98,5 @@ module.exports = {
   fetchWithTimeout,
   checkHealth,
   checkAddress,
+  scanExtendedKey,
 };
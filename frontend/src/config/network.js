@@ -0,0 +1,53 @@
+/**
+ * Bitcoin network configuration
+ * Must match the backend's BITCOIN_NETWORK (set at build time)
+ */
+
+const bitcoin = require("bitcoinjs-lib");
+
+// keyPrefixes: extended public keys of HD wallets (SLIP-132)
+const NETWORKS = {
+  mainnet: { params: bitcoin.networks.bitcoin, prefixes: ["1", "3", "bc1"], keyPrefixes: ["xpub", "ypub", "zpub"] },
+  testnet: { params: bitcoin.networks.testnet, prefixes: ["m", "n", "2", "tb1"], keyPrefixes: ["tpub", "upub", "vpub"] },
+  signet: { params: bitcoin.networks.testnet, prefixes: ["m", "n", "2", "tb1"], keyPrefixes: ["tpub", "upub", "vpub"] },
+  regtest: { params: bitcoin.networks.regtest, prefixes: ["m", "n", "2", "bcrt1"], keyPrefixes: ["tpub", "upub", "vpub"] },
+};
+
+const requested = (process.env.NEXT_PUBLIC_BITCOIN_NETWORK || "mainnet").toLowerCase();
+const BITCOIN_NETWORK = NETWORKS[requested] ? requested : "mainnet";
+
+const NETWORK_PARAMS = NETWORKS[BITCOIN_NETWORK].params;
+const ADDRESS_PREFIXES = NETWORKS[BITCOIN_NETWORK].prefixes;
+const EXTENDED_KEY_PREFIXES = NETWORKS[BITCOIN_NETWORK].keyPrefixes;
+const IS_MAINNET = BITCOIN_NETWORK === "mainnet";
+
+// "1, 3, or bc1" for error messages
+const ADDRESS_PREFIX_LIST = `${ADDRESS_PREFIXES.slice(0, -1).join(", ")}, or ${ADDRESS_PREFIXES[ADDRESS_PREFIXES.length - 1]}`;
+const EXTENDED_KEY_PREFIX_LIST = `${EXTENDED_KEY_PREFIXES.slice(0, -1).join(", ")} or ${EXTENDED_KEY_PREFIXES[EXTENDED_KEY_PREFIXES.length - 1]}`;
+
+/**
+ * Checks that an address starts with one of the network's prefixes
+ */
+function hasNetworkPrefix(address) {
+  const lower = address.toLowerCase();
+  return ADDRESS_PREFIXES.some((prefix) => (prefix.length > 1 ? lower : address).startsWith(prefix));
+}
+
+/**
+ * Checks that a key starts with one of the network's extended public key prefixes
+ */
+function hasExtendedKeyPrefix(key) {
+  return EXTENDED_KEY_PREFIXES.includes(key.slice(0, 4));
+}
+
+module.exports = {
+  BITCOIN_NETWORK,
+  NETWORK_PARAMS,
+  ADDRESS_PREFIXES,
+  ADDRESS_PREFIX_LIST,
+  EXTENDED_KEY_PREFIXES,
+  EXTENDED_KEY_PREFIX_LIST,
+  IS_MAINNET,
+  hasNetworkPrefix,
+  hasExtendedKeyPrefix,
+};
@@ -38,6 +38,15 @@ const getDegreeDescription = (degree) => {
   return `${degree} hops away from Satoshi`;
 };
 
+const formatBtc = (sats) => (sats / 100000000).toFixed(8);
+
+const getUpstreamDescription = (upstream) => {
+  if (upstream.degree === 1) {
+    return `Sent coins directly to Satoshi's address ${upstream.satoshiAddress}`;
+  }
+  return `Funded an address that sent coins to Satoshi's address ${upstream.satoshiAddress} (${upstream.degree} hops upstream)`;
+};
+
 export default function AddressPage({ address, initialLoad }) {
   const [isLoading, setIsLoading] = useState(initialLoad);
   const [error, setError] = useState(null);
@@ -290,11 +299,55 @@ export default function AddressPage({ address, initialLoad }) {
                           >
                             {getDegreeDescription(data.degree)}
                           </Typography>
+                          {data.taintedAmount !== null &&
+                            data.taintedAmount !== undefined && (
+                              <Typography
+                                variant="body1"
+                                color="text.secondary"
+                                sx={{ mt: 1 }}
+                              >
+                                {formatBtc(data.taintedAmount)} BTC (
+                                {data.taintedPercentage}%) of the{" "}
+                                {formatBtc(data.receivedAmount)} BTC received in
+                                tainted transactions traces back to Satoshi
+                                {"'"}s coinbase outputs
+                              </Typography>
+                            )}
+                          {data.currentBalance && (
+                            <Typography
+                              variant="body1"
+                              color="text.secondary"
+                              sx={{ mt: 1 }}
+                            >
+                              {data.currentBalance.utxos === null
+                                ? "Current tainted balance is still being computed"
+                                : data.currentBalance.utxos > 0
+                                ? `Currently holds ${data.currentBalance.taintedSats.toLocaleString()} tainted sats in ${data.currentBalance.utxos} ${data.currentBalance.utxos === 1 ? "UTXO" : "UTXOs"}`
+                                : "Currently holds no tainted UTXOs"}
+                            </Typography>
+                          )}
+                          {data.origins && data.origins.length > 0 && (
+                            <Typography
+                              variant="body2"
+                              color="text.secondary"
+                              sx={{ mt: 1 }}
+                            >
+                              Traces back to {data.origins.length}
+                              {data.originsTruncated ? "+" : ""} Satoshi{" "}
+                              {data.origins.length === 1 ? "address" : "addresses"}
+                              {data.origins[0].blockHeight !== null &&
+                                ` (closest mined in block ${data.origins[0].blockHeight.toLocaleString()}, ${data.origins[0].degree} ${data.origins[0].degree === 1 ? "hop" : "hops"} away)`}
+                            </Typography>
+                          )}
                         </>
                       ) : (
                         <Chip
-                          label="No connection to Satoshi found"
-                          color="error"
+                          label={
+                            data.upstream
+                              ? "Sent coins to Satoshi"
+                              : "No connection to Satoshi found"
+                          }
+                          color={data.upstream ? "warning" : "error"}
                           sx={{
                             px: 3,
                             py: 2.5,
@@ -303,6 +356,36 @@ export default function AddressPage({ address, initialLoad }) {
                           }}
                         />
                       )}
+                      {data.upstream && (
+                        <Typography
+                          variant="body1"
+                          color="text.secondary"
+                          sx={{ mt: 1 }}
+                        >
+                          {getUpstreamDescription(data.upstream)}. This does
+                          not mean the address received coins from Satoshi.
+                        </Typography>
+                      )}
+                      {data.seedSets &&
+                        Object.keys(data.seedSets).length > 0 && (
+                          <Stack
+                            direction="row"
+                            spacing={1}
+                            justifyContent="center"
+                            flexWrap="wrap"
+                            sx={{ mt: 2 }}
+                          >
+                            {Object.entries(data.seedSets).map(
+                              ([name, connection]) => (
+                                <Chip
+                                  key={name}
+                                  label={`${connection.description}: degree ${connection.degree}`}
+                                  variant="outlined"
+                                />
+                              )
+                            )}
+                          </Stack>
+                        )}
                     </Box>
 
                     {data.isConnected ? (
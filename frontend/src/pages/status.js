@@ -321,9 +321,9 @@ export default function Status() {
                         color="text.secondary"
                         gutterBottom
                       >
-                        Batch Size
+                        Reorg Depth
                       </Typography>
-                      <Typography>{syncStatus.config.batchSize}</Typography>
+                      <Typography>{syncStatus.config.reorgDepth}</Typography>
                     </Grid>
                     <Grid size={{ xs: 12, sm: 6, md: 3 }}>
                       <Typography
@@ -1,25 +1,39 @@
 const bitcoin = require("bitcoinjs-lib");
+const { NETWORK_PARAMS, hasNetworkPrefix, hasExtendedKeyPrefix } = require("../config/network");
+
+// Checks the checksum and the network's bech32 prefix or version byte (no ECC library
+// needed for Taproot addresses, unlike toOutputScript)
+function matchesNetwork(address) {
+  if (address.toLowerCase().startsWith(`${NETWORK_PARAMS.bech32}1`)) {
+    const { version, prefix, data } = bitcoin.address.fromBech32(address);
+    if (prefix !== NETWORK_PARAMS.bech32) return false;
+    if (version === 0) return data.length === 20 || data.length === 32;
+    if (version === 1) return data.length === 32;
+    return version <= 16 && data.length >= 2 && data.length <= 40;
+  }
+  const { version } = bitcoin.address.fromBase58Check(address);
+  return version === NETWORK_PARAMS.pubKeyHash || version === NETWORK_PARAMS.scriptHash;
+}
 
 function isValidBitcoinAddress(address) {
   try {
-    // Handle Bech32 addresses (starting with bc1)
-    if (address.toLowerCase().startsWith("bc1")) {
-      bitcoin.address.fromBech32(address);
-      return true;
-    }
-
-    // For legacy addresses (starting with 1 or 3)
-    if (address.startsWith("1") || address.startsWith("3")) {
-      bitcoin.address.fromBase58Check(address);
-      return true;
+    // Only prefixes of the configured network (1/3/bc1 on mainnet)
+    if (!hasNetworkPrefix(address)) {
+      return false;
     }
 
-    return false;
+    return matchesNetwork(address);
   } catch (error) {
     return false;
   }
 }
 
+// Shape of an extended public key of the network; the backend verifies the checksum
+function isValidExtendedKey(key) {
+  return typeof key === "string" && hasExtendedKeyPrefix(key) && /^[1-9A-HJ-NP-Za-km-z]{111}$/.test(key);
+}
+
 module.exports = {
   isValidBitcoinAddress,
+  isValidExtendedKey,
 };